@@ -0,0 +1,261 @@
+/**
+ * JobLens AI – Text Analysis Window
+ * Opened by the "Analyze with JobLens" context-menu item (background.js) with
+ * the selection stored as "selectionDraft". Builds jobData from the text, lets
+ * the user correct the guessed title and company, and runs it through the same
+ * ANALYZE_JOB pipeline as a detected job page.
+ *
+ * analyze.html?history=<id> re-opens a saved analysis from the popup's History
+ * tab (pasted jobs included) with its job text, so it can be edited and re-run.
+ */
+
+import "./utils/siteAdapters.js"; // classic script – publishes globalThis.JobLensAdapters
+import "./utils/language.js"; // classic script – publishes globalThis.JobLensLanguage
+import "./utils/skillTaxonomy.js"; // classic script – publishes globalThis.JobLensSkills
+import "./utils/salary.js"; // classic script – publishes globalThis.JobLensSalary
+import "./utils/experience.js"; // classic script – publishes globalThis.JobLensExperience
+import "./utils/workplace.js"; // classic script – publishes globalThis.JobLensWorkplace
+import "./utils/freshness.js"; // classic script – publishes globalThis.JobLensFreshness
+import "./utils/jobExtractor.js"; // classic script – publishes globalThis.JobLensExtractor
+import {
+    analyzeJob,
+    loadResume,
+    getSettings,
+    getHistoryEntry,
+    textAnalysisKey,
+} from "./utils/apiClient.js";
+
+// ─── State ────────────────────────────────────────────────────────────────────
+let draft = null; // { text, url, pageTitle, createdAt }
+let source = "selection"; // jobData.source for the next analysis
+let savedEntry = null; // history entry being re-opened
+let currentResume = null; // resume profile; a re-opened entry keeps the one it used
+let userSettings = {};
+
+const $ = (id) => document.getElementById(id);
+
+// ─── Init ─────────────────────────────────────────────────────────────────────
+document.addEventListener("DOMContentLoaded", async () => {
+    const [{ selectionDraft }, resume, settings] = await Promise.all([
+        chrome.storage.local.get(["selectionDraft"]),
+        loadResume(),
+        getSettings(),
+    ]);
+    draft = selectionDraft || { text: "", url: "" };
+    currentResume = resume;
+    userSettings = settings;
+
+    const historyId = new URLSearchParams(location.search).get("history");
+    if (historyId) {
+        await openHistoryEntry(historyId);
+    } else {
+        fillForm();
+    }
+    renderResumeStatus();
+
+    $("job-description-input").addEventListener("input", renderDetectedMeta);
+    [$("job-title-input"), $("job-description-input")].forEach((el) => {
+        el.addEventListener("input", refreshAnalyzeBtn);
+    });
+    $("analyze-btn").addEventListener("click", runAnalysis);
+});
+
+function fillForm() {
+    const jobData = JobLensExtractor.buildJobDataFromText({ text: draft.text });
+    $("job-title-input").value = jobData.title;
+    $("job-description-input").value = draft.text.trim();
+    if (draft.pageTitle || draft.url) {
+        $("source-line").textContent = `From: ${draft.pageTitle || hostOf(draft.url)}`;
+        $("source-line").title = draft.url || "";
+    }
+    renderDetectedMeta();
+    refreshAnalyzeBtn();
+}
+
+async function openHistoryEntry(id) {
+    savedEntry = await getHistoryEntry(id);
+    if (!savedEntry) {
+        $("source-line").textContent = "Saved analysis";
+        renderError("This analysis is no longer in your history.", $("result-area"));
+        $("result-area").classList.remove("hidden");
+        return;
+    }
+
+    if (savedEntry.resumeProfile) {
+        currentResume = (await loadResume(savedEntry.resumeProfile.id)) || currentResume;
+    }
+
+    const job = savedEntry.job || { title: savedEntry.jobTitle, company: savedEntry.company, url: savedEntry.url };
+    draft = { text: job.description || "", url: job.url || "" };
+    source = savedEntry.source || "page";
+    $("job-title-input").value = job.title || "";
+    $("job-company-input").value = job.company || "";
+    $("job-description-input").value = job.description || "";
+    $("source-line").textContent = `Saved analysis · ${new Date(savedEntry.analyzedAt).toLocaleDateString()}`;
+    $("source-line").title = job.url || "";
+
+    renderDetectedMeta();
+    refreshAnalyzeBtn();
+    if (savedEntry.result) {
+        renderResult(savedEntry.result, $("result-area"));
+        $("result-area").classList.remove("hidden");
+    }
+}
+
+function renderResumeStatus() {
+    $("rs-icon").textContent = currentResume ? "✅" : "📄";
+    $("rs-text").textContent = currentResume
+        ? `Resume loaded${currentResume.name ? ` (${currentResume.name})` : ""}`
+        : "No resume uploaded";
+    $("rs-upload-link").textContent = currentResume ? "Update" : "Upload now";
+    $("rs-upload-link").addEventListener("click", () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL("options.html") });
+    });
+}
+
+/** What the local parsers found in the text, so a bad selection is obvious before analysing. */
+function renderDetectedMeta() {
+    const jobData = readJobData();
+    const salary = JobLensSalary.describeAnnual(jobData.salaryInfo, userSettings);
+    const parts = [
+        jobData.language !== "en" ? JobLensLanguage.LANGUAGES[jobData.language] : "",
+        jobData.experienceRange ? `Experience: ${jobData.experience}` : "",
+        salary,
+        ...JobLensWorkplace.describeWorkplace(jobData.workplace),
+        jobData.skills.length ? `${jobData.skills.length} skills` : "",
+    ].filter(Boolean);
+    $("text-job-meta").textContent = parts.join(" · ");
+}
+
+function refreshAnalyzeBtn() {
+    const ready = currentResume
+        && $("job-title-input").value.trim()
+        && $("job-description-input").value.trim().length >= 50;
+    $("analyze-btn").disabled = !ready;
+}
+
+function readJobData() {
+    return JobLensExtractor.buildJobDataFromText({
+        title: $("job-title-input").value,
+        company: $("job-company-input").value,
+        description: $("job-description-input").value,
+        url: draft.url,
+        source,
+    });
+}
+
+// ─── Analysis ─────────────────────────────────────────────────────────────────
+async function runAnalysis() {
+    const btn = $("analyze-btn");
+    const area = $("result-area");
+    btn.disabled = true;
+    $("analyze-btn-text").textContent = "Analyzing…";
+    $("btn-spinner").classList.remove("hidden");
+
+    try {
+        const jobData = readJobData();
+        const result = await analyzeJob({
+            jobData,
+            resumeText: currentResume.raw,
+            resumeProfile: currentResume.id
+                ? { id: currentResume.id, name: currentResume.name, versionId: currentResume.versionId || null }
+                : undefined,
+            url: analysisKey(jobData),
+        });
+        renderResult(result, area);
+    } catch (err) {
+        renderError(err.message, area, err.rateLimited);
+    } finally {
+        area.classList.remove("hidden");
+        $("analyze-btn-text").textContent = "🔍 Analyze My Match";
+        $("btn-spinner").classList.add("hidden");
+        refreshAnalyzeBtn();
+    }
+}
+
+/**
+ * A re-opened entry that wasn't edited keeps its original cache key (a page
+ * URL for page analyses); anything else is keyed on the text, since one page
+ * URL can hold many different selections.
+ */
+function analysisKey(jobData) {
+    const job = savedEntry?.job;
+    const unchanged = job
+        && jobData.title === String(job.title || "").trim()
+        && jobData.company === String(job.company || "").trim()
+        && $("job-description-input").value === (job.description || "");
+    return unchanged && savedEntry.cacheKey ? savedEntry.cacheKey : textAnalysisKey(jobData);
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+function renderResult(result, container) {
+    const pct = result.match_percentage || 0;
+    const matchClass = pct >= 80 ? "strong" : pct >= 60 ? "moderate" : "weak";
+    const emoji = pct >= 80 ? "🟢" : pct >= 60 ? "🟡" : "🔴";
+    const label = pct >= 80 ? "Strong Match" : pct >= 60 ? "Moderate Match" : "Weak Match";
+
+    container.innerHTML = `
+    <div class="result-preview">
+      <div class="rp-match ${matchClass}">
+        <span class="rp-pct">${pct}%</span>
+        <span class="rp-label">${emoji} ${label}${result.fromCache ? " · cached" : ""}</span>
+      </div>
+      ${result.experience_required ? `
+        <div class="rp-section">
+          <div class="rp-section-title">Experience Required</div>
+          <p class="rp-text">${escHtml(result.experience_required)}</p>
+        </div>` : ""}
+      ${renderTags("Matched Skills", result.matched_skills, "match")}
+      ${renderTags("Missing Skills", result.missing_skills, "miss")}
+      ${renderList("Hidden Requirements", result.hidden_requirements)}
+      ${renderTags("ATS Keywords Missing", result.ats_keywords_missing, "miss")}
+      ${renderList("Resume Improvement Tips", result.resume_improvement_suggestions)}
+      ${renderList("Recommended Projects", result.recommended_projects)}
+      <p class="rp-hint">AI Confidence: ${result.confidence_score || "N/A"}%</p>
+    </div>
+  `;
+}
+
+function renderTags(title, items, cls) {
+    if (!items?.length) return "";
+    return `
+      <div class="rp-section">
+        <div class="rp-section-title">${title} (${items.length})</div>
+        <div class="rp-tags">
+          ${items.map((s) => `<span class="rp-tag ${cls}">${escHtml(s)}</span>`).join("")}
+        </div>
+      </div>`;
+}
+
+function renderList(title, items) {
+    if (!items?.length) return "";
+    return `
+      <div class="rp-section">
+        <div class="rp-section-title">${title}</div>
+        <ul class="rp-list">${items.map((s) => `<li>${escHtml(s)}</li>`).join("")}</ul>
+      </div>`;
+}
+
+function renderError(msg, container, isRateLimit = false) {
+    container.innerHTML = `
+    <div class="popup-error">
+      <div class="pe-icon">${isRateLimit ? "⏳" : "⚠️"}</div>
+      <p>${escHtml(msg)}</p>
+    </div>
+  `;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+function escHtml(str) {
+    return String(str || "")
+        .replace(/&/g, "&amp;").replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (_) {
+        return url;
+    }
+}
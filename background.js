@@ -1,11 +1,37 @@
 /**
  * JobLens AI – Background Service Worker
- * Handles: message routing, rate limiting, result caching, tab management
+ * Handles: message routing, rate limiting, result caching, tab management,
+ * cross-site duplicate lookup, per-adapter extraction health, the "Analyze
+ * with JobLens" context menu for selected text
  */
 
+import "./utils/siteAdapters.js"; // classic script – publishes globalThis.JobLensAdapters
+import "./utils/language.js"; // classic script – publishes globalThis.JobLensLanguage
+import {
+  saveAnalysisToHistory,
+  findHistoryEntryByKey,
+  findDuplicateAnalysis,
+  recordExtractionHealth,
+} from "./utils/apiClient.js";
+
 // ─── Constants ───────────────────────────────────────────────────────────────
 const DAILY_LIMIT = 10;
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const ATS_SCRIPT_ID = "joblens-ats";
+const CUSTOM_SCRIPT_ID = "joblens-custom";
+const SELECTION_MENU_ID = "joblens-analyze-selection";
+// Same load order as the manifest's content_scripts entry
+const CONTENT_SCRIPT_FILES = [
+  "utils/siteAdapters.js",
+  "utils/language.js",
+  "utils/skillTaxonomy.js",
+  "utils/salary.js",
+  "utils/experience.js",
+  "utils/workplace.js",
+  "utils/freshness.js",
+  "utils/jobExtractor.js",
+  "content.js",
+];
 
 // ─── Message Router ───────────────────────────────────────────────────────────
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -33,11 +59,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case "UPSERT_CURRENT_JOB":
-      upsertCurrentJobForTab(sender.tab?.id, message.payload?.jobData).then(sendResponse);
+      upsertCurrentJobForTab(sender.tab?.id, message.payload?.jobData, sender.frameId).then(sendResponse);
       return true;
 
     case "CLEAR_CURRENT_JOB":
-      clearCurrentJobForTab(sender.tab?.id).then(sendResponse);
+      clearCurrentJobForTab(sender.tab?.id, sender.frameId).then(sendResponse);
       return true;
 
     case "GET_CURRENT_JOB_FOR_TAB":
@@ -53,7 +79,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case "GET_CACHED_RESULT":
-      getCachedResult(message.payload.url).then(sendResponse);
+      getCachedResult(message.payload.url, message.payload.resumeProfile).then(sendResponse);
+      return true;
+
+    // One settled extraction per job from content.js (jobData.diagnostics)
+    case "RECORD_EXTRACTION_HEALTH": {
+      const { site, diagnostics } = message.payload || {};
+      if (!site || !diagnostics) {
+        sendResponse({ success: false });
+        return false;
+      }
+      recordExtractionHealth(site, diagnostics).then(() => sendResponse({ success: true }));
+      return true;
+    }
+
+    case "FIND_DUPLICATE_ANALYSIS":
+      handleFindDuplicate(message.payload?.jobData, message.payload?.resumeProfile).then(sendResponse).catch(() => {
+        sendResponse({ success: false, match: null });
+      });
       return true;
 
     default:
@@ -62,18 +105,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // ─── Analyze + Push to Sidebar (fire-and-forget from popup) ──────────────────
-async function handleAnalyzeAndShow({ jobData, resumeText, url }, tabId) {
+async function handleAnalyzeAndShow({ jobData, resumeText, url, resumeProfile }, tabId) {
   // Open sidebar immediately so user sees loading state while analysis runs
   if (tabId) {
-    safeSendToTab(tabId, { type: "OPEN_OVERLAY_LOADING" });
+    await ensureTopFrameOverlay(tabId);
+    safeSendToTab(tabId, { type: "OPEN_OVERLAY_LOADING", jobData });
   }
 
   try {
-    const response = await handleAnalyzeJob({ jobData, resumeText, url });
+    const response = await handleAnalyzeJob({ jobData, resumeText, url, resumeProfile });
 
     if (tabId) {
       if (response.success) {
-        safeSendToTab(tabId, { type: "SHOW_RESULT", data: { ...response.data, fromCache: response.fromCache } });
+        safeSendToTab(tabId, {
+          type: "SHOW_RESULT",
+          data: { ...response.data, fromCache: response.fromCache, resumeProfile: resumeProfile || null },
+        });
       } else {
         safeSendToTab(tabId, { type: "SHOW_ERROR", error: response.error, rateLimited: response.rateLimited });
       }
@@ -85,8 +132,36 @@ async function handleAnalyzeAndShow({ jobData, resumeText, url }, tabId) {
   }
 }
 
+// ─── Cross-site Duplicates ───────────────────────────────────────────────────
+// The same role on another board (or pasted earlier) already has an analysis:
+// the overlay offers it instead of spending one of the day's analyses.
+async function handleFindDuplicate(jobData, resumeProfile) {
+  if (!jobData?.title) return { success: true, match: null };
+  const duplicate = await findDuplicateAnalysis(jobData, resumeProfile);
+  if (!duplicate) return { success: true, match: null };
+
+  const { entry, similarity } = duplicate;
+  return {
+    success: true,
+    match: {
+      historyId: entry.id,
+      site: entry.site,
+      source: entry.source,
+      url: entry.url,
+      analyzedAt: entry.analyzedAt,
+      matchPercentage: entry.matchPercentage,
+      resumeProfile: entry.resumeProfile || null,
+      similarity,
+      result: entry.result,
+    },
+  };
+}
+
 // ─── Job Analysis Handler ─────────────────────────────────────────────────────
-async function handleAnalyzeJob({ jobData, resumeText, url }) {
+// resumeProfile ({ id, name, versionId }) is the resume profile and version
+// resumeText came from; the same job analysed against another profile, or an
+// edited version of it, is a different result.
+async function handleAnalyzeJob({ jobData, resumeText, url, resumeProfile }) {
   if (!resumeText || !resumeText.trim()) {
     throw new Error("Resume is required. Please upload or paste your resume first.");
   }
@@ -96,9 +171,10 @@ async function handleAnalyzeJob({ jobData, resumeText, url }) {
   }
 
   // 1. Check cache first
-  const cached = await getCachedResult(url);
+  const cached = await getCachedResult(url, resumeProfile);
   if (cached) {
-    return { success: true, data: cached, fromCache: true };
+    const entry = await findHistoryEntryByKey(url, resumeProfile);
+    return { success: true, data: cached, fromCache: true, historyId: entry?.id || null };
   }
 
   // 2. Check rate limit
@@ -116,10 +192,16 @@ async function handleAnalyzeJob({ jobData, resumeText, url }) {
     const settings = await getSettings();
     const backendUrl = normalizeBackendUrl(settings.backendUrl || "http://localhost:8000");
 
+    // The posting's language, and the language the analysis should be written in
     const response = await fetch(`${backendUrl}/analyze`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ jobData, resumeText }),
+      body: JSON.stringify({
+        jobData: { ...jobData, diagnostics: undefined }, // local-only
+        resumeText,
+        language: jobData.language || JobLensLanguage.DEFAULT_LANGUAGE,
+        uiLanguage: JobLensLanguage.resolveUiLanguage(settings.uiLanguage, chrome.i18n.getUILanguage()),
+      }),
       signal: AbortSignal.timeout(60000), // 60s timeout
     });
 
@@ -130,10 +212,11 @@ async function handleAnalyzeJob({ jobData, resumeText, url }) {
 
     const result = await response.json();
 
-    // 4. Cache the result
-    await cacheResult(url, result);
+    // 4. Cache the result and record it in the popup's History tab
+    await cacheResult(url, result, resumeProfile);
+    const entry = await saveAnalysisToHistory(jobData, result, url, resumeProfile).catch(() => null);
 
-    return { success: true, data: result, fromCache: false };
+    return { success: true, data: result, fromCache: false, historyId: entry?.id || null };
   } catch (err) {
     // Refund the rate limit token on failure
     await refundRateLimitToken();
@@ -240,9 +323,9 @@ async function refundRateLimitToken() {
 }
 
 // ─── Cache Helpers ────────────────────────────────────────────────────────────
-async function getCachedResult(url) {
+async function getCachedResult(url, resumeProfile) {
   if (!url) return null;
-  const cacheKey = `cache_${hashUrl(url)}`;
+  const cacheKey = analysisCacheKey(url, resumeProfile);
   const data = await chrome.storage.local.get([cacheKey]);
   const entry = data[cacheKey];
   if (!entry) return null;
@@ -255,14 +338,20 @@ async function getCachedResult(url) {
   return entry.result;
 }
 
-async function cacheResult(url, result) {
+async function cacheResult(url, result, resumeProfile) {
   if (!url) return;
-  const cacheKey = `cache_${hashUrl(url)}`;
+  const cacheKey = analysisCacheKey(url, resumeProfile);
   await chrome.storage.local.set({
-    [cacheKey]: { result, timestamp: Date.now(), url },
+    [cacheKey]: { result, timestamp: Date.now(), url, resumeProfile: resumeProfile || null },
   });
 }
 
+// One entry per job URL and resume version
+function analysisCacheKey(url, resumeProfile) {
+  if (!resumeProfile?.id) return `cache_${hashUrl(url)}`;
+  return `cache_${hashUrl(`${url}#${resumeProfile.id}@${resumeProfile.versionId || ""}`)}`;
+}
+
 async function clearCache() {
   const all = await chrome.storage.local.get(null);
   const cacheKeys = Object.keys(all).filter((k) => k.startsWith("cache_"));
@@ -270,12 +359,12 @@ async function clearCache() {
   return { success: true, cleared: cacheKeys.length };
 }
 
-async function upsertCurrentJobForTab(tabId, jobData) {
+async function upsertCurrentJobForTab(tabId, jobData, frameId = 0) {
   if (!tabId || !jobData) {
     return { success: false, error: "Missing tab/job payload." };
   }
   const { currentJobByTab = {} } = await chrome.storage.local.get(["currentJobByTab"]);
-  currentJobByTab[String(tabId)] = jobData;
+  currentJobByTab[String(tabId)] = { ...jobData, frameId };
   await chrome.storage.local.set({
     currentJobByTab,
     // Backward compatibility for code paths still reading global key.
@@ -284,9 +373,15 @@ async function upsertCurrentJobForTab(tabId, jobData) {
   return { success: true };
 }
 
-async function clearCurrentJobForTab(tabId) {
+async function clearCurrentJobForTab(tabId, frameId) {
   if (!tabId) return { success: false, error: "Missing tab id." };
   const { currentJobByTab = {} } = await chrome.storage.local.get(["currentJobByTab"]);
+  const existing = currentJobByTab[String(tabId)];
+  // A frame may only clear the job it reported (e.g. the company page around
+  // an embedded Greenhouse board must not clear the board's job).
+  if (frameId !== undefined && existing && (existing.frameId || 0) !== frameId) {
+    return { success: true, skipped: true };
+  }
   delete currentJobByTab[String(tabId)];
   await chrome.storage.local.set({ currentJobByTab });
   return { success: true };
@@ -298,6 +393,141 @@ async function getCurrentJobForTab(tabId) {
   return { success: true, data: currentJobByTab[String(tabId)] || null };
 }
 
+/**
+ * When the current job came from an embedded ATS frame, the surrounding company
+ * page has no content script. Inject one into the top frame (allowed through
+ * activeTab, since this runs right after the user clicked Analyze in the popup).
+ */
+async function ensureTopFrameOverlay(tabId) {
+  const { currentJobByTab = {} } = await chrome.storage.local.get(["currentJobByTab"]);
+  if (!currentJobByTab[String(tabId)]?.frameId) return;
+
+  const hasContentScript = await new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { type: "PING" }, { frameId: 0 }, () => {
+      resolve(!chrome.runtime.lastError);
+    });
+  });
+  if (hasContentScript) return;
+
+  try {
+    await chrome.scripting.insertCSS({ target: { tabId, frameIds: [0] }, files: ["styles.css"] });
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [0] }, files: CONTENT_SCRIPT_FILES });
+  } catch (_) {
+    // No access to the top frame – results still reach the popup's history.
+  }
+}
+
+// ─── ATS Boards (opt-in host access) ──────────────────────────────────────────
+// Company ATS hosts live in optional_host_permissions so the install-time
+// permission prompt doesn't grow. Once the user grants them (popup → Settings),
+// content.js is registered dynamically for those hosts.
+function getAtsOrigins() {
+  return JobLensAdapters.getOptionalOrigins();
+}
+
+async function syncAtsContentScripts() {
+  const granted = await filterGrantedOrigins(getAtsOrigins());
+  return registerDynamicContentScript(ATS_SCRIPT_ID, granted, {
+    allFrames: true, // Greenhouse boards embedded as iframes on company sites
+  });
+}
+
+// ─── Custom Site Adapters ─────────────────────────────────────────────────────
+// Adapters added on the options page name their own match patterns; the options
+// page requests host access for them when saving, and the content script is
+// registered here for whichever of those origins the manifest doesn't cover.
+async function syncCustomAdapterScripts() {
+  const { customAdapters = [] } = await chrome.storage.local.get(["customAdapters"]);
+  const covered = new Set([
+    ...chrome.runtime.getManifest().content_scripts.flatMap((cs) => cs.matches),
+    ...getAtsOrigins(),
+  ]);
+  const origins = [...new Set(customAdapters.flatMap((a) => a.matches || []))]
+    .filter((m) => !covered.has(m));
+
+  const granted = await filterGrantedOrigins(origins);
+  return registerDynamicContentScript(CUSTOM_SCRIPT_ID, granted);
+}
+
+function syncDynamicContentScripts() {
+  return Promise.all([syncAtsContentScripts(), syncCustomAdapterScripts()]);
+}
+
+async function filterGrantedOrigins(origins) {
+  const granted = [];
+  for (const origin of origins) {
+    if (await chrome.permissions.contains({ origins: [origin] })) granted.push(origin);
+  }
+  return granted;
+}
+
+async function registerDynamicContentScript(id, matches, options = {}) {
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+  if (existing.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: [id] });
+  }
+  if (!matches.length) return { success: true, registered: 0 };
+
+  await chrome.scripting.registerContentScripts([{
+    id,
+    matches,
+    js: CONTENT_SCRIPT_FILES,
+    css: ["styles.css"],
+    runAt: "document_idle",
+    ...options,
+  }]);
+  return { success: true, registered: matches.length };
+}
+
+// ─── Selected Text (context menu) ─────────────────────────────────────────────
+// Postings that no adapter understands – a PDF, an email, a forum post – can
+// still be analysed: the selection opens analyze.html in a small window, where
+// the guessed title can be corrected before it goes through ANALYZE_JOB.
+function createSelectionMenu() {
+  chrome.contextMenus.create({
+    id: SELECTION_MENU_ID,
+    title: "Analyze with JobLens",
+    contexts: ["selection"],
+  }, () => void chrome.runtime.lastError); // already exists after an update
+}
+
+async function handleSelectionMenu(info, tab) {
+  const text = (await readTabSelection(tab)) || info.selectionText || "";
+  if (!text.trim()) return;
+
+  await chrome.storage.local.set({
+    selectionDraft: {
+      text,
+      url: info.pageUrl || tab?.url || "",
+      pageTitle: tab?.title || "",
+      createdAt: new Date().toISOString(),
+    },
+  });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL("analyze.html?source=selection"),
+    type: "popup",
+    width: 480,
+    height: 760,
+  });
+}
+
+/**
+ * info.selectionText collapses line breaks, and the title guess needs the first
+ * line – so read the selection from the page when activeTab allows it.
+ */
+async function readTabSelection(tab) {
+  if (!tab?.id) return "";
+  try {
+    const [frame] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => window.getSelection()?.toString() || "",
+    });
+    return frame?.result || "";
+  } catch (_) {
+    return ""; // PDF viewer, chrome:// pages, Web Store
+  }
+}
+
 // ─── Settings ─────────────────────────────────────────────────────────────────
 async function getSettings() {
   const data = await chrome.storage.local.get(["settings"]);
@@ -360,6 +590,31 @@ chrome.runtime.onInstalled.addListener(({ reason }) => {
   }
 });
 
+chrome.runtime.onInstalled.addListener(() => {
+  syncDynamicContentScripts().catch(() => {});
+  createSelectionMenu();
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === SELECTION_MENU_ID) {
+    handleSelectionMenu(info, tab).catch(() => {});
+  }
+});
+
+chrome.permissions.onAdded.addListener(() => {
+  syncDynamicContentScripts().catch(() => {});
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncDynamicContentScripts().catch(() => {});
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.customAdapters) {
+    syncCustomAdapterScripts().catch(() => {});
+  }
+});
+
 chrome.tabs.onRemoved.addListener(async (tabId) => {
   try {
     await clearCurrentJobForTab(tabId);
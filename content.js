@@ -2,136 +2,38 @@
  * JobLens AI – Content Script
  * Injected into job pages. Detects job context, injects the overlay,
  * and bridges the page ↔ background worker communication.
- * NOTE: Self-contained – no ES module imports (content scripts don't support them).
+ * NOTE: No ES module imports (content scripts don't support them) – the
+ * manifest loads utils/siteAdapters.js, the parsers (skills, salary, experience,
+ * workplace, freshness) and utils/jobExtractor.js first, which publish
+ * JobLensAdapters / JobLensExtractor / … on the shared content-script global.
  */
 
-// ─── Inlined from utils/jobExtractor.js ──────────────────────────────────────
-const SiteType = { LINKEDIN: "linkedin", INTERNSHALA: "internshala", GENERIC: "generic", UNSUPPORTED: "unsupported" };
-
-function detectSite(url = window.location.href) {
-  if (/linkedin\.com\/jobs/.test(url)) return SiteType.LINKEDIN;
-  if (/internshala\.com\/(internship|jobs)/.test(url)) return SiteType.INTERNSHALA;
-  if (hasJobKeywords()) return SiteType.GENERIC;
-  return SiteType.UNSUPPORTED;
-}
-
-function hasJobKeywords() {
-  const t = document.body?.innerText?.toLowerCase() || "";
-  return ["responsibilities", "requirements", "qualifications", "job description", "what you will do", "skills required"].some(k => t.includes(k));
-}
-
-function extractJobData() {
-  const site = detectSite();
-  let data;
-  if (site === SiteType.LINKEDIN) data = extractLinkedIn();
-  else if (site === SiteType.INTERNSHALA) data = extractInternshala();
-  else if (site === SiteType.GENERIC) data = extractGeneric();
-  else return null;
-  if (!data) return null;
-  return ensureJobDescription({
-    ...data,
-    site,
-    url: window.location.href,
-    extractedAt: new Date().toISOString(),
-  });
-}
-
-function getText(sel) { return document.querySelector(sel)?.innerText?.trim() || ""; }
-
-function extractLinkedIn() {
-  try {
-    const title = getText(".job-details-jobs-unified-top-card__job-title") || getText(".jobs-unified-top-card__job-title") || getText("h1");
-    const company =
-      getText(".job-details-jobs-unified-top-card__company-name a") ||
-      getText(".jobs-unified-top-card__company-name a") ||
-      getText(".job-details-jobs-unified-top-card__company-name") ||
-      getText(".jobs-unified-top-card__company-name") ||
-      getText(".jobs-unified-top-card__subtitle-primary-grouping a") ||
-      getText(".topcard__org-name-link");
-    const location = getText(".job-details-jobs-unified-top-card__bullet") || getText(".jobs-unified-top-card__bullet");
-    const descEl = document.querySelector(".jobs-description__content") || document.querySelector(".jobs-description") || document.querySelector("#job-details");
-    const description = descEl?.innerText?.trim() || "";
-    const experience = parseExperience(description);
-    const salary = extractSalary(description);
-    const skillEls = document.querySelectorAll(".job-details-skill-match-status-list__unmatched-skill-text, .job-details-preferences-and-skills__pill");
-    const skills = [...skillEls].map(el => el.innerText.trim()).filter(Boolean);
-    return { title, company, location, experience, salary, description, skills };
-  } catch (e) { return extractGeneric(); }
-}
-
-function extractInternshala() {
-  try {
-    const title = getText(".profile h1") || getText("h1.job-internship-name") || getText("h1");
-    const company = getText(".company-name") || getText(".link_display_like_text .heading_6");
-    const location = getText(".location_link") || "";
-    const descWrapper = document.querySelector("#about_internship") || document.querySelector(".internship-description");
-    const description = descWrapper?.innerText?.trim() || document.body.innerText.trim().slice(0, 5000);
-    const experience = parseExperience(description);
-    const salary = extractSalary(getText(".stipend_container") || description);
-    const skillEls = document.querySelectorAll(".round_tabs .round_without_icon, .tags_container .tag");
-    const skills = [...skillEls].map(el => el.innerText.trim()).filter(Boolean);
-    return { title, company, location, experience, salary, description, skills };
-  } catch (e) { return extractGeneric(); }
-}
-
-function extractGeneric() {
-  try {
-    const title = document.querySelector("h1")?.innerText?.trim() || document.title;
-    const company = document.querySelector('[class*="company"]')?.innerText?.trim() || "";
-    const location = document.querySelector('[class*="location"]')?.innerText?.trim() || "";
-    const descEl = document.querySelector('[class*="description"]') || document.querySelector("main") || document.body;
-    const clone = descEl.cloneNode(true);
-    ["nav", "header", "footer", "script", "style"].forEach(t => clone.querySelectorAll(t).forEach(n => n.remove()));
-    const description = (clone.innerText || "").trim().slice(0, 8000);
-    return { title, company, location, experience: parseExperience(description), salary: extractSalary(description), description, skills: [] };
-  } catch (e) { return null; }
-}
-
-function parseExperience(text) {
-  const m = text.match(/(\d+)\+?\s*(?:to|-)\s*(\d+)\s*years?/i) || text.match(/(\d+)\+?\s*years?\s+(?:of\s+)?(?:experience|exp)/i);
-  return m ? (m[2] ? `${m[1]}-${m[2]} years` : `${m[1]}+ years`) : "Not specified";
-}
-
-function extractSalary(text) {
-  const m = text.match(/(?:₹|rs\.?|inr)\s*[\d,]+[^\n]*/i) || text.match(/\$\s*[\d,]+[^\n]*/i) || text.match(/stipend[:\s]+[^\n]*/i);
-  return m ? m[0].trim() : "Not disclosed";
-}
-
-function ensureJobDescription(jobData) {
-  const current = (jobData?.description || "").replace(/\s+/g, " ").trim();
-  if (current.length >= 50) return { ...jobData, description: current.slice(0, 8000) };
-
-  const selectors = [
-    ".jobs-description__content",
-    ".jobs-description-content__text",
-    ".jobs-description",
-    "#job-details",
-    "[class*='description']",
-    "main",
-    "[role='main']",
-    "article",
-    "body",
-  ];
-
-  let fallback = "";
-  for (const sel of selectors) {
-    const txt = document.querySelector(sel)?.innerText?.replace(/\s+/g, " ").trim() || "";
-    if (txt.length > fallback.length) fallback = txt;
-    if (fallback.length >= 1200) break;
-  }
-
-  const merged = [current, fallback].filter(Boolean).join("\n\n").trim();
-  return { ...jobData, description: merged.slice(0, 8000) };
-}
-
-
 // ─── State ────────────────────────────────────────────────────────────────────
+// Greenhouse boards are often embedded as an iframe on the company's own site.
+// Inside such a frame we only extract and report the job; the overlay lives in
+// the top frame, which background.js injects on demand.
+const IS_EMBEDDED_FRAME = window !== window.top;
 let overlayInjected = false;
 let currentJobData = null;
 let overlayPanel = null;
 let lastOpenedUrl = null; // URL for which sidebar was last opened
+let autoOpenPending = false; // waiting for the posted date before auto-opening
 let currentJobIdentity = "";
 let lastExtractionSuccessAt = 0;
+let customAdapters = []; // user-defined site adapters (options page)
+let userSettings = {}; // popup Settings – salary currency, exchange rates, work preferences
+let resumeExperience = null; // work history measured from the stored resume
+let resumeSkills = []; // canonical skill ids from the stored resume
+let resumeProfiles = { activeId: null, profiles: [] }; // Resume Manager profiles holding a resume
+let selectedProfileId = null; // overlay picker; null → the active profile
+let healthSampleTimer = null;
+let healthSampleKey = ""; // job identity (or missing-job URL) last sampled
+
+// Overlay header lines under the title, in display order (declared before init
+// runs, which renders the header on job pages)
+const HEADER_PARTS = ["jl-job-company", "jl-job-fresh", "jl-job-salary", "jl-job-flags"];
+// Extraction health is sampled once per job, after the details pane has rendered
+const HEALTH_SAMPLE_DELAY_MS = 5000;
 
 // ─── Init ─────────────────────────────────────────────────────────────────────
 (function init() {
@@ -161,9 +63,63 @@ let lastExtractionSuccessAt = 0;
     }
   }, 1500);
 
+  // User adapters may claim this page – re-check once they load or change
+  chrome.storage.local.get(["customAdapters", "settings", "resume", "resumeProfiles"], (data) => {
+    userSettings = data.settings || {};
+    setResumeProfiles(data.resumeProfiles);
+    setStoredResume(data.resume);
+    setCustomAdapters(data.customAdapters);
+    onPageChange();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+    if (changes.settings) {
+      userSettings = changes.settings.newValue || {};
+      if (currentJobData) updateSidebarJobHeader(currentJobData);
+    }
+    if (changes.resumeProfiles) {
+      setResumeProfiles(changes.resumeProfiles.newValue);
+    }
+    if (changes.resume) {
+      setStoredResume(getPickedProfile() || changes.resume.newValue);
+      resetSearchBadges();
+    }
+    if (changes.customAdapters) {
+      setCustomAdapters(changes.customAdapters.newValue);
+      onPageChange();
+    }
+  });
+
   onPageChange();
 })();
 
+function setCustomAdapters(list) {
+  customAdapters = Array.isArray(list) ? list : [];
+  JobLensExtractor.setCustomAdapters(customAdapters);
+}
+
+// Skills for search-card badges; experience from dated roles, overlap-merged
+// (a work history corrected in the Resume Manager wins; resumes without dates
+// fall back to the parsed years)
+function setStoredResume(resume) {
+  resumeSkills = JobLensSkills.normalizeSkillList(resume?.parsed?.skills || []);
+  resumeExperience = resume?.raw ? JobLensExperience.computeProfileExperience(resume) : null;
+}
+
+// Named resumes (utils/resumeProfiles.js); a pick that was deleted falls back
+// to the active profile
+function setResumeProfiles(state) {
+  resumeProfiles = {
+    activeId: state?.activeId || null,
+    profiles: (state?.profiles || []).filter((p) => p.raw?.trim()),
+  };
+  if (!getPickedProfile()) selectedProfileId = null;
+}
+
+function getPickedProfile() {
+  return resumeProfiles.profiles.find((p) => p.id === selectedProfileId) || null;
+}
+
 function schedulePageCheck() {
   setTimeout(onPageChange, 400);
   setTimeout(onPageChange, 1200);
@@ -172,27 +128,23 @@ function schedulePageCheck() {
 
 // ─── URL-based job page detection (no DOM required) ───────────────────────────
 function isJobPageUrl(url = location.href) {
-  return (
-    /linkedin\.com\/jobs\/view\//i.test(url) ||
-    /linkedin\.com\/jobs\/search\/.*currentJobId/i.test(url) ||
-    /internshala\.com\/(internship|jobs)\//i.test(url)
-  );
+  return JobLensAdapters.isJobPageUrl(url, customAdapters);
 }
 
 function onPageChange() {
   const url = location.href;
+  if (!IS_EMBEDDED_FRAME) scanSearchCards();
 
   // ── Step 1: URL-based check — open sidebar without needing DOM ready ─────
-  if (isJobPageUrl(url) && url !== lastOpenedUrl) {
+  if (!IS_EMBEDDED_FRAME && isJobPageUrl(url) && url !== lastOpenedUrl) {
     lastOpenedUrl = url;
 
     // Inject overlay if first time
     if (!overlayInjected) injectOverlay();
 
-    // Auto-open sidebar
-    if (overlayPanel && !overlayPanel.classList.contains("open")) {
-      overlayPanel.classList.add("open");
-    }
+    // With "skip old postings" on, the posted date decides (Step 2)
+    autoOpenPending = userSettings.skipAutoOpenOlderThanDays > 0;
+    if (!autoOpenPending) autoOpenSidebar();
   }
 
   // ── Step 2: Try to extract job data and update sidebar when job changes ──
@@ -205,6 +157,8 @@ function onPageChange() {
       lastExtractionSuccessAt = 0;
       notifyPopup(null);
     } else {
+      // The adapter may have stopped matching this site's markup altogether
+      scheduleHealthSample(`missing:${url}`);
       // On job URLs, clear stale data if extraction keeps failing for a while.
       const tooStale = lastExtractionSuccessAt && Date.now() - lastExtractionSuccessAt > 12000;
       if (tooStale) {
@@ -216,103 +170,113 @@ function onPageChange() {
     return;
   }
 
-  const normalizedJobData = ensureJobDescription(jobData);
-  const nextIdentity = getJobIdentity(normalizedJobData);
+  const nextIdentity = getJobIdentity(jobData);
   const isNewJob = currentJobIdentity !== nextIdentity;
 
   // Update stored job data
-  currentJobData = normalizedJobData;
+  currentJobData = jobData;
   currentJobIdentity = nextIdentity;
   lastExtractionSuccessAt = Date.now();
-  notifyPopup(normalizedJobData);
+  notifyPopup(jobData);
 
   // Keep header synced even when only company/title appears late.
   if (overlayPanel) {
-    updateSidebarJobHeader(normalizedJobData);
+    updateSidebarJobHeader(jobData);
   }
 
+  if (autoOpenPending) {
+    autoOpenPending = false;
+    if (!JobLensFreshness.isOlderThan(jobData.freshness, userSettings.skipAutoOpenOlderThanDays)) {
+      autoOpenSidebar();
+    }
+  }
+
+  if (isNewJob) scheduleHealthSample(nextIdentity);
+  // The job now open in the details pane can swap its card-only badge
+  if (isNewJob && !IS_EMBEDDED_FRAME) scanSearchCards();
+
   // When job switches: update title/company and prompt manual analyze.
   if (isNewJob && overlayPanel) {
     showReadyState();
+    offerDuplicateAnalysis(jobData);
   }
 }
 
-// Lenient extraction — returns null only on complete failure, never an empty title
-function tryExtractJobData() {
-  const url = location.href;
-
-  // LinkedIn
-  if (/linkedin\.com\/jobs/i.test(url)) {
-    const title =
-      getText(".job-details-jobs-unified-top-card__job-title h1") ||
-      getText(".jobs-unified-top-card__job-title") ||
-      getText(".job-details-jobs-unified-top-card__job-title") ||
-      getText(".job-card-list__title") ||
-      getText(".jobs-details-top-card__job-title") ||
-      getText(".t-24.t-bold.inline") ||
-      getText("h1.jobs-unified-top-card__job-title") ||
-      getText(".artdeco-entity-lockup__title em") ||
-      getText("h2[class*='job-title']") ||
-      // Broad fallback: any h1/h2 inside the job details pane
-      (document.querySelector(".jobs-details,.jobs-search__job-details,#job-details")?.querySelector("h1,h2")?.innerText?.trim()) ||
-      document.title.replace(/ *[|\-–] .*$/, "").trim(); // strip site name from tab title
-
-    if (!title) return null;
-
-    const company =
-      getText(".job-details-jobs-unified-top-card__company-name a") ||
-      getText(".jobs-unified-top-card__company-name a") ||
-      getText(".job-details-jobs-unified-top-card__company-name") ||
-      getText(".jobs-unified-top-card__company-name") ||
-      getText(".job-details-jobs-unified-top-card__primary-description-container a") ||
-      getText(".jobs-unified-top-card__subtitle-primary-grouping a") ||
-      getText(".job-details-jobs-unified-top-card__primary-description") ||
-      getText(".topcard__org-name-link") ||
-      getText(".job-card-container__company-name");
-
-    const descEl =
-      document.querySelector(".jobs-description__content") ||
-      document.querySelector(".jobs-description") ||
-      document.querySelector("#job-details") ||
-      document.querySelector(".jobs-details__main-content");
-
-    const description = descEl?.innerText?.trim() || "";
-
-    return ensureJobDescription({
-      title, company,
-      location: getText(".job-details-jobs-unified-top-card__bullet") || getText(".jobs-unified-top-card__bullet"),
-      description, skills: [],
-      experience: parseExperience(description),
-      salary: extractSalary(description),
-      site: "linkedin", url, extractedAt: new Date().toISOString()
-    });
+function autoOpenSidebar() {
+  if (overlayPanel && !overlayPanel.classList.contains("open")) {
+    overlayPanel.classList.add("open");
   }
+}
 
-  // Internshala / generic fallback
-  const generic = extractJobData();
-  return generic?.title ? ensureJobDescription(generic) : null;
+// Returns null until the page has a job with at least a title
+function tryExtractJobData() {
+  return JobLensExtractor.extractJobData();
 }
 
 // Update job title/company in sidebar header without wiping results
 function updateSidebarJobHeader(jobData) {
   if (!overlayPanel) return;
   const titleEl = overlayPanel.querySelector(".jl-job-title");
-  let companyEl = overlayPanel.querySelector(".jl-job-company");
-  const jobInfoEl = overlayPanel.querySelector(".jl-job-info");
-
   if (titleEl) titleEl.textContent = jobData.title || "Detected Job";
 
-  const nextCompany = (jobData.company || "").trim();
-  if (nextCompany) {
-    if (!companyEl && jobInfoEl) {
-      companyEl = document.createElement("div");
-      companyEl.className = "jl-job-company";
-      jobInfoEl.appendChild(companyEl);
-    }
-    if (companyEl) companyEl.textContent = nextCompany;
-  } else if (companyEl) {
-    companyEl.remove();
+  const company = (jobData.company || "").trim();
+  setHeaderPart("jl-job-company", company && ((el) => {
+    el.textContent = company;
+  }));
+
+  const fresh = JobLensFreshness.describeFreshness(jobData.freshness);
+  setHeaderPart("jl-job-fresh", fresh && ((el) => {
+    el.textContent = fresh.label;
+    el.title = fresh.details.join(" · ");
+    el.dataset.level = fresh.level;
+  }));
+
+  const salary = annualSalaryLabel(jobData);
+  setHeaderPart("jl-job-salary", salary && ((el) => {
+    el.textContent = salary;
+    el.title = jobData.salary || "";
+  }));
+
+  const flags = workplaceFlagsHTML(jobData);
+  setHeaderPart("jl-job-flags", flags && ((el) => {
+    el.innerHTML = flags;
+  }));
+}
+
+// Create, update or remove one header line, keeping HEADER_PARTS order when
+// parts show up late (company names and insights often render after the title)
+function setHeaderPart(className, fill) {
+  const jobInfoEl = overlayPanel?.querySelector(".jl-job-info");
+  if (!jobInfoEl) return;
+  let el = jobInfoEl.querySelector(`.${className}`);
+  if (!fill) {
+    el?.remove();
+    return;
   }
+  if (!el) {
+    el = document.createElement("div");
+    el.className = className;
+    const next = HEADER_PARTS.slice(HEADER_PARTS.indexOf(className) + 1)
+      .map((name) => jobInfoEl.querySelector(`.${name}`))
+      .find(Boolean);
+    jobInfoEl.insertBefore(el, next || null);
+  }
+  fill(el);
+}
+
+// Posted pay normalised to a yearly figure in the user's currency
+function annualSalaryLabel(jobData) {
+  return JobLensSalary.describeAnnual(jobData?.salaryInfo, userSettings);
+}
+
+// Work mode / relocation / visa chips and clashes with the saved work preferences
+function workplaceFlagsHTML(jobData) {
+  const chips = JobLensWorkplace.describeWorkplace(jobData?.workplace);
+  const conflicts = JobLensWorkplace.findConflicts(jobData, userSettings.workPrefs);
+  return [
+    ...chips.map((c) => `<span class="jl-flag">${escHtml(c)}</span>`),
+    ...conflicts.map((c) => `<div class="jl-conflict">⚠ ${escHtml(c)}</div>`),
+  ].join("");
 }
 
 // Show "ready to analyze" state in the sidebar content area
@@ -322,6 +286,7 @@ function showReadyState() {
   const analyzeBtn = overlayPanel?.querySelector("#jl-analyze-btn");
   if (analyzeBtn) analyzeBtn.dataset.analyzed = "false";
   content.innerHTML = `
+    ${getProfilePickerHTML()}
     <div class="jl-intro">
       <p>New job detected. Analyze this job to update your match report.</p>
       <button class="jl-btn primary" id="jl-analyze-btn">
@@ -334,6 +299,101 @@ function showReadyState() {
     showLoadingState();
     requestAnalysis();
   });
+  content.querySelector("#jl-profile-select")?.addEventListener("change", (e) => {
+    selectedProfileId = e.target.value;
+    // Experience Check and skill badges follow the picked resume, and so does
+    // the offer of an earlier analysis
+    setStoredResume(getPickedProfile());
+    showReadyState();
+    if (currentJobData) offerDuplicateAnalysis(currentJobData);
+  });
+}
+
+// Shown only when there is more than one resume to choose from
+function getProfilePickerHTML() {
+  const { profiles, activeId } = resumeProfiles;
+  if (profiles.length < 2) return "";
+  const current = selectedProfileId || activeId;
+  const options = profiles
+    .map((p) => `<option value="${escHtml(p.id)}"${p.id === current ? " selected" : ""}>${escHtml(p.name)}</option>`)
+    .join("");
+  return `
+    <label class="jl-profile-picker">
+      <span>Resume</span>
+      <select id="jl-profile-select">${options}</select>
+    </label>`;
+}
+
+// ─── Extraction Health ────────────────────────────────────────────────────────
+// Sends the settled extraction's per-field diagnostics to background.js, which
+// keeps a rolling health record per adapter (popup: "LinkedIn extraction degraded since…")
+function scheduleHealthSample(key) {
+  if (key === healthSampleKey) return;
+  healthSampleKey = key;
+  clearTimeout(healthSampleTimer);
+  healthSampleTimer = setTimeout(() => {
+    // Re-extract: the details pane may have filled in since the job was detected
+    const diagnostics = tryExtractJobData()?.diagnostics || JobLensExtractor.diagnoseAdapterPage();
+    if (!diagnostics || diagnostics.adapter === JobLensExtractor.SiteType.GENERIC) return;
+    const payload = { site: diagnostics.adapter, diagnostics };
+    chrome.runtime.sendMessage({ type: "RECORD_EXTRACTION_HEALTH", payload }, () => {
+      if (chrome.runtime.lastError) {
+        // Service worker asleep or extension reloaded – skip this sample.
+        return;
+      }
+    });
+  }, HEALTH_SAMPLE_DELAY_MS);
+}
+
+// ─── Cross-site Duplicates ───────────────────────────────────────────────────
+// The same role analysed on another board (or pasted) is matched by content
+// fingerprint in background.js; offer that result instead of a new analysis.
+const DUPLICATE_SOURCES = { manual: "pasted text", selection: "selected text" };
+
+// Only analyses scored against the resume that would be used now are offered
+async function offerDuplicateAnalysis(jobData) {
+  const identity = currentJobIdentity;
+  const picked = selectedProfileId;
+  const resume = getPickedProfile() || (await getStoredResume());
+  const payload = { jobData, resumeProfile: (resume && profileRef(resume)) || null };
+  chrome.runtime.sendMessage({ type: "FIND_DUPLICATE_ANALYSIS", payload }, (response) => {
+    if (chrome.runtime.lastError || !response?.match) return;
+    // Still on the same job and resume, and nothing analysed yet
+    const intro = overlayPanel?.querySelector("#jl-content .jl-intro");
+    if (identity !== currentJobIdentity || picked !== selectedProfileId) return;
+    if (!intro || intro.querySelector(".jl-duplicate")) return;
+
+    const match = response.match;
+    const notice = document.createElement("div");
+    notice.className = "jl-duplicate";
+    notice.innerHTML = `
+      <p>You analyzed this role on ${escHtml(duplicateOrigin(match))} ${escHtml(formatDaysAgo(match.analyzedAt))} – <strong>${match.matchPercentage ?? 0}%</strong></p>
+      <button class="jl-btn primary" id="jl-duplicate-show">📋 Show that analysis</button>
+      <button class="jl-btn secondary" id="jl-duplicate-ignore">Analyze anyway</button>
+    `;
+    notice.title = match.url || "";
+    intro.replaceChildren(notice);
+
+    notice.querySelector("#jl-duplicate-show").addEventListener("click", () => {
+      showResultInOverlay({ ...match.result, fromCache: true, duplicateOf: match });
+    });
+    notice.querySelector("#jl-duplicate-ignore").addEventListener("click", () => {
+      showLoadingState();
+      requestAnalysis();
+    });
+  });
+}
+
+function duplicateOrigin(match) {
+  if (DUPLICATE_SOURCES[match.source]) return DUPLICATE_SOURCES[match.source];
+  const adapter = JobLensAdapters.BUILT_IN_ADAPTERS.find((a) => a.id === match.site);
+  return adapter?.label || "another site";
+}
+
+function formatDaysAgo(iso) {
+  const days = Math.floor((Date.now() - Date.parse(iso)) / (24 * 60 * 60 * 1000));
+  if (!(days >= 1)) return "today";
+  return days === 1 ? "yesterday" : `${days} days ago`;
 }
 
 function getJobSignature(jobData) {
@@ -345,16 +405,8 @@ function getJobSignature(jobData) {
 
 function getJobIdentity(jobData) {
   const url = String(jobData?.url || location.href);
-
-  // LinkedIn stable IDs
-  const viewId = url.match(/linkedin\.com\/jobs\/view\/(\d+)/i)?.[1];
-  if (viewId) return `li_view_${viewId}`;
-
-  const currentJobId = url.match(/[?&]currentJobId=(\d+)/i)?.[1];
-  if (currentJobId) return `li_search_${currentJobId}`;
-
-  // Internshala / generic fallback
-  return getJobSignature(jobData);
+  // Stable per-site job ids (LinkedIn, Naukri, Indeed…), else title/company signature
+  return JobLensAdapters.getAdapterIdentity(url, customAdapters) || getJobSignature(jobData);
 }
 
 
@@ -366,12 +418,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       try {
         const live = tryExtractJobData();
         if (live?.title) {
-          const normalized = ensureJobDescription(live);
-          currentJobData = normalized;
-          currentJobIdentity = getJobIdentity(normalized);
+          currentJobData = live;
+          currentJobIdentity = getJobIdentity(live);
           lastExtractionSuccessAt = Date.now();
-          notifyPopup(normalized);
-          sendResponse({ success: true, data: normalized });
+          notifyPopup(live);
+          sendResponse({ success: true, data: live });
         } else {
           sendResponse({ success: true, data: currentJobData });
         }
@@ -380,19 +431,39 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
       break;
 
+    // Overlay messages are handled by the top frame only
+    case "SHOW_RESULT":
+    case "OPEN_OVERLAY_LOADING":
+    case "SHOW_ERROR":
+    case "TOGGLE_OVERLAY":
+    case "CLOSE_OVERLAY":
+      if (IS_EMBEDDED_FRAME) return false;
+      handleOverlayMessage(msg);
+      sendResponse({ success: true });
+      break;
+
+    default:
+      sendResponse({ success: false });
+  }
+  return true;
+});
+
+function handleOverlayMessage(msg) {
+  switch (msg.type) {
     case "SHOW_RESULT":
       if (!overlayInjected) injectOverlay();
       overlayPanel && overlayPanel.classList.add("open");
       showResultInOverlay(msg.data);
-      sendResponse({ success: true });
       break;
 
     // Sent by ANALYZE_AND_SHOW before analysis starts — open sidebar in loading state
     case "OPEN_OVERLAY_LOADING":
+      // Job may come from an embedded ATS frame this page can't read itself
+      if (!currentJobData && msg.jobData) currentJobData = msg.jobData;
       if (!overlayInjected) injectOverlay();
       overlayPanel && overlayPanel.classList.add("open");
+      if (currentJobData) updateSidebarJobHeader(currentJobData);
       showLoadingState();
-      sendResponse({ success: true });
       break;
 
     // Sent by ANALYZE_AND_SHOW when analysis fails (popup already closed)
@@ -400,24 +471,17 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       if (!overlayInjected) injectOverlay();
       overlayPanel && overlayPanel.classList.add("open");
       showErrorState(msg.error || "Analysis failed. Please try again.");
-      sendResponse({ success: true });
       break;
 
     case "TOGGLE_OVERLAY":
       toggleOverlay();
-      sendResponse({ success: true });
       break;
 
     case "CLOSE_OVERLAY":
       closeOverlay();
-      sendResponse({ success: true });
       break;
-
-    default:
-      sendResponse({ success: false });
   }
-  return true;
-});
+}
 
 // ─── Overlay Injection ────────────────────────────────────────────────────────
 function injectOverlay() {
@@ -456,6 +520,7 @@ function injectOverlay() {
   overlayPanel.innerHTML = getInitialPanelHTML();
   overlayPanel.style.pointerEvents = "auto";
   shadow.appendChild(overlayPanel);
+  if (currentJobData) updateSidebarJobHeader(currentJobData);
 
   // Wire up close button
   overlayPanel.querySelector("#jl-close-btn")?.addEventListener("click", closeOverlay);
@@ -488,12 +553,19 @@ function showLoadingState() {
 function showErrorState(msg) {
   const content = overlayPanel?.querySelector("#jl-content");
   if (!content) return;
+  // The experience check is local, so it still works when the backend is down
+  const expFit = renderExperienceFit();
   content.innerHTML = `
     <div class="jl-error">
       <div class="jl-error-icon">⚠️</div>
       <p>${escHtml(msg)}</p>
       <button class="jl-btn" id="jl-retry">Retry</button>
     </div>
+    ${expFit ? `
+      <div class="jl-card">
+        <div class="jl-card-title">⏱ Experience Check</div>
+        ${expFit}
+      </div>` : ""}
   `;
   content.querySelector("#jl-retry")?.addEventListener("click", () => {
     showLoadingState();
@@ -502,8 +574,8 @@ function showErrorState(msg) {
 }
 
 async function requestAnalysis() {
-  // Retrieve resume from storage
-  const resume = await getStoredResume();
+  // The profile picked in the overlay, else the active one from storage
+  const resume = getPickedProfile() || (await getStoredResume());
   if (!resume) {
     showErrorState("No resume found. Please upload your resume in the JobLens popup first.");
     return;
@@ -515,6 +587,7 @@ async function requestAnalysis() {
       payload: {
         jobData: currentJobData,
         resumeText: resume.raw,
+        resumeProfile: profileRef(resume),
         url: currentJobData.url,
       },
     },
@@ -524,7 +597,7 @@ async function requestAnalysis() {
         return;
       }
       if (response?.success) {
-        showResultInOverlay(response.data);
+        showResultInOverlay({ ...response.data, resumeProfile: profileRef(resume) });
       } else {
         showErrorState(response?.error || "Analysis failed. Please try again.");
       }
@@ -532,7 +605,152 @@ async function requestAnalysis() {
   );
 }
 
+// ─── Search Result Badges ─────────────────────────────────────────────────────
+// Cards on result lists (adapter.searchCards) get a skill-overlap badge against
+// the stored resume. Scored lazily as cards scroll into view from the card's
+// own text, or the full extraction for the job open in the details pane –
+// no requests and nothing counted against the daily limit.
+const cardScores = new Map(); // job id → { score, matched, missing, partial }
+let cardObserver = null;
+
+function getSearchCardsConfig(url = location.href) {
+  const config = JobLensAdapters.findAdapter(url, customAdapters)?.searchCards;
+  if (!config) return null;
+  return config.pages.some((source) => new RegExp(source, "i").test(url)) ? config : null;
+}
+
+function scanSearchCards() {
+  const config = getSearchCardsConfig();
+  if (!config || !resumeSkills.length) return;
+
+  if (!cardObserver) {
+    cardObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        cardObserver.unobserve(entry.target);
+        scoreSearchCard(entry.target, getSearchCardsConfig());
+      }
+    }, { rootMargin: "200px 0px" });
+  }
+
+  // LinkedIn recycles list items as you scroll, so re-observe cards without a
+  // full badge – card-only scores are redone once their job has been extracted
+  for (const card of querySearchCards(config)) {
+    if (card.dataset.joblensObserved === "1" || card.querySelector(".joblens-card-badge:not([data-partial])")) continue;
+    card.dataset.joblensObserved = "1";
+    cardObserver.observe(card);
+  }
+}
+
+function querySearchCards(config) {
+  for (const selector of config.card) {
+    const cards = document.querySelectorAll(selector);
+    if (cards.length) return [...cards];
+  }
+  return [];
+}
+
+function searchCardId(card, config) {
+  for (const attr of config.id) {
+    const value = card.getAttribute(attr) || card.querySelector(`[${attr}]`)?.getAttribute(attr);
+    if (value) return value;
+  }
+  return "";
+}
+
+function scoreSearchCard(card, config) {
+  delete card.dataset.joblensObserved;
+  if (!config) return;
+  const id = searchCardId(card, config);
+  if (!id) return;
+
+  if (cardScores.has(id)) {
+    renderCardBadge(card, config, cardScores.get(id));
+    return;
+  }
+
+  // The job open in the details pane is already fully extracted
+  if (currentJobData?.skills?.length && new URLSearchParams(location.search).get("currentJobId") === id) {
+    setCardScore(card, config, id, currentJobData.skills, false);
+    return;
+  }
+
+  // Title, company and insight lines only – marked partial and not cached, so
+  // the card picks up the full score once its job has been opened
+  setCardScore(card, config, id, JobLensSkills.extractSkills(card.innerText || ""), true);
+}
+
+function setCardScore(card, config, id, jobSkills, partial) {
+  const skills = JobLensSkills.normalizeSkillList(jobSkills);
+  const matched = skills.filter((s) => resumeSkills.includes(s));
+  const entry = {
+    score: skills.length ? Math.round((matched.length / skills.length) * 100) : null,
+    matched,
+    missing: skills.filter((s) => !resumeSkills.includes(s)),
+    partial,
+  };
+  if (!partial) cardScores.set(id, entry);
+  renderCardBadge(card, config, entry);
+}
+
+function renderCardBadge(card, config, entry) {
+  if (!card.isConnected) return;
+  let badge = card.querySelector(".joblens-card-badge");
+  if (!badge) {
+    badge = document.createElement("span");
+    badge.className = "joblens-card-badge";
+    const anchor = config.anchor.map((sel) => card.querySelector(sel)).find(Boolean);
+    if (anchor) anchor.insertAdjacentElement("afterend", badge);
+    else card.appendChild(badge);
+  }
+  badge.toggleAttribute("data-partial", entry.partial);
+
+  if (entry.score == null) {
+    badge.dataset.level = "none";
+    badge.textContent = "JobLens –";
+    badge.title = "No known skills found for this job";
+    return;
+  }
+
+  const labels = (ids) => ids.map((s) => JobLensSkills.getSkillLabel(s)).join(", ");
+  badge.dataset.level = entry.score >= 70 ? "strong" : entry.score >= 40 ? "moderate" : "weak";
+  badge.textContent = `${entry.partial ? "~" : ""}${entry.score}% skills`;
+  badge.title = [
+    entry.matched.length ? `Matched: ${labels(entry.matched)}` : "",
+    entry.missing.length ? `Missing: ${labels(entry.missing)}` : "",
+    entry.partial ? "From the card only – open the job for a full score" : "Local skill overlap – not an AI analysis",
+  ].filter(Boolean).join("\n");
+}
+
+function resetSearchBadges() {
+  cardScores.clear();
+  document.querySelectorAll(".joblens-card-badge").forEach((badge) => badge.remove());
+  document.querySelectorAll("[data-joblens-observed]").forEach((card) => {
+    cardObserver?.unobserve(card);
+    delete card.dataset.joblensObserved;
+  });
+  if (!IS_EMBEDDED_FRAME) scanSearchCards();
+}
+
 // ─── Result Rendering ─────────────────────────────────────────────────────────
+// Deterministic under / within / over-qualified check from the posting's
+// experience band and the resume's dated roles (utils/experience.js)
+function renderExperienceFit() {
+  const range = currentJobData?.experienceRange;
+  if (!range || !resumeExperience) return "";
+  const fit = JobLensExperience.assessFit(range, resumeExperience.years);
+  if (!fit) return "";
+
+  const icon = { under: "⬇️", within: "✅", over: "⬆️" }[fit.status];
+  return `
+    <div class="jl-exp-fit ${fit.status}">
+      <span class="jl-exp-fit-label">${icon} ${fit.label}</span>
+      <span class="jl-exp-fit-detail">
+        You: ${resumeExperience.years} yrs · Asks: ${escHtml(JobLensExperience.formatExperienceRange(range))}
+      </span>
+    </div>`;
+}
+
 function showResultInOverlay(result) {
   const content = overlayPanel?.querySelector("#jl-content");
   if (!content) return;
@@ -544,14 +762,34 @@ function showResultInOverlay(result) {
     pct >= 80 ? "Strong Match" : pct >= 60 ? "Moderate Match" : "Weak Match";
   const matchEmoji = pct >= 80 ? "🟢" : pct >= 60 ? "🟡" : "🔴";
 
-  const fromCache = result.fromCache
-    ? `<span class="jl-badge cache">Cached</span>`
-    : `<span class="jl-badge fresh">Fresh Analysis</span>`;
+  const fromCache = result.duplicateOf
+    ? `<span class="jl-badge cache">From your ${escHtml(duplicateOrigin(result.duplicateOf))} analysis</span>`
+    : result.fromCache
+      ? `<span class="jl-badge cache">Cached</span>`
+      : `<span class="jl-badge fresh">Fresh Analysis</span>`;
+  // Which resume it was measured against, once there is a choice
+  const profile = result.duplicateOf ? result.duplicateOf.resumeProfile : result.resumeProfile;
+  const profileBadge = profile?.name && resumeProfiles.profiles.length > 1
+    ? `<span class="jl-badge cache">Resume: ${escHtml(profile.name)}</span>`
+    : "";
+
+  const isGig = currentJobData?.mode === "gig";
+  const gaps = splitSkillGaps(result.missing_skills, currentJobData?.sections);
+  const expFit = isGig ? "" : renderExperienceFit();
+  const trim = currentJobData?.descriptionTrim;
 
   content.innerHTML = `
     <div class="jl-result">
       ${fromCache}
+      ${profileBadge}
+
+      <!-- Long postings are reduced before analysis (jobExtractor reduceJobDescription) -->
+      ${trim ? `
+        <div class="jl-trim-notice" title="${escHtml(`${trim.originalLength} → ${trim.keptLength} characters`)}">
+          ✂️ Analysis based on a trimmed description – left out: ${escHtml(trim.removed.map((r) => r.label).join(", "))}
+        </div>` : ""}
 
+      ${isGig ? renderProposalFit(pct, matchClass, currentJobData.gig) : `
       <!-- Match Circle -->
       <div class="jl-match-circle ${matchClass}">
         <svg viewBox="0 0 120 120" class="jl-donut">
@@ -564,20 +802,24 @@ function showResultInOverlay(result) {
           <span class="jl-match-pct">${pct}%</span>
           <span class="jl-match-label">${matchEmoji} ${matchLabel}</span>
         </div>
-      </div>
+      </div>`}
 
-      <!-- Experience Required -->
-      ${result.experience_required ? `
+      <!-- Experience Required (not meaningful for gigs) -->
+      ${(result.experience_required || expFit) && !isGig ? `
         <div class="jl-card">
           <div class="jl-card-title">⏱ Experience Required</div>
-          <p>${escHtml(result.experience_required)}</p>
+          ${result.experience_required ? `<p>${escHtml(result.experience_required)}</p>` : ""}
+          ${expFit}
         </div>` : ""}
 
       <!-- Matched Skills -->
       ${renderTagSection("✅ Matched Skills", result.matched_skills, "match-tag")}
 
-      <!-- Missing Skills -->
-      ${renderTagSection("❌ Missing Skills", result.missing_skills, "miss-tag")}
+      <!-- Missing Skills (split by the posting's required / preferred sections) -->
+      ${gaps.preferred.length ? `
+        ${renderTagSection("❌ Missing – Required", gaps.required, "miss-tag")}
+        ${renderTagSection("➕ Missing – Nice to Have", gaps.preferred, "pref-tag")}` :
+        renderTagSection("❌ Missing Skills", result.missing_skills, "miss-tag")}
 
       <!-- Hidden Requirements -->
       ${renderListSection("🔍 Hidden Requirements", result.hidden_requirements)}
@@ -602,6 +844,56 @@ function showResultInOverlay(result) {
   if (analyzeBtn) analyzeBtn.dataset.analyzed = "true";
 }
 
+// A missing skill counts as "nice to have" only when the posting names it under
+// preferred qualifications and not under the required ones. Skills compare by
+// taxonomy id, so "k8s" in the posting matches the AI's "Kubernetes".
+function splitSkillGaps(skills = [], sections = {}) {
+  const mentions = (text, skill) => {
+    const id = JobLensSkills.normalizeSkill(skill);
+    if (JobLensSkills.extractSkills(text).includes(id)) return true;
+    const escaped = skill.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9+#])${escaped}($|[^a-z0-9+#])`).test((text || "").toLowerCase());
+  };
+  const gaps = { required: [], preferred: [] };
+  for (const skill of skills || []) {
+    const preferred =
+      mentions(sections?.preferredQualifications, skill) &&
+      !mentions(sections?.requiredQualifications, skill);
+    gaps[preferred ? "preferred" : "required"].push(skill);
+  }
+  return gaps;
+}
+
+// Gig result: skill fit as a proposal bar plus the budget/competition/client signals
+function renderProposalFit(pct, matchClass, gig = {}) {
+  const label = pct >= 80 ? "Strong Proposal Fit" : pct >= 60 ? "Worth a Proposal" : "Long Shot";
+  const bids = parseInt(String(gig.proposals || "").match(/\d+/)?.[0] || "", 10);
+  const competition = isNaN(bids) ? "" : bids < 10 ? "Low" : bids < 20 ? "Moderate" : "High";
+  const rows = [
+    ["Budget", JobLensExtractor.formatGigBudget(gig)],
+    ["Project length", gig.projectLength],
+    ["Proposals", gig.proposals ? `${gig.proposals}${competition ? ` · ${competition} competition` : ""}` : ""],
+    ["Client hire rate", gig.clientHireRate != null ? `${gig.clientHireRate}%` : ""],
+    ["Client total spent", gig.clientTotalSpent],
+  ].filter(([, v]) => v);
+
+  return `
+    <div class="jl-gig-fit ${matchClass}">
+      <div class="jl-gig-fit-head">
+        <span class="jl-gig-fit-pct">${pct}%</span>
+        <span class="jl-gig-fit-label">${label}</span>
+      </div>
+      <div class="jl-gig-bar"><div class="jl-gig-bar-fill" style="width:${pct}%"></div></div>
+    </div>
+    ${rows.length ? `
+      <div class="jl-card">
+        <div class="jl-card-title">💼 Gig Details</div>
+        <dl class="jl-gig-grid">
+          ${rows.map(([k, v]) => `<dt>${k}</dt><dd>${escHtml(v)}</dd>`).join("")}
+        </dl>
+      </div>` : ""}`;
+}
+
 function renderTagSection(title, items, tagClass) {
   if (!items?.length) return "";
   const tags = items
@@ -633,6 +925,17 @@ async function getStoredResume() {
   });
 }
 
+// Profiles carry id/name/versionId; the mirrored "resume" key carries them as profile*
+function profileRef(resume) {
+  const id = resume.id || resume.profileId;
+  if (!id) return undefined;
+  return {
+    id,
+    name: resume.name || resume.profileName || "",
+    versionId: resume.versionId || resume.profileVersionId || null,
+  };
+}
+
 function notifyPopup(jobData) {
   const type = jobData ? "UPSERT_CURRENT_JOB" : "CLEAR_CURRENT_JOB";
   const payload = jobData ? { jobData } : {};
@@ -662,9 +965,9 @@ function escHtml(str) {
 }
 
 // ─── Initial Panel HTML ───────────────────────────────────────────────────────
+// Company, freshness, salary and flags are filled by updateSidebarJobHeader()
 function getInitialPanelHTML() {
   const jobTitle = currentJobData?.title || "Detected Job";
-  const company = currentJobData?.company || "";
 
   return `
     <div class="jl-panel-header">
@@ -686,7 +989,6 @@ function getInitialPanelHTML() {
 
     <div class="jl-job-info">
       <div class="jl-job-title">${escHtml(jobTitle)}</div>
-      ${company ? `<div class="jl-job-company">${escHtml(company)}</div>` : ""}
     </div>
 
     <div id="jl-content">
@@ -801,9 +1103,50 @@ function getOverlayStyles() {
       margin-bottom: 4px;
     }
     .jl-job-company {
+      display: inline;
       font-size: 13px;
       color: #94a3b8;
     }
+    .jl-job-fresh {
+      display: inline-block;
+      margin-left: 6px;
+      padding: 1px 8px;
+      border-radius: 10px;
+      font-size: 11px;
+      vertical-align: 1px;
+      background: rgba(148,163,184,0.12);
+      color: #cbd5e1;
+    }
+    .jl-job-title + .jl-job-fresh {
+      margin-left: 0;
+    }
+    .jl-job-fresh[data-level="fresh"] { background: rgba(16,185,129,0.15); color: #6ee7b7; }
+    .jl-job-fresh[data-level="recent"] { background: rgba(245,158,11,0.12); color: #fcd34d; }
+    .jl-job-fresh[data-level="stale"],
+    .jl-job-fresh[data-level="closed"] { background: rgba(239,68,68,0.15); color: #fca5a5; }
+    .jl-job-salary {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #34d399;
+    }
+    .jl-job-flags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 8px;
+    }
+    .jl-flag {
+      font-size: 11px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: rgba(99,102,241,0.15);
+      color: #a5b4fc;
+    }
+    .jl-conflict {
+      width: 100%;
+      font-size: 12px;
+      color: #fcd34d;
+    }
 
     #jl-content {
       padding: 20px;
@@ -820,6 +1163,25 @@ function getOverlayStyles() {
       font-size: 14px;
     }
 
+    .jl-profile-picker {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 8px;
+      font-size: 12px;
+      color: #94a3b8;
+    }
+    .jl-profile-picker select {
+      max-width: 200px;
+      padding: 5px 8px;
+      border-radius: 8px;
+      border: 1px solid rgba(255,255,255,0.08);
+      background: #0f0f1a;
+      color: #e2e8f0;
+      font-family: inherit;
+      font-size: 12px;
+    }
+
     .jl-btn {
       padding: 10px 22px;
       border-radius: 10px;
@@ -841,6 +1203,17 @@ function getOverlayStyles() {
       transform: translateY(-1px);
       box-shadow: 0 6px 20px rgba(99,102,241,0.4);
     }
+    .jl-btn.secondary {
+      background: transparent;
+      color: #a5b4fc;
+      border: 1px solid rgba(99,102,241,0.35);
+      width: 100%;
+      margin-top: 10px;
+    }
+    .jl-btn.secondary:hover { background: rgba(99,102,241,0.1); }
+
+    /* Earlier analysis of the same role on another site */
+    .jl-duplicate p strong { color: #e2e8f0; }
 
     /* Loading */
     .jl-loading {
@@ -923,6 +1296,32 @@ function getOverlayStyles() {
       white-space: nowrap;
     }
 
+    /* Gig proposal fit */
+    .jl-gig-fit {
+      margin: 8px 0 16px;
+      padding: 16px;
+      border-radius: 12px;
+      background: rgba(255,255,255,0.04);
+      border: 1px solid rgba(255,255,255,0.08);
+    }
+    .jl-gig-fit-head { display: flex; align-items: baseline; gap: 10px; margin-bottom: 10px; }
+    .jl-gig-fit-pct { font-size: 28px; font-weight: 800; color: #e2e8f0; }
+    .jl-gig-fit-label { font-size: 13px; font-weight: 600; color: #94a3b8; }
+    .jl-gig-bar { height: 8px; border-radius: 4px; background: rgba(255,255,255,0.06); overflow: hidden; }
+    .jl-gig-bar-fill { height: 100%; border-radius: 4px; transition: width 1s ease; }
+    .strong .jl-gig-bar-fill { background: #22c55e; }
+    .moderate .jl-gig-bar-fill { background: #f59e0b; }
+    .weak .jl-gig-bar-fill { background: #ef4444; }
+    .jl-gig-grid {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 6px 14px;
+      margin: 0;
+      font-size: 13px;
+    }
+    .jl-gig-grid dt { color: #64748b; }
+    .jl-gig-grid dd { margin: 0; color: #cbd5e1; }
+
     /* Cards */
     .jl-card {
       background: rgba(255,255,255,0.04);
@@ -955,8 +1354,37 @@ function getOverlayStyles() {
     }
     .match-tag { background: rgba(34,197,94,0.15); color: #86efac; border: 1px solid rgba(34,197,94,0.3); }
     .miss-tag { background: rgba(239,68,68,0.15); color: #fca5a5; border: 1px solid rgba(239,68,68,0.3); }
+    .pref-tag { background: rgba(99,102,241,0.15); color: #a5b4fc; border: 1px solid rgba(99,102,241,0.3); }
     .ats-tag { background: rgba(245,158,11,0.15); color: #fcd34d; border: 1px solid rgba(245,158,11,0.3); }
 
+    .jl-trim-notice {
+      margin-bottom: 12px;
+      padding: 8px 12px;
+      border-radius: 8px;
+      font-size: 12px;
+      background: rgba(245,158,11,0.12);
+      border: 1px solid rgba(245,158,11,0.3);
+      color: #fcd34d;
+    }
+
+    /* Experience fit */
+    .jl-exp-fit {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 8px;
+      margin-top: 10px;
+      padding: 6px 10px;
+      border-radius: 8px;
+      font-size: 12px;
+    }
+    .jl-card-title + .jl-exp-fit { margin-top: 0; }
+    .jl-exp-fit-label { font-weight: 700; }
+    .jl-exp-fit-detail { color: #94a3b8; text-align: right; }
+    .jl-exp-fit.within { background: rgba(34,197,94,0.12); color: #86efac; }
+    .jl-exp-fit.under { background: rgba(239,68,68,0.12); color: #fca5a5; }
+    .jl-exp-fit.over { background: rgba(245,158,11,0.12); color: #fcd34d; }
+
     /* Lists */
     .jl-list {
       margin: 0;
@@ -1,17 +1,22 @@
 /**
  * JobLens AI – Resume Manager (options.js)
- * External script for options.html (inline scripts blocked by Chrome MV3 CSP).
+ * External module script for options.html (inline scripts blocked by Chrome MV3 CSP).
  */
 
+// Also publishes globalThis.JobLensSkills, JobLensExperience and JobLensLanguage
+import { parseResume, extractResumeFields } from './utils/resumeParser.js';
+import { toJsonResume } from './utils/jsonResume.js';
+
 const $ = id => document.getElementById(id);
 
-// ── Load existing resume on open ──────────────────────────────────────────────
-chrome.storage.local.get(['resume'], ({ resume }) => {
-    if (resume) {
-        $('resume-textarea').value = resume.raw || '';
-        showStatus(resume);
-    }
-});
+// ── Load profiles on open ─────────────────────────────────────────────────────
+let profileState = { activeId: null, profiles: [] };
+let renamingId = null; // profile whose name the name field is editing
+// History tab links here as ?profile=…&version=… (the version an analysis was scored against)
+const versionLink = new URLSearchParams(location.search);
+let versionsProfileId = versionLink.get('profile'); // Version History shows the active profile otherwise
+
+loadProfiles();
 
 // ── Browse Button ─────────────────────────────────────────────────────────────
 $('browse-btn').addEventListener('click', function (e) {
@@ -44,13 +49,9 @@ zone.addEventListener('drop', async e => {
 async function processFile(file) {
     showProgress(true);
     try {
-        const raw = await readFile(file);
-        if (!raw || raw.trim().length < 30) {
-            throw new Error('Could not extract text. Please paste your resume text instead.');
-        }
-        const parsed = extractFields(raw);
+        const { raw, parsed } = await readResume(file);
         $('resume-textarea').value = raw;
-        await store(raw, parsed);
+        await store(raw, parsed, `Uploaded ${file.name}`);
         showToast('Resume saved! ✅', 'success');
     } catch (err) {
         showError(err.message || 'Failed to read file.');
@@ -60,12 +61,22 @@ async function processFile(file) {
 }
 
 // ── File Reading ──────────────────────────────────────────────────────────────
+// A resume.json (JSON Resume) maps straight to the parsed fields
+async function readResume(file) {
+    if (file.name.toLowerCase().endsWith('.json')) return parseResume(file);
+    const raw = await readFile(file);
+    if (!raw || raw.trim().length < 30) {
+        throw new Error('Could not extract text. Please paste your resume text instead.');
+    }
+    return { raw, parsed: extractResumeFields(raw) };
+}
+
 async function readFile(file) {
     const ext = file.name.split('.').pop().toLowerCase();
     if (ext === 'txt') return file.text();
     if (ext === 'pdf') return readPdf(file);
     if (ext === 'docx' || ext === 'doc') return readDocx(file);
-    throw new Error('Unsupported file type. Use PDF, DOCX, or TXT.');
+    throw new Error('Unsupported file type. Use PDF, DOCX, TXT, or JSON Resume.');
 }
 
 async function readPdf(file) {
@@ -96,8 +107,9 @@ $('save-btn').addEventListener('click', async () => {
     if (text.length < 30) { showError('Text too short to be a resume.'); return; }
     showProgress(true);
     try {
-        const parsed = extractFields(text);
-        await store(text, parsed);
+        // Pasted resume.json is mapped like an uploaded one
+        const { raw, parsed } = text.startsWith('{') ? await parseResume(text) : { raw: text, parsed: extractResumeFields(text) };
+        await store(raw, parsed, 'Edited in the Resume Manager');
         showToast('Resume saved! ✅', 'success');
     } catch (err) {
         showError(err.message);
@@ -107,39 +119,587 @@ $('save-btn').addEventListener('click', async () => {
 });
 
 // ── Delete ────────────────────────────────────────────────────────────────────
+// Empties the active profile; the profile itself is deleted from its row
 $('delete-btn').addEventListener('click', async () => {
-    await chrome.storage.local.remove(['resume']);
-    $('resume-textarea').value = '';
-    $('status-card').classList.remove('visible');
+    if (profileState.activeId) {
+        await JobLensResumeProfiles.saveProfileResume(profileState.activeId, '', null);
+    }
+    await loadProfiles();
     showToast('Resume removed.', 'error');
 });
 
 // ── Storage ───────────────────────────────────────────────────────────────────
-async function store(raw, parsed) {
-    const entry = { raw, parsed, savedAt: new Date().toISOString() };
-    await chrome.storage.local.set({ resume: entry });
-    showStatus(entry);
-}
-
-// ── Field Extractor ───────────────────────────────────────────────────────────
-function extractFields(text) {
-    const skills = new Set();
-    const techRe = /\b(python|javascript|typescript|java|react|vue|angular|node\.?js|django|flask|fastapi|mysql|postgresql|mongodb|redis|docker|kubernetes|aws|gcp|azure|git|html|css|sql|c\+\+|golang|rust|php|swift|kotlin|tensorflow|pytorch|figma|linux)\b/gi;
-    let m;
-    while ((m = techRe.exec(text)) !== null) skills.add(m[0].toLowerCase());
-    const emailMatch = text.match(/[\w.+-]+@[\w-]+\.[\w.]+/);
-    const expMatch = text.match(/(\d+)\+?\s*years?\s+(?:of\s+)?(?:experience|exp)/i);
+// A typed version label wins over the default one
+async function store(raw, parsed, defaultLabel) {
+    const label = $('version-label').value.trim() || defaultLabel;
+    await JobLensResumeProfiles.saveProfileResume(null, raw, parsed, label);
+    $('version-label').value = '';
+    await loadProfiles();
+}
+
+// ── Resume Profiles ───────────────────────────────────────────────────────────
+// Named resumes (utils/resumeProfiles.js). The active one is what this page
+// edits and what the popup and sidebar pickers start from.
+async function loadProfiles() {
+    profileState = await JobLensResumeProfiles.loadProfiles();
+    renderProfileList();
+
+    const active = profileState.profiles.find(p => p.id === profileState.activeId);
+    $('resume-textarea').value = active?.raw || '';
+    $('upload-profile-name').textContent = active && profileState.profiles.length > 1 ? `· ${active.name}` : '';
+    if (active?.raw) showStatus(active);
+    else $('status-card').classList.remove('visible');
+    renderVersions();
+    renderEditor();
+}
+
+function renderProfileList() {
+    const list = $('profile-list');
+    if (!profileState.profiles.length) {
+        list.innerHTML = '<div class="adapter-empty">No profiles yet – saving a resume creates a "Default" one.</div>';
+        return;
+    }
+    list.innerHTML = profileState.profiles.map(p => {
+        const isActive = p.id === profileState.activeId;
+        const saved = p.raw ? `saved ${new Date(p.savedAt).toLocaleDateString()}` : 'no resume yet';
+        return `
+        <div class="adapter-row${isActive ? ' active' : ''}">
+            <span class="ar-name">${escHtml(p.name)}</span>
+            <span class="ar-meta">${isActive ? 'active · ' : ''}${saved}</span>
+            ${isActive ? '' : `<button class="link-btn" data-use="${escHtml(p.id)}">Use</button>`}
+            <button class="link-btn" data-rename="${escHtml(p.id)}">Rename</button>
+            <button class="link-btn" data-duplicate="${escHtml(p.id)}">Duplicate</button>
+            <button class="link-btn" data-remove="${escHtml(p.id)}">Delete</button>
+        </div>`;
+    }).join('');
+
+    const find = id => profileState.profiles.find(p => p.id === id);
+    list.querySelectorAll('[data-use]').forEach(btn => btn.addEventListener('click', async () => {
+        await JobLensResumeProfiles.setActiveProfile(btn.dataset.use);
+        versionsProfileId = null;
+        await loadProfiles();
+    }));
+    list.querySelectorAll('[data-rename]').forEach(btn => btn.addEventListener('click', () => {
+        renamingId = btn.dataset.rename;
+        $('profile-name').value = find(renamingId)?.name || '';
+        $('profile-add-btn').textContent = '💾 Rename';
+        $('profile-form').classList.add('renaming');
+        $('profile-name').focus();
+    }));
+    list.querySelectorAll('[data-duplicate]').forEach(btn => btn.addEventListener('click', async () => {
+        const copy = await JobLensResumeProfiles.duplicateProfile(btn.dataset.duplicate);
+        await loadProfiles();
+        showToast(`Created "${copy.name}".`, 'success');
+    }));
+    list.querySelectorAll('[data-remove]').forEach(btn => btn.addEventListener('click', async () => {
+        const profile = find(btn.dataset.remove);
+        if (!profile || !confirm(`Delete the "${profile.name}" profile and its resume?`)) return;
+        await JobLensResumeProfiles.deleteProfile(profile.id);
+        await loadProfiles();
+        showToast('Profile deleted.', 'error');
+    }));
+}
+
+$('profile-add-btn').addEventListener('click', async () => {
+    const name = $('profile-name').value.trim();
+    if (!name) { showToast('Enter a profile name first.', 'error'); return; }
+    if (renamingId) {
+        await JobLensResumeProfiles.renameProfile(renamingId, name);
+        showToast('Profile renamed.', 'success');
+    } else {
+        await JobLensResumeProfiles.createProfile(name);
+        showToast('Profile created – add its resume below.', 'success');
+    }
+    resetProfileForm();
+    await loadProfiles();
+});
+
+$('profile-cancel-btn').addEventListener('click', resetProfileForm);
+
+function resetProfileForm() {
+    renamingId = null;
+    $('profile-name').value = '';
+    $('profile-add-btn').textContent = '＋ New Profile';
+    $('profile-form').classList.remove('renaming');
+}
+
+// ── Version History ───────────────────────────────────────────────────────────
+function versionsProfile() {
+    return profileState.profiles.find(p => p.id === versionsProfileId) ||
+        profileState.profiles.find(p => p.id === profileState.activeId) || null;
+}
+
+function renderVersions() {
+    const profile = versionsProfile();
+    const versions = JobLensResumeProfiles.versionsOf(profile).slice().reverse(); // newest first
+    const linkedId = profile?.id === versionLink.get('profile') ? versionLink.get('version') : null;
+    $('versions-profile').textContent = profile && profileState.profiles.length > 1 ? `· ${profile.name}` : '';
+
+    const list = $('version-list');
+    if (!versions.length) {
+        list.innerHTML = '<div class="adapter-empty">No saved versions yet.</div>';
+        $('diff-from').innerHTML = $('diff-to').innerHTML = '';
+        $('diff-meta').textContent = '';
+        $('diff-view').innerHTML = '';
+        return;
+    }
+
+    const missing = linkedId && !versions.some(v => v.id === linkedId)
+        ? '<div class="adapter-empty">The version that analysis used is no longer kept.</div>' : '';
+    list.innerHTML = missing + versions.map(v => {
+        const isCurrent = v.id === profile.versionId;
+        const classes = ['adapter-row', isCurrent ? 'active' : '', v.id === linkedId ? 'linked' : ''].filter(Boolean).join(' ');
+        const skills = (v.parsed && v.parsed.skills || []).length;
+        return `
+        <div class="${classes}">
+            <span class="ar-name">${escHtml(v.label)}</span>
+            <span class="ar-meta">${isCurrent ? 'current · ' : ''}${v.id === linkedId ? 'scored against · ' : ''}${new Date(v.savedAt).toLocaleString()} · ${skills} skill${skills === 1 ? '' : 's'}</span>
+            <button class="link-btn" data-compare="${escHtml(v.id)}">Compare</button>
+            ${isCurrent ? '' : `<button class="link-btn" data-restore="${escHtml(v.id)}">Restore</button>`}
+        </div>`;
+    }).join('');
+
+    const options = versions.map(v =>
+        `<option value="${escHtml(v.id)}">${escHtml(v.label)} – ${escHtml(new Date(v.savedAt).toLocaleString())}</option>`).join('');
+    $('diff-from').innerHTML = options;
+    $('diff-to').innerHTML = options;
+    // The linked version (or the one before the current) against the current
+    const current = versions.find(v => v.id === profile.versionId) || versions[0];
+    const from = versions.find(v => v.id === linkedId) || versions.find(v => v.id !== current.id) || current;
+    $('diff-from').value = from.id;
+    $('diff-to').value = current.id;
+    renderDiff();
+
+    list.querySelectorAll('[data-compare]').forEach(btn => btn.addEventListener('click', () => {
+        $('diff-from').value = btn.dataset.compare;
+        $('diff-to').value = current.id;
+        renderDiff();
+    }));
+    list.querySelectorAll('[data-restore]').forEach(btn => btn.addEventListener('click', async () => {
+        await JobLensResumeProfiles.restoreVersion(profile.id, btn.dataset.restore);
+        await loadProfiles();
+        showToast('Version restored! ✅', 'success');
+    }));
+}
+
+function renderDiff() {
+    const versions = JobLensResumeProfiles.versionsOf(versionsProfile());
+    const from = versions.find(v => v.id === $('diff-from').value);
+    const to = versions.find(v => v.id === $('diff-to').value);
+    if (!from || !to) return;
+
+    const diff = JobLensDiff.diffLines(from.raw, to.raw);
+    const { added, removed } = JobLensDiff.countChanges(diff);
+    if (from.id === to.id || (!added && !removed)) {
+        $('diff-meta').textContent = 'No differences.';
+        $('diff-view').innerHTML = '';
+        return;
+    }
+    $('diff-meta').textContent = `${added} line${added === 1 ? '' : 's'} added · ${removed} removed`;
+    const marks = { added: '+', removed: '−', same: ' ' };
+    $('diff-view').innerHTML = JobLensDiff.collapseUnchanged(diff).map(line => line.type === 'skipped'
+        ? `<div class="diff-skip">… ${line.count} unchanged line${line.count === 1 ? '' : 's'}</div>`
+        : `<div class="diff-${line.type}">${marks[line.type]} ${escHtml(line.text)}</div>`).join('');
+}
+
+$('diff-from').addEventListener('change', renderDiff);
+$('diff-to').addEventListener('change', renderDiff);
+
+// ── Profile Editor ────────────────────────────────────────────────────────────
+// Every parsed field of the active resume. Corrections are stored as the
+// difference from a fresh parse of its text (applyCorrections in
+// utils/resumeProfiles.js), so they keep applying when the resume is re-parsed.
+const LIST_FIELDS = ['education', 'projects', 'certifications'];
+let editorBase = null; // the uncorrected parse of the active resume
+let editorSkills = [];
+let editorWork = [];
+
+function renderEditor() {
+    const active = profileState.profiles.find(p => p.id === profileState.activeId);
+    $('editor-profile').textContent = active && profileState.profiles.length > 1 ? `· ${active.name}` : '';
+    $('editor-form').hidden = !active?.raw;
+    $('editor-empty').hidden = !!active?.raw;
+    if (!active?.raw) {
+        editorBase = null;
+        return;
+    }
+
+    // Text is parsed afresh so parser fixes reach old resumes; a JSON Resume
+    // import can't be recovered from its generated text, so its mapping stays
+    const current = JobLensResumeProfiles.versionsOf(active).find(v => v.id === active.versionId);
+    editorBase = current?.parsed?.source === 'jsonResume' ? current.parsed : extractResumeFields(active.raw);
+    const parsed = JobLensResumeProfiles.applyCorrections(editorBase, active.corrections);
+    $('editor-name').value = parsed.name || '';
+    $('editor-email').value = parsed.email || '';
+    editorSkills = [...(parsed.skills || [])];
+    editorWork = (parsed.work || []).map(role => ({ ...role }));
+    LIST_FIELDS.forEach(key => { $(`editor-${key}`).value = (parsed[key] || []).join('\n'); });
+
+    // Flag the fields the user has overridden
+    const corrections = active.corrections || {};
+    ['name', 'email', 'skills', 'work', ...LIST_FIELDS].forEach(key => {
+        $(`editor-${key}-mark`).textContent = key in corrections ? '· corrected' : '';
+    });
+    renderEditorSkills();
+    renderEditorWork();
+}
+
+function renderEditorSkills() {
+    $('editor-skills').innerHTML = editorSkills.length
+        ? editorSkills.map(id => `
+        <span class="skill-chip">${escHtml(JobLensSkills.getSkillLabel(id))}<button class="chip-remove" data-skill="${escHtml(id)}" title="Remove">×</button></span>`).join('')
+        : '<div class="adapter-empty">No skills detected – add them below.</div>';
+    $('editor-skills').querySelectorAll('[data-skill]').forEach(btn => btn.addEventListener('click', () => {
+        editorSkills = editorSkills.filter(id => id !== btn.dataset.skill);
+        renderEditorSkills();
+    }));
+}
+
+function addEditorSkill() {
+    const input = $('editor-skill-input');
+    // "k8s, ReactJS" → kubernetes, react (utils/skillTaxonomy.js)
+    input.value.split(',').map(s => s.trim()).filter(Boolean).forEach(s => {
+        const id = JobLensSkills.normalizeSkill(s);
+        if (id && !editorSkills.includes(id)) editorSkills.push(id);
+    });
+    input.value = '';
+    renderEditorSkills();
+}
+
+function renderEditorWork() {
+    $('editor-work').innerHTML = editorWork.length ? editorWork.map((role, i) => `
+        <div class="work-row">
+            <input class="text-input" data-work="${i}" data-field="role" value="${escHtml(role.role)}" placeholder="Role, company" />
+            <input class="text-input work-date" data-work="${i}" data-field="start" value="${escHtml(role.start)}" placeholder="2021-03" />
+            <input class="text-input work-date" data-work="${i}" data-field="end" value="${escHtml(role.end)}" placeholder="Present" />
+            <button class="link-btn" data-work-remove="${i}" title="Remove role">✕</button>
+        </div>`).join('')
+        : '<div class="adapter-empty">No dated roles found.</div>';
+    $('editor-work').querySelectorAll('[data-work]').forEach(input => input.addEventListener('input', () => {
+        editorWork[input.dataset.work][input.dataset.field] = input.value;
+        renderEditorExperience();
+    }));
+    $('editor-work').querySelectorAll('[data-work-remove]').forEach(btn => btn.addEventListener('click', () => {
+        editorWork.splice(Number(btn.dataset.workRemove), 1);
+        renderEditorWork();
+    }));
+    renderEditorExperience();
+}
+
+function renderEditorExperience() {
+    const { totalMonths, years } = JobLensExperience.computeRolesExperience(editorWork);
+    $('editor-experience').textContent = totalMonths
+        ? `${years} yrs of experience from these roles (overlaps counted once)`
+        : '';
+}
+
+function editedWork() {
+    // Anything else on a role (a JSON Resume import's highlights) is kept
+    return editorWork
+        .map(role => ({ ...role, role: role.role.trim(), start: role.start.trim(), end: role.end.trim() }))
+        .filter(role => role.role || role.start || role.end);
+}
+
+// Only what differs from the parse is kept, so fields the user never touched
+// follow the resume text when it changes
+function readCorrections(work) {
+    const corrections = {};
+    ['name', 'email'].forEach(key => {
+        const value = $(`editor-${key}`).value.trim();
+        if (value !== (editorBase[key] || '')) corrections[key] = value;
+    });
+
+    const base = editorBase.skills || [];
+    const added = editorSkills.filter(id => !base.includes(id));
+    const removed = base.filter(id => !editorSkills.includes(id));
+    if (added.length || removed.length) corrections.skills = { added, removed };
+
+    const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    LIST_FIELDS.forEach(key => {
+        const lines = $(`editor-${key}`).value.split('\n').map(l => l.trim()).filter(Boolean);
+        if (!sameList(lines, editorBase[key] || [])) corrections[key] = lines;
+    });
+
+    if (!sameList(work, editorBase.work || [])) {
+        corrections.work = work;
+        corrections.experienceMonths = JobLensExperience.computeRolesExperience(work).totalMonths;
+    }
+    return Object.keys(corrections).length ? corrections : null;
+}
+
+$('editor-skill-add').addEventListener('click', addEditorSkill);
+$('editor-skill-input').addEventListener('keydown', e => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    addEditorSkill();
+});
+
+$('editor-work-add').addEventListener('click', () => {
+    editorWork.push({ role: '', start: '', end: '' });
+    renderEditorWork();
+    $('editor-work').querySelector(`[data-work="${editorWork.length - 1}"]`).focus();
+});
+
+$('editor-save-btn').addEventListener('click', async () => {
+    if (!editorBase || !profileState.activeId) return;
+    const work = editedWork();
+    const undated = work.find(role => !JobLensExperience.computeRolesExperience([role]).totalMonths);
+    if (undated) {
+        showToast(`Check the dates of "${undated.role || 'the new role'}" – use YYYY-MM and Present.`, 'error');
+        return;
+    }
+    const corrections = readCorrections(work);
+    await JobLensResumeProfiles.saveProfileCorrections(profileState.activeId, corrections, editorBase);
+    await loadProfiles();
+    showToast(corrections ? 'Corrections saved! ✅' : 'Nothing differs from the parsed resume.', 'success');
+});
+
+// Writes the saved profile (corrections included) – unsaved edits above aren't part of it
+$('editor-export-btn').addEventListener('click', () => {
+    const active = profileState.profiles.find(p => p.id === profileState.activeId);
+    if (!active?.raw) return;
+    const json = JSON.stringify(toJsonResume(active), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json + '\n'], { type: 'application/json' }));
+    const slug = active.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    link.download = profileState.profiles.length > 1 && slug ? `resume-${slug}.json` : 'resume.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+$('editor-reset-btn').addEventListener('click', async () => {
+    if (!editorBase || !profileState.activeId) return;
+    if (!confirm('Drop your corrections and go back to what the parser found?')) return;
+    await JobLensResumeProfiles.saveProfileCorrections(profileState.activeId, null, editorBase);
+    await loadProfiles();
+    showToast('Corrections removed.', 'error');
+});
+
+// ── Custom Site Adapters ──────────────────────────────────────────────────────
+// Stored in chrome.storage.local "customAdapters"; content.js and background.js
+// pick changes up from storage, so there's nothing to reload.
+const ADAPTER_FIELDS = [
+    ['title', 'Title'],
+    ['company', 'Company'],
+    ['location', 'Location'],
+    ['workplaceType', 'Work mode'],
+    ['salary', 'Salary'],
+    ['experience', 'Experience'],
+    ['postedText', 'Posted date / applicants'],
+    ['hiringText', 'Hiring status'],
+    ['skills', 'Skills (every match)'],
+    ['description', 'Description'],
+];
+const BUILT_INS = JobLensAdapters.BUILT_IN_ADAPTERS;
+let customAdapters = [];
+
+$('adapter-fields').innerHTML = ADAPTER_FIELDS.map(([key, label]) => `
+    <div>
+        <label class="field-label" for="adapter-field-${key}">${label}</label>
+        <textarea class="adapter-textarea" id="adapter-field-${key}"></textarea>
+    </div>`).join('');
+
+$('adapter-base').insertAdjacentHTML('beforeend', BUILT_INS
+    .map(a => `<option value="${a.id}">Override ${escHtml(a.label)}</option>`).join(''));
+
+chrome.storage.local.get(['customAdapters'], (data) => {
+    customAdapters = data.customAdapters || [];
+    renderAdapterList();
+});
+
+$('adapter-base').addEventListener('change', () => {
+    const base = BUILT_INS.find(a => a.id === $('adapter-base').value);
+    fillAdapterForm(customAdapters.find(a => a.id === base?.id) || base || null);
+});
+
+$('adapter-reset-btn').addEventListener('click', () => {
+    $('adapter-base').value = '';
+    fillAdapterForm(null);
+});
+
+$('adapter-save-btn').addEventListener('click', async () => {
+    const adapter = readAdapterForm();
+    const errors = JobLensAdapters.validateAdapter(adapter);
+    if (errors.length) { showAdapterError(errors.join(' ')); return; }
+
+    // Host access must be requested from this click for new sites to work
+    if (adapter.matches.length && !(await requestOrigins(adapter.matches))) {
+        showAdapterError('Host permission was not granted for these match patterns.');
+        return;
+    }
+
+    customAdapters = [...customAdapters.filter(a => a.id !== adapter.id), adapter];
+    await chrome.storage.local.set({ customAdapters });
+    renderAdapterList();
+    showToast('Adapter saved! ✅', 'success');
+});
+
+$('adapter-test-btn').addEventListener('click', async () => {
+    const adapter = readAdapterForm();
+    $('adapter-error').classList.remove('visible');
+    try {
+        const base = BUILT_INS.find(a => a.id === adapter.id);
+        const origins = adapter.matches.length ? adapter.matches : base?.matches || [];
+        if (origins.length && !(await requestOrigins(origins))) {
+            throw new Error('Host permission is needed to read the job tab.');
+        }
+
+        const tab = await findJobTab(adapter);
+        if (!tab) throw new Error('Open the job page in another tab first.');
+
+        const target = { tabId: tab.id };
+        // Reuse the page's content scripts when present so their state isn't reset
+        const [{ result: loaded }] = await chrome.scripting.executeScript({
+            target, func: () => !!globalThis.JobLensExtractor,
+        });
+        if (!loaded) {
+            await chrome.scripting.executeScript({
+                target,
+                files: [
+                    'utils/siteAdapters.js', 'utils/language.js', 'utils/skillTaxonomy.js',
+                    'utils/salary.js', 'utils/experience.js', 'utils/workplace.js',
+                    'utils/freshness.js', 'utils/jobExtractor.js',
+                ],
+            });
+        }
+        const [{ result }] = await chrome.scripting.executeScript({
+            target, func: (def) => globalThis.JobLensExtractor.testAdapter(def), args: [adapter],
+        });
+        renderAdapterPreview(result);
+    } catch (err) {
+        showAdapterError(err.message || 'Test failed.');
+    }
+});
+
+function readAdapterForm() {
+    const lines = id => $(id).value.split('\n').map(l => l.trim()).filter(Boolean);
+    const label = $('adapter-label').value.trim();
+    const id = $('adapter-base').value ||
+        ($('adapter-id').value.trim() || label).toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+
+    const fields = {};
+    for (const [key] of ADAPTER_FIELDS) {
+        const chain = lines(`adapter-field-${key}`);
+        if (chain.length) fields[key] = chain;
+    }
+    const identity = lines('adapter-identity').map(pattern => ({ pattern, prefix: id }));
+
     return {
-        skills: [...skills].slice(0, 40),
-        email: emailMatch ? emailMatch[0] : '',
-        experienceYears: expMatch ? parseInt(expMatch[1]) : 0,
-        education: [], projects: [], certifications: []
+        id,
+        label: label || id,
+        matches: lines('adapter-matches'),
+        jobPageUrls: lines('adapter-job-urls'),
+        identity,
+        fields,
+        // Overrides keep the built-in's readiness rule
+        required: BUILT_INS.some(a => a.id === id) ? undefined : ['title'],
+        updatedAt: new Date().toISOString(),
     };
 }
 
+function fillAdapterForm(adapter) {
+    const isBuiltIn = BUILT_INS.some(a => a.id === adapter?.id);
+    $('adapter-label').value = adapter?.label || '';
+    $('adapter-id').value = adapter?.id || '';
+    $('adapter-id').disabled = isBuiltIn;
+    $('adapter-matches').value = (adapter?.matches || []).join('\n');
+    $('adapter-job-urls').value = (adapter?.jobPageUrls || []).join('\n');
+    $('adapter-identity').value = (adapter?.identity || []).map(r => r.pattern).join('\n');
+    for (const [key] of ADAPTER_FIELDS) {
+        $(`adapter-field-${key}`).value = (adapter?.fields?.[key] || []).join('\n');
+    }
+    $('adapter-preview').classList.remove('visible');
+    $('adapter-error').classList.remove('visible');
+}
+
+function renderAdapterList() {
+    const list = $('adapter-list');
+    if (!customAdapters.length) {
+        list.innerHTML = '<div class="adapter-empty">No custom adapters yet.</div>';
+        return;
+    }
+    list.innerHTML = customAdapters.map(a => `
+        <div class="adapter-row">
+            <span class="ar-name">${escHtml(a.label || a.id)}</span>
+            <span class="ar-meta">${BUILT_INS.some(b => b.id === a.id) ? 'overrides built-in' : escHtml((a.matches || [])[0] || '')}</span>
+            <button class="link-btn" data-edit="${escHtml(a.id)}">Edit</button>
+            <button class="link-btn" data-delete="${escHtml(a.id)}">Delete</button>
+        </div>`).join('');
+
+    list.querySelectorAll('[data-edit]').forEach(btn => btn.addEventListener('click', () => {
+        const adapter = customAdapters.find(a => a.id === btn.dataset.edit);
+        $('adapter-base').value = BUILT_INS.some(b => b.id === adapter.id) ? adapter.id : '';
+        fillAdapterForm(adapter);
+    }));
+    list.querySelectorAll('[data-delete]').forEach(btn => btn.addEventListener('click', async () => {
+        customAdapters = customAdapters.filter(a => a.id !== btn.dataset.delete);
+        await chrome.storage.local.set({ customAdapters });
+        renderAdapterList();
+        showToast('Adapter deleted.', 'error');
+    }));
+}
+
+function renderAdapterPreview(result) {
+    const rows = ADAPTER_FIELDS.map(([key, label]) => {
+        const value = result.data?.[key];
+        const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+        const hit = result.trace?.[key];
+        return `
+            <tr>
+                <td>${label}</td>
+                <td class="pv-value">${escHtml(text) || '<span class="pv-miss">—</span>'}</td>
+                <td class="pv-selector">${hit?.selector ? escHtml(hit.selector) : '<span class="pv-miss">no match</span>'}</td>
+            </tr>`;
+    }).join('');
+
+    $('adapter-preview').innerHTML = `
+        <div class="preview-meta">
+            ${escHtml(result.url)}<br>
+            URL ${result.urlMatches ? '✅ matches this adapter' : '⚠️ is not claimed by this adapter'}
+            · Job id: ${escHtml(result.identity || 'none')}
+            · Description: ${result.descriptionLength} chars
+            ${result.errors.length ? `<br>⚠️ ${escHtml(result.errors.join(' '))}` : ''}
+        </div>
+        <table class="preview-table">${rows}</table>`;
+    $('adapter-preview').classList.add('visible');
+}
+
+// The tab the user was on before opening this page, preferring one the adapter claims
+async function findJobTab(adapter) {
+    const tabs = await chrome.tabs.query({});
+    const self = await chrome.tabs.getCurrent();
+    const candidates = tabs
+        .filter(t => t.id !== self?.id && /^https?:/.test(t.url || ''))
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    const patterns = adapter.matches.map(JobLensAdapters.matchPatternToRegExpSource).map(p => new RegExp(p, 'i'));
+    return candidates.find(t => patterns.some(re => re.test(t.url))) ||
+        candidates.find(t => JobLensAdapters.findAdapter(t.url, [adapter])?.id === adapter.id) ||
+        candidates[0] || null;
+}
+
+// Resolves true without prompting when already granted; must run inside a click
+function requestOrigins(origins) {
+    return chrome.permissions.request({ origins });
+}
+
+function showAdapterError(msg) {
+    const el = $('adapter-error');
+    el.textContent = '❌ ' + msg;
+    el.classList.add('visible');
+}
+
+function escHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // ── UI Helpers ────────────────────────────────────────────────────────────────
 function showStatus(resume) {
-    const skills = (resume.parsed && resume.parsed.skills) ? resume.parsed.skills.slice(0, 8) : [];
+    const skills = (resume.parsed && resume.parsed.skills)
+        ? resume.parsed.skills.slice(0, 8).map(JobLensSkills.getSkillLabel) : [];
     const extra = (resume.parsed && resume.parsed.skills && resume.parsed.skills.length > 8)
         ? ` +${resume.parsed.skills.length - 8} more` : '';
     $('sc-skills').textContent = skills.length
@@ -4,23 +4,40 @@
  */
 
 import { parseResume } from "./utils/resumeParser.js";
+import "./utils/siteAdapters.js"; // classic script – publishes globalThis.JobLensAdapters
+import "./utils/language.js"; // classic script – publishes globalThis.JobLensLanguage
+import "./utils/skillTaxonomy.js"; // classic script – publishes globalThis.JobLensSkills
+import "./utils/salary.js"; // classic script – publishes globalThis.JobLensSalary
+import "./utils/experience.js"; // classic script – publishes globalThis.JobLensExperience
+import "./utils/workplace.js"; // classic script – publishes globalThis.JobLensWorkplace
+import "./utils/freshness.js"; // classic script – publishes globalThis.JobLensFreshness
+import "./utils/jobExtractor.js"; // classic script – publishes globalThis.JobLensExtractor
+import "./utils/fingerprint.js"; // classic script – publishes globalThis.JobLensFingerprint
+import "./utils/profileRanker.js"; // classic script – publishes globalThis.JobLensProfileRanker
 import {
     analyzeJob,
     getRateLimitStatus,
     saveResume,
     loadResume,
     deleteResume,
+    listResumeProfiles,
     getSettings,
     saveSettings,
     clearCache,
-    saveAnalysisToHistory,
     getAnalysisHistory,
+    getExtractionHealth,
+    textAnalysisKey,
     verifyBackendUrl,
 } from "./utils/apiClient.js";
 
 // ─── State ────────────────────────────────────────────────────────────────────
 let currentJobData = null;
-let currentResume = null;
+let currentResume = null; // the resume profile the next analysis uses
+let resumeProfiles = []; // profiles holding a resume
+let selectedProfileId = null; // the recommended (or active) profile until the user picks one
+let profilePickedByUser = false;
+let userSettings = {};
+let manualMode = false; // Analyze tab shows the paste-a-job form
 
 // ─── DOM Refs ─────────────────────────────────────────────────────────────────
 const $ = (id) => document.getElementById(id);
@@ -32,6 +49,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     setupSettingsTab();
     setupHistoryTab();
 
+    userSettings = await getSettings();
     await Promise.all([
         loadCurrentJob(),
         loadResumeStatus(),
@@ -39,6 +57,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     ]);
 
     setupAnalyzeButton();
+    setupManualEntry();
     subscribeJobUpdates();
     window.addEventListener("focus", refreshFromActiveTab);
     document.addEventListener("visibilitychange", () => {
@@ -87,25 +106,108 @@ function renderCurrentJob(currentJob) {
     skeleton?.classList.add("hidden");
 
     if (currentJob && currentJob.title) {
+        // A pick applies to one job; the next one gets a fresh recommendation
+        if (currentJob.url !== currentJobData?.url) profilePickedByUser = false;
         currentJobData = currentJob;
         content?.classList.remove("hidden");
         none?.classList.add("hidden");
 
         $("job-title").textContent = currentJob.title || "Unknown Title";
-        $("job-meta").textContent = [currentJob.company, currentJob.location]
-            .filter(Boolean).join(" · ");
-        $("job-exp").textContent = currentJob.experience !== "Not specified"
-            ? `Experience: ${currentJob.experience}` : "";
-        $("job-site-badge").textContent = capitalize(currentJob.site || "Job");
-        refreshAnalyzeBtn();
+        $("job-meta").textContent = [
+            currentJob.company,
+            currentJob.companyRating ? `★ ${currentJob.companyRating}` : "",
+            currentJob.location,
+            currentJob.employmentType,
+            currentJob.language && currentJob.language !== "en" ? JobLensLanguage.LANGUAGES[currentJob.language] : "",
+        ].filter(Boolean).join(" · ");
+        if (currentJob.mode === "gig") {
+            $("job-exp").textContent = currentJob.salary !== "Not disclosed"
+                ? `Budget: ${currentJob.salary}` : "";
+        } else {
+            $("job-exp").textContent = currentJob.experience !== "Not specified"
+                ? `Experience: ${currentJob.experience}` : "";
+        }
+        renderJobSalary(currentJob);
+        renderJobFlags(currentJob);
+        renderDiagnostics(currentJob);
+        renderExtractionHealth(currentJob);
+        $("job-site-badge").textContent = siteLabel(currentJob.site);
+        recommendProfile();
     } else {
         currentJobData = null;
         content?.classList.add("hidden");
         none?.classList.remove("hidden");
-        refreshAnalyzeBtn();
+        recommendProfile();
     }
 }
 
+// Posted pay as a yearly figure in the user's currency (Settings → Salary Currency)
+function renderJobSalary(job) {
+    const el = $("job-salary");
+    if (!el) return;
+    const label = JobLensSalary.describeAnnual(job?.salaryInfo, userSettings);
+    el.textContent = label;
+    el.title = label ? job.salary || "" : "";
+    el.classList.toggle("hidden", !label);
+}
+
+// Work mode / relocation / visa chips, plus clashes with Settings → Work Preferences
+function renderJobFlags(job) {
+    const el = $("job-flags");
+    if (!el) return;
+    const chips = JobLensWorkplace.describeWorkplace(job?.workplace);
+    const conflicts = JobLensWorkplace.findConflicts(job, userSettings.workPrefs);
+    el.innerHTML = [
+        ...chips.map((c) => `<span class="job-flag">${escHtml(c)}</span>`),
+        ...conflicts.map((c) => `<span class="job-conflict">⚠ ${escHtml(c)}</span>`),
+    ].join("");
+    el.classList.toggle("hidden", !chips.length && !conflicts.length);
+}
+
+// Settings → Extraction Diagnostics: where each field came from (jobExtractor diagnoseExtraction)
+const DIAG_SOURCES = { "schema.org": "schema.org", fallback: "page fallback", generic: "generic parser", none: "not found" };
+
+function renderDiagnostics(job) {
+    const el = $("diagnostics");
+    const diagnostics = job?.diagnostics;
+    el.classList.toggle("hidden", !userSettings.showDiagnostics || !diagnostics);
+    if (!userSettings.showDiagnostics || !diagnostics) return;
+
+    $("diag-table").innerHTML = Object.entries(diagnostics.fields).map(([field, d]) => {
+        const source = d.source === "selector"
+            ? `<code>${escHtml(d.selector)}</code>${d.index > 0 ? ` <span class="diag-fallback">fallback ${d.index + 1}/${d.chainLength}</span>` : ""}`
+            : escHtml(DIAG_SOURCES[d.source] || d.source);
+        return `
+            <tr>
+                <td>${escHtml(field)}</td>
+                <td class="diag-source">${source}</td>
+                <td class="diag-length">${d.length}</td>
+                <td><span class="diag-confidence" data-level="${d.confidence}">${d.confidence}</span></td>
+            </tr>`;
+    }).join("");
+}
+
+// "LinkedIn extraction degraded since …" from background's rolling per-adapter record
+async function renderExtractionHealth(job) {
+    const warning = $("health-warning");
+    const health = job?.diagnostics ? await getExtractionHealth(job.site) : null;
+    if (job !== currentJobData) return; // a newer job rendered meanwhile
+
+    const since = health?.degradedSince ? new Date(health.degradedSince).toLocaleDateString() : "";
+    warning.textContent = since
+        ? `⚠️ ${siteLabel(job.site)} extraction degraded since ${since}` +
+          (health.weakFields.length ? ` (${health.weakFields.join(", ")})` : "") +
+          ". Check the job details before analyzing."
+        : "";
+    warning.classList.toggle("hidden", !since);
+
+    const samples = health?.samples || [];
+    $("diag-health").textContent = samples.length
+        ? `Last ${samples.length} extraction${samples.length === 1 ? "" : "s"} on ${siteLabel(job.site)}: ` +
+          `${samples.filter((s) => !s.degraded).length} healthy`
+        : "";
+}
+
 function subscribeJobUpdates() {
     chrome.storage.onChanged.addListener((changes, areaName) => {
         if (areaName !== "local") return;
@@ -167,14 +269,23 @@ async function getCurrentJobForTab(tabId) {
 
 // ─── Resume Status ────────────────────────────────────────────────────────────
 async function loadResumeStatus() {
-    currentResume = await loadResume();
+    const state = await listResumeProfiles();
+    resumeProfiles = JobLensResumeProfiles.usableProfiles(state);
+    // Keep the picked profile while it still exists
+    if (!resumeProfiles.some((p) => p.id === selectedProfileId)) {
+        selectedProfileId = state.activeId;
+        profilePickedByUser = false;
+    }
+    recommendProfile();
+    renderResumeProfileNote(state);
+
     const icon = $("rs-icon");
     const text = $("rs-text");
     const link = $("rs-upload-link");
 
     if (currentResume) {
         icon.textContent = "✅";
-        text.textContent = "Resume loaded";
+        text.textContent = resumeProfiles.length > 1 ? "Resume:" : "Resume loaded";
         link.textContent = "Update";
     } else {
         icon.textContent = "📄";
@@ -185,10 +296,56 @@ async function loadResumeStatus() {
     link?.addEventListener("click", () => {
         document.querySelector('[data-tab="resume"]')?.click();
     });
+}
 
+// Rank the profiles against the detected job (utils/profileRanker.js) and
+// preselect the best one, until the user picks one themselves
+function recommendProfile() {
+    const ranking = currentJobData && resumeProfiles.length > 1
+        ? JobLensProfileRanker.rankProfiles(resumeProfiles, currentJobData)
+        : [];
+    if (ranking.length && !profilePickedByUser) selectedProfileId = ranking[0].profile.id;
+    currentResume = resumeProfiles.find((p) => p.id === selectedProfileId) || resumeProfiles[0] || null;
+
+    renderProfilePicker(ranking);
+    const reason = $("profile-reason");
+    const explanation = JobLensProfileRanker.explainRanking(ranking);
+    reason?.classList.toggle("hidden", !explanation);
+    if (reason) reason.textContent = explanation ? `⭐ ${explanation}` : "";
     refreshAnalyzeBtn();
 }
 
+function renderProfilePicker(ranking) {
+    const select = $("profile-select");
+    if (!select) return;
+    const best = ranking[0]?.profile.id;
+    select.classList.toggle("hidden", resumeProfiles.length < 2);
+    select.innerHTML = resumeProfiles
+        .map((p) => `<option value="${escHtml(p.id)}">${escHtml(p.name)}${p.id === best ? " ★" : ""}</option>`)
+        .join("");
+    select.value = currentResume?.id || "";
+    select.onchange = () => {
+        selectedProfileId = select.value;
+        profilePickedByUser = true;
+        currentResume = resumeProfiles.find((p) => p.id === selectedProfileId) || null;
+        refreshAnalyzeBtn();
+    };
+}
+
+// The Resume tab edits the active profile; say which when there are several
+function renderResumeProfileNote(state) {
+    const note = $("resume-profile-note");
+    const active = state.profiles.find((p) => p.id === state.activeId);
+    note?.classList.toggle("hidden", !active || state.profiles.length < 2);
+    if (note && active) {
+        note.textContent = `Editing the “${active.name}” profile. Add or switch profiles in the Resume Manager.`;
+    }
+}
+
+function profileRef(profile) {
+    return profile?.id ? { id: profile.id, name: profile.name, versionId: profile.versionId || null } : undefined;
+}
+
 // ─── Rate Limit ───────────────────────────────────────────────────────────────
 async function loadRateLimit() {
     const rl = await getRateLimitStatus();
@@ -211,7 +368,9 @@ async function loadRateLimit() {
 function refreshAnalyzeBtn() {
     const btn = $("analyze-btn");
     if (!btn) return;
-    btn.disabled = !(currentJobData && currentResume);
+    btn.disabled = manualMode
+        ? !(currentResume && $("manual-title").value.trim() && $("manual-description").value.trim().length >= 50)
+        : !(currentJobData && currentResume);
 }
 
 function setupAnalyzeButton() {
@@ -219,6 +378,10 @@ function setupAnalyzeButton() {
 }
 
 async function runAnalysis() {
+    if (manualMode) {
+        await runManualAnalysis();
+        return;
+    }
     if (!currentJobData) {
         showToast("Open a supported job page first.", "error");
         return;
@@ -266,6 +429,7 @@ async function runAnalysis() {
                 payload: {
                     jobData: currentJobData,
                     resumeText: currentResume.raw,
+                    resumeProfile: profileRef(currentResume),
                     url: currentJobData.url,
                     tabId: tab.id,
                 },
@@ -306,8 +470,97 @@ async function getFreshJobDataFromTab(tabId) {
     });
 }
 
+// ─── Manual Entry ─────────────────────────────────────────────────────────────
+// Jobs that arrive as text (recruiter emails, forwarded JDs) have no tab to read
+// or overlay to show results in, so the result is previewed here and the full
+// analysis stays re-openable from History.
+function setupManualEntry() {
+    $("manual-toggle")?.addEventListener("click", () => setManualMode(!manualMode));
+
+    // Guess the title from the first line of a paste, unless one was typed
+    $("manual-description")?.addEventListener("input", () => {
+        const title = $("manual-title");
+        if (!title.value.trim() || title.dataset.guessed === "true") {
+            title.value = JobLensExtractor.buildJobDataFromText({ text: $("manual-description").value }).title;
+            title.dataset.guessed = "true";
+        }
+        refreshAnalyzeBtn();
+    });
+    $("manual-title")?.addEventListener("input", () => {
+        $("manual-title").dataset.guessed = "false";
+        refreshAnalyzeBtn();
+    });
+}
+
+function setManualMode(on) {
+    manualMode = on;
+    $("manual-job").classList.toggle("hidden", !on);
+    $("job-card").classList.toggle("hidden", on);
+    $("overlay-hint").classList.toggle("hidden", on);
+    $("result-area").classList.add("hidden");
+    $("manual-toggle").textContent = on ? "← Back to the detected job" : "✍️ Paste a job description instead";
+    refreshAnalyzeBtn();
+}
+
+function readManualJobData() {
+    return JobLensExtractor.buildJobDataFromText({
+        title: $("manual-title").value,
+        company: $("manual-company").value,
+        url: $("manual-url").value.trim(),
+        description: $("manual-description").value,
+        source: "manual",
+    });
+}
+
+async function runManualAnalysis() {
+    if (!currentResume?.raw?.trim()) {
+        showToast("Resume is required. Please upload/paste your resume first.", "error");
+        return;
+    }
+
+    const btn = $("analyze-btn");
+    const btnText = $("analyze-btn-text");
+    const spinner = $("btn-spinner");
+    const area = $("result-area");
+
+    btn.disabled = true;
+    btnText.textContent = "Analyzing…";
+    spinner?.classList.remove("hidden");
+
+    try {
+        const jobData = readManualJobData();
+        const result = await analyzeJob({
+            jobData,
+            resumeText: currentResume.raw,
+            resumeProfile: profileRef(currentResume),
+            url: textAnalysisKey(jobData),
+        });
+        renderResultPreview(result, area, result.historyId);
+    } catch (err) {
+        renderError(err.message, area, err.rateLimited);
+    } finally {
+        area.classList.remove("hidden");
+        btnText.textContent = "🔍 Analyze My Match";
+        spinner?.classList.add("hidden");
+        refreshAnalyzeBtn();
+        loadRateLimit();
+    }
+}
+
+function openSavedAnalysis(historyId) {
+    chrome.windows.create({
+        url: chrome.runtime.getURL(`analyze.html?history=${encodeURIComponent(historyId)}`),
+        type: "popup",
+        width: 480,
+        height: 760,
+    });
+}
 
-function renderResultPreview(result, container) {
+/**
+ * @param {string} [historyId]  set for manual analyses: offers the full result
+ *   window instead of pointing at the page's side panel
+ */
+function renderResultPreview(result, container, historyId) {
     const pct = result.match_percentage || 0;
     const matchClass = pct >= 80 ? "strong" : pct >= 60 ? "moderate" : "weak";
     const emoji = pct >= 80 ? "🟢" : pct >= 60 ? "🟡" : "🔴";
@@ -333,9 +586,12 @@ function renderResultPreview(result, container) {
             ${result.matched_skills.slice(0, 4).map(s => `<span class="rp-tag match">${escHtml(s)}</span>`).join("")}
           </div>
         </div>` : ""}
-      <p class="rp-hint">👉 Open the side panel for full details & suggestions</p>
+      ${historyId
+        ? `<p class="rp-hint"><button class="rp-open-btn" id="rp-open-btn">📋 Open full result</button></p>`
+        : `<p class="rp-hint">👉 Open the side panel for full details & suggestions</p>`}
     </div>
   `;
+    $("rp-open-btn")?.addEventListener("click", () => openSavedAnalysis(historyId));
 }
 
 function renderError(msg, container, isRateLimit = false) {
@@ -365,6 +621,9 @@ function setupResumeTab() {
     $("open-manager-btn")?.addEventListener("click", () => {
         chrome.tabs.create({ url: chrome.runtime.getURL("options.html") });
     });
+    $("rsi-edit-btn")?.addEventListener("click", () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL("options.html#editor-card") });
+    });
 
     saveBtn?.addEventListener("click", async () => {
         const text = textarea.value.trim();
@@ -374,9 +633,11 @@ function setupResumeTab() {
 
     deleteBtn?.addEventListener("click", async () => {
         await deleteResume();
-        currentResume = null;
-        textarea.value = "";
-        $("resume-saved-info")?.classList.add("hidden");
+        // Another profile becomes active when there is one
+        const next = await loadResume();
+        textarea.value = next?.raw || "";
+        if (next?.raw) showSavedResumeInfo(next);
+        else $("resume-saved-info")?.classList.add("hidden");
         loadResumeStatus();
         showToast("Resume deleted.", "info");
     });
@@ -391,9 +652,8 @@ async function handleResumeFile(file) {
     try {
         const { raw, parsed } = await parseResume(file);
         $("resume-textarea").value = raw;
-        await saveResume(raw, parsed);
-        currentResume = { raw, parsed };
-        showSavedResumeInfo({ raw, parsed, savedAt: new Date().toISOString() });
+        // The saved profile's parse carries the user's corrections
+        showSavedResumeInfo(await saveResume(raw, parsed, undefined, `Uploaded ${file.name}`));
         loadResumeStatus();
         showToast("Resume saved successfully! ✅", "success");
     } catch (err) {
@@ -407,9 +667,7 @@ async function handleResumeText(text) {
     showParseProgress(true);
     try {
         const { raw, parsed } = await parseResume(text);
-        await saveResume(raw, parsed);
-        currentResume = { raw, parsed };
-        showSavedResumeInfo({ raw, parsed, savedAt: new Date().toISOString() });
+        showSavedResumeInfo(await saveResume(raw, parsed, undefined, "Pasted in the popup"));
         loadResumeStatus();
         showToast("Resume saved! ✅", "success");
     } catch (err) {
@@ -425,7 +683,7 @@ function showSavedResumeInfo(resume) {
     const dateEl = $("rsi-date");
     info?.classList.remove("hidden");
 
-    const skills = resume.parsed?.skills?.slice(0, 8) || [];
+    const skills = (resume.parsed?.skills?.slice(0, 8) || []).map(JobLensSkills.getSkillLabel);
     skillsEl.textContent = skills.length
         ? `Skills detected: ${skills.join(", ")}${resume.parsed?.skills?.length > 8 ? ` +${resume.parsed.skills.length - 8} more` : ""}`
         : "Skills: none detected automatically";
@@ -474,6 +732,8 @@ function setupHistoryTab() {
     });
 }
 
+const HISTORY_SOURCES = { manual: "pasted", selection: "selected text" };
+
 async function renderHistory() {
     const list = $("history-list");
     if (!list) return;
@@ -493,15 +753,33 @@ async function renderHistory() {
         const pct = entry.matchPercentage || 0;
         const cls = pct >= 80 ? "strong" : pct >= 60 ? "moderate" : "weak";
         return `
-      <div class="history-item">
+      <div class="history-item${entry.result ? " reopenable" : ""}" data-id="${escHtml(entry.id)}">
         <div class="hi-main">
           <div class="hi-title">${escHtml(entry.jobTitle || "Unknown")}</div>
           <div class="hi-company">${escHtml(entry.company || "")}</div>
-          <div class="hi-date">${new Date(entry.analyzedAt).toLocaleDateString()}</div>
+          <div class="hi-date">${new Date(entry.analyzedAt).toLocaleDateString()}${HISTORY_SOURCES[entry.source] ? ` · ${HISTORY_SOURCES[entry.source]}` : ""}${entry.resumeProfile ? ` · ${historyResumeLink(entry.resumeProfile)}` : ""}</div>
         </div>
         <div class="hi-pct ${cls}">${pct}%</div>
       </div>`;
     }).join("");
+
+    list.querySelectorAll(".history-item.reopenable").forEach((item) => {
+        item.addEventListener("click", () => openSavedAnalysis(item.dataset.id));
+    });
+    list.querySelectorAll(".hi-version").forEach((link) => {
+        link.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const params = new URLSearchParams({ profile: link.dataset.profile, version: link.dataset.version });
+            chrome.tabs.create({ url: chrome.runtime.getURL(`options.html?${params}#versions-card`) });
+        });
+    });
+}
+
+// The resume version an entry was scored against, opened in the Resume Manager
+function historyResumeLink(profile) {
+    const label = `${escHtml(profile.name)} resume`;
+    if (!profile.versionId) return label;
+    return `<button class="hi-version" data-profile="${escHtml(profile.id)}" data-version="${escHtml(profile.versionId)}" title="Show the resume version this was scored against">${label}</button>`;
 }
 
 // ─── Settings Tab ─────────────────────────────────────────────────────────────
@@ -513,6 +791,13 @@ async function setupSettingsTab() {
 
     if (urlInput) urlInput.value = settings.backendUrl || "http://localhost:8000";
     if (overlayToggle) overlayToggle.checked = settings.overlayEnabled !== false;
+    $("skip-old-days").value = settings.skipAutoOpenOlderThanDays || "";
+    $("diagnostics-toggle").checked = !!settings.showDiagnostics;
+    setupLanguageSelect(settings.uiLanguage);
+
+    setupAtsToggle();
+    setupSalarySettings(settings);
+    setupWorkPrefs(settings.workPrefs);
 
     $("save-settings-btn")?.addEventListener("click", async () => {
         const nextUrl = (urlInput?.value || "").trim();
@@ -521,10 +806,35 @@ async function setupSettingsTab() {
             return;
         }
 
+        const exchangeRates = readRateTable();
+        if (!exchangeRates) {
+            showToast("Exchange rates must be positive numbers.", "error");
+            return;
+        }
+
+        const skipDaysText = $("skip-old-days").value.trim();
+        const skipDays = skipDaysText ? parseInt(skipDaysText, 10) : 0;
+        if (isNaN(skipDays) || skipDays < 0) {
+            showToast("Skip Old Postings must be a number of days.", "error");
+            return;
+        }
+
         await saveSettings({
             backendUrl: nextUrl,
             overlayEnabled: overlayToggle?.checked !== false,
+            salaryCurrency: $("salary-currency")?.value || JobLensSalary.DEFAULT_CURRENCY,
+            exchangeRates,
+            workPrefs: readWorkPrefs(),
+            skipAutoOpenOlderThanDays: skipDays,
+            uiLanguage: $("ui-language").value,
+            showDiagnostics: $("diagnostics-toggle").checked,
         });
+        userSettings = await getSettings();
+        if (currentJobData) {
+            renderJobSalary(currentJobData);
+            renderJobFlags(currentJobData);
+            renderDiagnostics(currentJobData);
+        }
         showToast("Settings saved! ✅", "success");
     });
 
@@ -554,6 +864,103 @@ async function setupSettingsTab() {
     });
 }
 
+// "" follows the browser's language; cached results keep the language they were written in
+function setupLanguageSelect(current = "") {
+    const select = $("ui-language");
+    const browser = JobLensLanguage.LANGUAGES[JobLensLanguage.resolveUiLanguage("", chrome.i18n.getUILanguage())];
+    select.innerHTML = [
+        `<option value="">Browser language (${escHtml(browser)})</option>`,
+        ...Object.entries(JobLensLanguage.LANGUAGES).map(([code, name]) => `<option value="${code}">${escHtml(name)}</option>`),
+    ].join("");
+    select.value = JobLensLanguage.LANGUAGES[current] ? current : "";
+}
+
+// Currency picker + "units per 1 USD" table; both are saved with Save Settings
+function setupSalarySettings(settings) {
+    const select = $("salary-currency");
+    const grid = $("rate-grid");
+    if (!select || !grid) return;
+
+    const rates = { ...JobLensSalary.DEFAULT_RATES, ...(settings.exchangeRates || {}) };
+    const codes = Object.keys(rates);
+
+    select.innerHTML = codes.map((c) => `<option value="${c}">${c}</option>`).join("");
+    select.value = codes.includes(settings.salaryCurrency) ? settings.salaryCurrency : JobLensSalary.DEFAULT_CURRENCY;
+
+    const fillGrid = (table) => {
+        grid.innerHTML = codes
+            .map((c) => `
+                <label class="rate-row">
+                    <span>${c}</span>
+                    <input type="number" class="setting-input" min="0" step="any"
+                        data-currency="${c}" value="${table[c] ?? ""}" ${c === "USD" ? "disabled" : ""} />
+                </label>`)
+            .join("");
+    };
+    fillGrid(rates);
+
+    $("reset-rates-btn")?.addEventListener("click", () => fillGrid(JobLensSalary.DEFAULT_RATES));
+}
+
+function setupWorkPrefs(prefs = {}) {
+    document.querySelectorAll('input[name="work-mode"]').forEach((box) => {
+        box.checked = (prefs.modes || []).includes(box.value);
+    });
+    $("pref-locations").value = (prefs.locations || []).join(", ");
+    $("pref-auth").value = (prefs.authorizedCountries || []).join(", ");
+    $("pref-relocate").checked = !!prefs.willingToRelocate;
+    $("pref-sponsorship").checked = !!prefs.needsSponsorship;
+}
+
+function readWorkPrefs() {
+    const list = (id) => ($(id)?.value || "").split(",").map((s) => s.trim()).filter(Boolean);
+    return {
+        modes: [...document.querySelectorAll('input[name="work-mode"]:checked')].map((box) => box.value),
+        locations: list("pref-locations"),
+        authorizedCountries: list("pref-auth"),
+        willingToRelocate: $("pref-relocate")?.checked || false,
+        needsSponsorship: $("pref-sponsorship")?.checked || false,
+    };
+}
+
+/** Rate inputs → { CODE: rate }, or null if any rate isn't a positive number. */
+function readRateTable() {
+    const rates = {};
+    for (const input of document.querySelectorAll("#rate-grid input[data-currency]")) {
+        const value = parseFloat(input.value);
+        if (!(value > 0)) return null;
+        rates[input.dataset.currency] = value;
+    }
+    return rates;
+}
+
+// ATS host access is an optional permission; Chrome only allows requesting it
+// from a user gesture, so the toggle itself drives the permission prompt.
+async function setupAtsToggle() {
+    const toggle = $("ats-toggle");
+    if (!toggle) return;
+
+    // Only the ATS boards – the remaining optional hosts belong to custom adapters
+    const origins = JobLensAdapters.getOptionalOrigins();
+    toggle.checked = await chrome.permissions.contains({ origins });
+
+    toggle.addEventListener("change", async () => {
+        try {
+            if (toggle.checked) {
+                const granted = await chrome.permissions.request({ origins });
+                toggle.checked = granted;
+                showToast(granted ? "ATS pages enabled ✅" : "Permission not granted.", granted ? "success" : "error");
+            } else {
+                await chrome.permissions.remove({ origins });
+                showToast("ATS pages disabled.", "info");
+            }
+        } catch (err) {
+            toggle.checked = !toggle.checked;
+            showToast("Error: " + err.message, "error");
+        }
+    });
+}
+
 // ─── Toast ────────────────────────────────────────────────────────────────────
 function showToast(msg, type = "info") {
     const toast = $("toast");
@@ -570,6 +977,14 @@ function escHtml(str) {
         .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 }
 
+const SITE_LABELS = Object.fromEntries(
+    JobLensAdapters.BUILT_IN_ADAPTERS.map((a) => [a.id, a.label])
+);
+
+function siteLabel(site) {
+    return SITE_LABELS[site] || capitalize(site || "Job");
+}
+
 function capitalize(s) {
     return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
 }
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUtils } = require("./loadUtils.js");
+
+const { JobLensExperience: Experience } = loadUtils("experience");
+
+const NOW = new Date(2026, 5, 15); // June 2026
+
+test("posting bands: ranges, open-ended and minimums", () => {
+    assert.deepEqual(Experience.parseExperienceRange("3 - 5 Yrs"), { minYears: 3, maxYears: 5 });
+    assert.deepEqual(Experience.parseExperienceRange("5+ years of experience"), { minYears: 5, maxYears: null });
+    assert.deepEqual(Experience.parseExperienceRange("Minimum 2 years in backend work"), { minYears: 2, maxYears: null });
+    assert.deepEqual(Experience.parseExperienceRange("Fresher"), { minYears: 0, maxYears: 1 });
+    assert.equal(Experience.parseExperienceRange("Great team, free lunch"), null);
+    assert.equal(Experience.formatExperienceRange({ minYears: 3, maxYears: 5 }), "3-5 years");
+});
+
+test("overlapping and concurrent roles count once", () => {
+    const resume = [
+        "Experience",
+        "Senior Engineer, Acme  Jan 2020 - Present",
+        "Freelance Consultant  Jun 2021 - Dec 2022",
+        "Engineer, Globex  Jan 2018 - Dec 2019",
+        "Education",
+        "B.Tech, IIT  2014 - 2018",
+    ].join("\n");
+    const { totalMonths, periods } = Experience.computeResumeExperience(resume, NOW);
+    // Jan 2018 – Jun 2026, the freelance years inside it and the degree left out
+    assert.equal(totalMonths, 102);
+    assert.deepEqual(periods, [{ start: "2018-01", end: "2026-06" }]);
+});
+
+test("gaps between roles are not counted", () => {
+    const resume = "Work Experience\nAnalyst  03/2019 - 02/2020\nDeveloper  2021-01 - 2021-12";
+    assert.equal(Experience.computeResumeExperience(resume, NOW).totalMonths, 24);
+});
+
+test("fit against the band, with a year of slack above it", () => {
+    const band = { minYears: 3, maxYears: 5 };
+    assert.equal(Experience.assessFit(band, 2).status, "under");
+    assert.equal(Experience.assessFit(band, 6).status, "within");
+    assert.equal(Experience.assessFit(band, 6.5).status, "over");
+    assert.equal(Experience.assessFit(null, 4), null);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUtils } = require("./loadUtils.js");
+
+const { JobLensFingerprint: Fingerprint } = loadUtils("fingerprint");
+
+const DESCRIPTION = "We are hiring a backend engineer to build payment systems with Python and Go "
+    + "on Kubernetes, in a fast growing team across India and Europe with great benefits.";
+const job = (company, title = "Backend Engineer", description = DESCRIPTION) =>
+    Fingerprint.fingerprintJob({ company, title, description });
+const sameRole = (a, b) => Fingerprint.isDuplicate(job(a), job(b));
+
+test("names are normalised before comparing", () => {
+    assert.equal(Fingerprint.normalizeCompany("Acme Technologies Pvt. Ltd."), "acme technologies");
+    assert.equal(Fingerprint.normalizeTitle("Sr. Backend Engg (Python) – Remote"), "senior backend engineer");
+});
+
+test("company variants across boards are the same employer", () => {
+    assert.equal(sameRole("Acme", "Acme Technologies Pvt. Ltd."), true);
+    assert.equal(sameRole("acmelabs", "Acme Labs"), true);
+    assert.equal(sameRole("Acme Tech Labs", "acmelabs"), true);
+    assert.equal(sameRole("OpenAI", "Open AI"), true);
+    assert.equal(sameRole("Tech Solutions", "Tech Solutions Pvt Ltd"), true);
+});
+
+test("different employers never match", () => {
+    assert.equal(sameRole("Acme", "Globex"), false);
+    assert.equal(sameRole("Tech Solutions", "Google"), false);
+    assert.equal(sameRole("Global Services Inc", "Stripe"), false);
+    assert.equal(sameRole("App", "Apple"), false);
+    assert.equal(sameRole("Meta", "Metabase"), false);
+});
+
+test("titles and descriptions decide within one employer", () => {
+    assert.equal(Fingerprint.isDuplicate(job("Acme", "Senior Backend Engineer"), job("Acme")), true);
+    assert.equal(Fingerprint.isDuplicate(job("Acme", "Frontend Engineer"), job("Acme")), false);
+    const other = "Own our design system and component library in React and TypeScript, "
+        + "partnering with product designers on accessibility and performance across web surfaces.";
+    assert.equal(Fingerprint.isDuplicate(job("Acme", "Backend Engineer", other), job("Acme")), false);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUtils } = require("./loadUtils.js");
+
+const { JobLensFreshness: Freshness } = loadUtils("freshness");
+
+const NOW = new Date("2026-06-15T12:00:00Z");
+const parse = (input) => Freshness.parseFreshness(input, NOW);
+
+test("relative header dates, reposts and applicants", () => {
+    const reposted = parse({ postedText: "Reposted 2 weeks ago · Over 100 applicants" });
+    assert.equal(Freshness.ageInDays(reposted, NOW), 14);
+    assert.equal(reposted.reposted, true);
+    assert.equal(reposted.applicants, 100);
+    assert.equal(reposted.applicantsQualifier, "over");
+    assert.equal(Freshness.ageInDays(parse({ postedText: "Just posted" }), NOW), 0);
+});
+
+test('"30+ days ago" is a minimum age', () => {
+    const old = parse({ postedText: "Posted 30+ days ago" });
+    assert.equal(Freshness.ageInDays(old, NOW), 30);
+    assert.equal(old.ageIsMinimum, true);
+    assert.equal(Freshness.describeFreshness(old, NOW).level, "stale");
+});
+
+test("recruiter activity is not the posting date", () => {
+    assert.equal(parse({ postedText: "Employer active 3 days ago" }), null);
+});
+
+test("closed postings and past closing dates", () => {
+    assert.equal(parse({ hiringText: "No longer accepting applications" }).closed, true);
+    assert.equal(parse({ description: "Apply by 30 May 2026." }).closed, true);
+    assert.equal(parse({ description: "Apply by 30 November 2026." }).closed, false);
+});
+
+test("skip auto-open: older than N days, open-ended ages included", () => {
+    const at = (postedText) => parse({ postedText });
+    assert.equal(Freshness.isOlderThan(at("Posted 30+ days ago"), 30, NOW), true);
+    assert.equal(Freshness.isOlderThan(at("Posted 30 days ago"), 30, NOW), false);
+    assert.equal(Freshness.isOlderThan(at("Posted 31 days ago"), 30, NOW), true);
+    assert.equal(Freshness.isOlderThan(at("Posted 30+ days ago"), 0, NOW), false);
+    assert.equal(Freshness.isOlderThan(null, 30, NOW), false);
+});
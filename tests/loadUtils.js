@@ -0,0 +1,20 @@
+/**
+ * Loads classic utils/ scripts the way the manifest does – run in order,
+ * each publishing its globalThis.JobLens* namespace – so the parser checks
+ * need nothing but node (`node --test tests/`).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+/** @param {...string} names  file names under utils/, without ".js" */
+function loadUtils(...names) {
+    for (const name of names) {
+        const file = path.join(__dirname, "..", "utils", `${name}.js`);
+        vm.runInThisContext(fs.readFileSync(file, "utf8"), { filename: file });
+    }
+    return globalThis;
+}
+
+module.exports = { loadUtils };
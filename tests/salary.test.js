@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadUtils } = require("./loadUtils.js");
+
+const { JobLensSalary: Salary } = loadUtils("salary");
+
+const pick = (info) => info && { min: info.min, max: info.max, currency: info.currency, period: info.period };
+
+test("Indian lakh bands: a trailing LPA covers both ends", () => {
+    assert.deepEqual(pick(Salary.parseSalary("₹12-18 LPA")), { min: 1200000, max: 1800000, currency: "INR", period: "year" });
+    assert.deepEqual(pick(Salary.parseSalary("6-9 Lacs P.A.")), { min: 600000, max: 900000, currency: "INR", period: "year" });
+    assert.equal(Salary.parseSalary("8 LPA CTC").basis, "ctc");
+});
+
+test("k ranges, with or without a second symbol", () => {
+    assert.deepEqual(pick(Salary.parseSalary("$120-150K")), { min: 120000, max: 150000, currency: "USD", period: "year" });
+    const glassdoor = Salary.parseSalary("£40K - £50K a year (Glassdoor est.)");
+    assert.deepEqual(pick(glassdoor), { min: 40000, max: 50000, currency: "GBP", period: "year" });
+    assert.equal(glassdoor.isEstimate, true);
+});
+
+test("hourly, monthly and European-formatted pay", () => {
+    assert.deepEqual(pick(Salary.parseSalary("$45/hr")), { min: 45, max: 45, currency: "USD", period: "hour" });
+    assert.deepEqual(pick(Salary.parseSalary("₹ 15,000 /month")), { min: 15000, max: 15000, currency: "INR", period: "month" });
+    assert.deepEqual(pick(Salary.parseSalary("€60.000 p.a.")), { min: 60000, max: 60000, currency: "EUR", period: "year" });
+});
+
+test("undisclosed pay parses to nothing", () => {
+    assert.equal(Salary.parseSalary("Not disclosed"), null);
+    assert.equal(Salary.parseSalary(""), null);
+});
+
+test("annualised in the user's currency", () => {
+    const hourly = Salary.parseSalary("$45/hr");
+    assert.deepEqual(Salary.toAnnual(hourly, "USD"), { min: 93600, max: 93600, currency: "USD" });
+    assert.equal(Salary.toAnnual({ ...hourly, currency: "" }, "USD"), null);
+    assert.equal(Salary.describeAnnual(Salary.parseSalary("₹12-18 LPA")), "≈ ₹12L–18L / year");
+    assert.equal(Salary.formatMoney(12000000, "INR"), "₹1.2Cr");
+});
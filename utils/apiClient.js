@@ -4,6 +4,9 @@
  * Handles caching, retries, and error normalization.
  */
 
+import "./fingerprint.js"; // classic script – publishes globalThis.JobLensFingerprint
+import "./resumeProfiles.js"; // classic script – publishes globalThis.JobLensResumeProfiles
+
 // ─── Core Communication ───────────────────────────────────────────────────────
 
 /**
@@ -28,10 +31,11 @@ function sendToBackground(type, payload = {}) {
 
 /**
  * Request AI analysis from the backend via background worker.
- * @param {{ jobData: object, resumeText: string, url: string }} options
+ * @param {{ jobData: object, resumeText: string, url: string,
+ *           resumeProfile?: { id: string, name: string, versionId?: string } }} options
  * @returns {Promise<AnalysisResult>}
  */
-export async function analyzeJob({ jobData, resumeText, url }) {
+export async function analyzeJob({ jobData, resumeText, url, resumeProfile }) {
     if (!jobData || !resumeText) {
         throw new Error("Both job data and resume text are required.");
     }
@@ -40,6 +44,7 @@ export async function analyzeJob({ jobData, resumeText, url }) {
         jobData,
         resumeText,
         url,
+        resumeProfile,
     });
 
     if (!response.success) {
@@ -51,6 +56,7 @@ export async function analyzeJob({ jobData, resumeText, url }) {
     return {
         ...response.data,
         fromCache: response.fromCache || false,
+        historyId: response.historyId || null,
     };
 }
 
@@ -65,10 +71,11 @@ export async function getRateLimitStatus() {
 /**
  * Get a cached analysis result for a URL (if available).
  * @param {string} url
+ * @param {{ id: string, versionId?: string }} [resumeProfile]  results are cached per resume version
  * @returns {Promise<object|null>}
  */
-export async function getCachedResult(url) {
-    const response = await sendToBackground("GET_CACHED_RESULT", { url });
+export async function getCachedResult(url, resumeProfile) {
+    const response = await sendToBackground("GET_CACHED_RESULT", { url, resumeProfile });
     return response || null;
 }
 
@@ -90,41 +97,58 @@ export async function verifyBackendUrl(url) {
 }
 
 // ─── Resume Storage ───────────────────────────────────────────────────────────
+// Named profiles (utils/resumeProfiles.js); without a profile id these act on
+// the active one, as the single stored resume did before.
 
 /**
- * Save resume data to chrome.storage.local (never leaves the device).
+ * Save resume data to chrome.storage.local (never leaves the device). The
+ * previous text stays in the profile's version history.
+ * @param {string} [profileId]
+ * @param {string} [label]  version label
+ * @returns {Promise<object>}  the saved profile
  */
-export async function saveResume(rawText, parsed) {
-    await chrome.storage.local.set({
-        resume: {
-            raw: rawText,
-            parsed,
-            savedAt: new Date().toISOString(),
-        },
-    });
+export async function saveResume(rawText, parsed, profileId, label) {
+    return JobLensResumeProfiles.saveProfileResume(profileId, rawText, parsed, label);
 }
 
 /**
- * Load saved resume from chrome.storage.local.
- * @returns {Promise<{ raw: string, parsed: object, savedAt: string }|null>}
+ * Load a saved resume profile from chrome.storage.local.
+ * @param {string} [profileId]  omitted → the active profile
+ * @returns {Promise<{ id: string, name: string, raw: string, parsed: object, savedAt: string }|null>}
  */
-export async function loadResume() {
-    const data = await chrome.storage.local.get(["resume"]);
-    return data.resume || null;
+export async function loadResume(profileId) {
+    return JobLensResumeProfiles.getProfile(profileId);
 }
 
 /**
- * Delete the stored resume.
+ * Delete a stored resume profile (the active one by default).
  */
-export async function deleteResume() {
-    await chrome.storage.local.remove(["resume"]);
+export async function deleteResume(profileId) {
+    const { activeId } = await JobLensResumeProfiles.loadProfiles();
+    if (profileId || activeId) await JobLensResumeProfiles.deleteProfile(profileId || activeId);
+}
+
+/** @returns {Promise<{ activeId: string|null, profiles: object[] }>} */
+export async function listResumeProfiles() {
+    return JobLensResumeProfiles.loadProfiles();
 }
 
 // ─── Settings ─────────────────────────────────────────────────────────────────
 
+const DEFAULT_SETTINGS = {
+    backendUrl: "http://localhost:8000",
+    overlayEnabled: true,
+    salaryCurrency: "INR",
+    exchangeRates: null, // null → JobLensSalary.DEFAULT_RATES
+    workPrefs: {}, // see JobLensWorkplace.findConflicts
+    skipAutoOpenOlderThanDays: 0, // 0 → always auto-open (see JobLensFreshness.isOlderThan)
+    uiLanguage: "", // analysis language; "" → the browser's (see JobLensLanguage.resolveUiLanguage)
+    showDiagnostics: false, // per-field extraction details in the Analyze tab
+};
+
 export async function getSettings() {
     const data = await chrome.storage.local.get(["settings"]);
-    return data.settings || { backendUrl: "http://localhost:8000", overlayEnabled: true };
+    return { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
 }
 
 export async function saveSettings(settings) {
@@ -134,7 +158,19 @@ export async function saveSettings(settings) {
 
 // ─── Analysis History ─────────────────────────────────────────────────────────
 
-export async function saveAnalysisToHistory(jobData, result) {
+const HISTORY_LIMIT = 50;
+
+/**
+ * Record a fresh analysis. The result and the job text are kept so the entry
+ * can be re-opened later (analyze.html?history=<id>) – pasted jobs have no
+ * page to go back to.
+ * @param {object} jobData
+ * @param {object} result  backend analysis
+ * @param {string} [cacheKey]  the url the result was cached under
+ * @param {{ id: string, name: string, versionId?: string }} [resumeProfile]  the resume
+ *   (and version of it) it was analysed against
+ */
+export async function saveAnalysisToHistory(jobData, result, cacheKey = jobData.url, resumeProfile = null) {
     const { history = [] } = await chrome.storage.local.get(["history"]);
 
     const entry = {
@@ -143,12 +179,26 @@ export async function saveAnalysisToHistory(jobData, result) {
         company: jobData.company,
         matchPercentage: result.match_percentage,
         url: jobData.url,
+        site: jobData.site,
+        source: jobData.source || "page",
+        cacheKey,
+        resumeProfile: resumeProfile
+            ? { id: resumeProfile.id, name: resumeProfile.name, versionId: resumeProfile.versionId || null }
+            : null,
+        fingerprint: JobLensFingerprint.fingerprintJob(jobData),
         analyzedAt: new Date().toISOString(),
+        job: {
+            title: jobData.title,
+            company: jobData.company,
+            location: jobData.location,
+            url: jobData.url,
+            description: jobData.description,
+        },
+        result,
     };
 
-    // Keep last 50 entries
     history.unshift(entry);
-    if (history.length > 50) history.pop();
+    if (history.length > HISTORY_LIMIT) history.length = HISTORY_LIMIT;
 
     await chrome.storage.local.set({ history });
     return entry;
@@ -158,3 +208,111 @@ export async function getAnalysisHistory() {
     const { history = [] } = await chrome.storage.local.get(["history"]);
     return history;
 }
+
+/** @returns {Promise<object|null>} */
+export async function getHistoryEntry(id) {
+    const history = await getAnalysisHistory();
+    return history.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Newest entry analysed under `cacheKey` with the same resume profile and version –
+ * cached results point back to it.
+ */
+export async function findHistoryEntryByKey(cacheKey, resumeProfile = null) {
+    if (!cacheKey) return null;
+    const history = await getAnalysisHistory();
+    return history.find((entry) =>
+        entry.cacheKey === cacheKey
+        && (entry.resumeProfile?.id || null) === (resumeProfile?.id || null)
+        && (entry.resumeProfile?.versionId || null) === (resumeProfile?.versionId || null)
+    ) || null;
+}
+
+/**
+ * Closest earlier analysis of the same role posted elsewhere (another board,
+ * the company's ATS, a pasted copy), so it can be offered instead of spending
+ * an analysis. Entries for this exact URL are left to the URL cache. Only
+ * analyses scored against the same resume profile count, as with
+ * findHistoryEntryByKey; one against the same version of it wins over a
+ * closer match against an older version.
+ * @param {object} jobData
+ * @param {{ id: string, versionId?: string|null }|null} [resumeProfile]
+ * @returns {Promise<{ entry: object, similarity: number }|null>}
+ */
+export async function findDuplicateAnalysis(jobData, resumeProfile) {
+    const fingerprint = JobLensFingerprint.fingerprintJob(jobData);
+    const history = await getAnalysisHistory();
+    const profileId = resumeProfile?.id || null;
+    const versionId = resumeProfile?.versionId || null;
+
+    let best = null;
+    for (const entry of history) {
+        if (!entry.result || !entry.fingerprint || entry.url === jobData.url) continue;
+        if ((entry.resumeProfile?.id || null) !== profileId) continue;
+        const similarity = JobLensFingerprint.compareFingerprints(fingerprint, entry.fingerprint);
+        if (similarity < JobLensFingerprint.DUPLICATE_THRESHOLD) continue;
+        const sameVersion = (entry.resumeProfile?.versionId || null) === versionId;
+        if (!best || sameVersion > best.sameVersion || (sameVersion === best.sameVersion && similarity > best.similarity)) {
+            best = { entry, similarity, sameVersion };
+        }
+    }
+    return best && { entry: best.entry, similarity: best.similarity };
+}
+
+/**
+ * Cache key for jobs that have no page of their own (selected or pasted
+ * text): the same URL can carry many different texts, so key on the text.
+ */
+export function textAnalysisKey(jobData) {
+    const text = `${jobData.title}\n${jobData.company || ""}\n${jobData.description}`;
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash << 5) - hash + text.charCodeAt(i);
+        hash = hash & hash; // Convert to 32-bit int
+    }
+    return `joblens-text:${Math.abs(hash).toString(36)}`;
+}
+
+// ─── Extraction Health ────────────────────────────────────────────────────────
+
+// Rolling window of extractions kept per adapter
+const HEALTH_SAMPLES = 20;
+// Consecutive degraded extractions before an adapter counts as degraded – one
+// half-rendered page shouldn't raise the alarm
+const DEGRADED_STREAK = 3;
+
+/**
+ * Add one extraction (jobData.diagnostics) to its adapter's health record.
+ * @param {string} site  adapter id
+ * @param {{ degraded: boolean, weakFields: string[] }} diagnostics
+ */
+export async function recordExtractionHealth(site, diagnostics) {
+    const { extractionHealth = {} } = await chrome.storage.local.get(["extractionHealth"]);
+    const previous = extractionHealth[site] || { samples: [], degradedSince: null };
+
+    const samples = [
+        ...previous.samples,
+        { at: new Date().toISOString(), degraded: !!diagnostics.degraded, weakFields: diagnostics.weakFields || [] },
+    ].slice(-HEALTH_SAMPLES);
+
+    let streak = 0;
+    while (streak < samples.length && samples[samples.length - 1 - streak].degraded) streak++;
+    const degradedSince = streak >= DEGRADED_STREAK
+        ? previous.degradedSince || samples[samples.length - streak].at
+        : null;
+
+    extractionHealth[site] = {
+        samples,
+        degradedSince,
+        weakFields: degradedSince ? [...new Set(samples.slice(-streak).flatMap((s) => s.weakFields))] : [],
+    };
+    await chrome.storage.local.set({ extractionHealth });
+    return extractionHealth[site];
+}
+
+/** @returns {Promise<{ samples: object[], degradedSince: string|null, weakFields: string[] }|null>} */
+export async function getExtractionHealth(site) {
+    const { extractionHealth = {} } = await chrome.storage.local.get(["extractionHealth"]);
+    return extractionHealth[site] || null;
+}
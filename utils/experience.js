@@ -0,0 +1,295 @@
+/**
+ * JobLens AI – Experience Matching
+ * Parses what a posting asks for ("3-5 years", "5+ yrs", "minimum 2 years",
+ * "mindestens 3 Jahre", "3 ans d'expérience", "al menos 2 años") into
+ * { minYears, maxYears } and measures the resume's work history from its
+ * date ranges, month-accurate and with overlapping roles merged. assessFit()
+ * compares the two without the backend, so the overlay can show an
+ * under / within / over-qualified indicator even when analysis fails.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js and imported for its side effect by the resume parser
+ * (popup, options.html). Published as globalThis.JobLensExperience.
+ */
+
+(function (root) {
+    // "3-5 years" bands are soft – only flag over-qualified beyond this margin
+    const OVER_QUALIFIED_SLACK_YEARS = 1;
+    // Longer "role" lines are a sentence of description, cut for the editor
+    const MAX_ROLE_LENGTH = 120;
+
+    const NUM = "(\\d+(?:\\.\\d+)?)";
+    // Year units per language. French is "ans" only – "an" is English ("$20-30 an hour").
+    // English units are accepted in every language, since postings mix them in.
+    const YEAR_UNITS = { en: "years?|yrs?", de: "jahren?", fr: "ans", es: "años?" };
+    const EXPERIENCE_WORD = "(?:experience|exp|berufserfahrung|erfahrung|expérience|experiencia)";
+    // "of", "d'", "de"
+    const OF = "(?:of\\s+|d['’]\\s*|de\\s+)?";
+    const AT_LEAST = "(?:at least|mindestens|au moins|au minimum|al menos|como mínimo)";
+
+    // Patterns per unit set, built on first use
+    const patternCache = new Map();
+
+    /** [regex, (match) => range] pairs for a language's units; first hit wins. */
+    function rangePatterns(language) {
+        const units = YEAR_UNITS[language] ? new Set([YEAR_UNITS.en, YEAR_UNITS[language]]) : Object.values(YEAR_UNITS);
+        const key = [...units].join("|");
+        if (!patternCache.has(key)) patternCache.set(key, buildRangePatterns(`(?:${key})\\b`));
+        return patternCache.get(key);
+    }
+
+    function buildRangePatterns(years) {
+        return [
+            // Job-board header bands are often abbreviated: "3 - 5 Yrs"; "3 bis 5 Jahre", "3 à 5 ans"
+            [new RegExp(`${NUM}\\+?\\s*(?:to|-|–|bis|à|a)\\s*${NUM}\\s*${years}`, "i"), (m) => range(m[1], m[2])],
+            [new RegExp(`${NUM}\\+?\\s*${years}\\s*${OF}${EXPERIENCE_WORD}`, "i"), (m) => range(m[1])],
+            [new RegExp(`${EXPERIENCE_WORD}[:\\s]+${NUM}\\+?\\s*${years}`, "i"), (m) => range(m[1])],
+            [new RegExp(`(?:minimum|mínimo)\\s+(?:of\\s+|de\\s+)?${NUM}\\s*${years}`, "i"), (m) => range(m[1])],
+            [new RegExp(`${AT_LEAST}\\s+${NUM}\\s*${years}`, "i"), (m) => range(m[1])],
+            [new RegExp(`(\\d+)\\+?\\s*(?:months?|monaten?|mois|meses)\\s+${OF}${EXPERIENCE_WORD}`, "i"), (m) => range(m[1] / 12)],
+            // Naukri / Internshala experience bands for entry-level roles
+            [/^\s*(?:fresher|freshers|entry[-\s]level)\b/i, () => ({ minYears: 0, maxYears: 1 })],
+            [/\b(?:berufseinsteiger(?:in)?|débutant(?:e)?s? accepté|sin experiencia)/i, () => ({ minYears: 0, maxYears: 1 })],
+        ];
+    }
+
+    function range(min, max) {
+        const minYears = Math.round(parseFloat(min) * 10) / 10;
+        const maxYears = max == null ? null : Math.round(parseFloat(max) * 10) / 10;
+        return maxYears != null && maxYears < minYears
+            ? { minYears: maxYears, maxYears: minYears }
+            : { minYears, maxYears };
+    }
+
+    /**
+     * Years of experience a posting asks for.
+     * @param {string} text  experience band or full description
+     * @param {string} [language]  the posting's language (utils/language.js); omitted → all units
+     * @returns {{ minYears: number, maxYears: number|null }|null}  maxYears null = open-ended
+     */
+    function parseExperienceRange(text, language) {
+        const str = String(text || "");
+        for (const [re, toRange] of rangePatterns(language)) {
+            const m = str.match(re);
+            if (m) return toRange(m);
+        }
+        return null;
+    }
+
+    /** "3-5 years" / "5+ years" – the display form jobData.experience uses. */
+    function formatExperienceRange(r) {
+        if (!r) return "Not specified";
+        if (r.maxYears == null) return `${r.minYears}+ years`;
+        return r.minYears === r.maxYears ? `${r.minYears} years` : `${r.minYears}-${r.maxYears} years`;
+    }
+
+    // ─── Resume Work History ──────────────────────────────────────────────────
+
+    const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+    const MONTH_NAME = "(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?";
+    const DATE = `\\b(?:${MONTH_NAME}\\s*(?:'\\d{2}|,?\\s*(?:19|20)\\d{2})|\\d{1,2}\\s*/\\s*(?:19|20)\\d{2}|(?:19|20)\\d{2}-\\d{2}(?!\\d)|(?:19|20)\\d{2}(?!\\d))`;
+    // "to date" / "till date" lose their first word to the range separator
+    const ONGOING = "(?:present|current(?:ly)?|now|today|(?:till\\s+|to\\s+)?date|ongoing|heute|aktuell|aujourd['’]hui|actuel(?:lement)?|présent|actualidad|presente|hoy)";
+    const ONGOING_RE = new RegExp(`^${ONGOING}$`, "i");
+    const DATE_RANGE_RE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until|till|bis|à|au|hasta)\\s*(${DATE}|${ONGOING})\\b`, "gi");
+
+    const EXPERIENCE_HEADING = /^(?:(?:work\s+|professional\s+|relevant\s+)?(?:experience|employment(?:\s+history)?|work\s+history|career\s+history|internships?)|berufserfahrung|beruflicher\s+werdegang|praktika|exp[ée]riences?(?:\s+professionnelles?)?|parcours\s+professionnel|stages|experiencia(?:\s+(?:laboral|profesional))?|pr[áa]cticas)\s*:?$/i;
+    const EDUCATION_HEADING = /^(?:education|academics?|academic\s+\w+|ausbildung|studium|bildungsweg|formation|[ée]tudes|educaci[óo]n|formaci[óo]n(?:\s+acad[ée]mica)?)\s*:?$/i;
+    const OTHER_HEADING = /^(?:education|academics?|academic\s+(?:background|details)|qualifications?|skills|technical\s+skills|projects|personal\s+projects|certifications?|achievements|awards|publications|languages|interests|hobbies|references|summary|objective|profile|contact|ausbildung|studium|kenntnisse|f[äa]higkeiten|projekte|zertifikate|sprachen|interessen|profil|kontakt|formation|comp[ée]tences|projets|langues|educaci[óo]n|formaci[óo]n|habilidades|conocimientos|proyectos|idiomas|perfil|contacto)\s*:?$/i;
+
+    /**
+     * Total professional experience from the resume's dated roles.
+     * Overlapping or concurrent roles count once; "Present" runs to `now`.
+     * @param {string} text  raw resume text
+     * @param {Date} [now]
+     * @returns {{ totalMonths: number, years: number, periods: { start: string, end: string }[] }}
+     */
+    function computeResumeExperience(text, now = new Date()) {
+        const source = experienceSection(String(text || ""));
+        const nowIndex = now.getFullYear() * 12 + now.getMonth();
+        const intervals = [];
+
+        for (const m of source.matchAll(DATE_RANGE_RE)) {
+            const start = parseDate(m[1]);
+            const end = ONGOING_RE.test(m[2]) ? nowIndex : parseDate(m[2]);
+            if (start == null || end == null) continue;
+            if (end < start || start > nowIndex) continue;
+            intervals.push([start, Math.min(end, nowIndex)]);
+        }
+        return summarize(intervals);
+    }
+
+    /**
+     * The dated roles behind computeResumeExperience, for the Resume Manager's
+     * profile editor. The role is the line holding the date range with the
+     * dates taken out, or the line above when the dates stand on their own.
+     * @param {string} text  raw resume text
+     * @returns {{ role: string, start: string, end: string }[]}  "YYYY-MM" dates; end "Present" while ongoing
+     */
+    function listResumeRoles(text) {
+        const lines = experienceSection(String(text || "")).split("\n");
+        const roles = [];
+        lines.forEach((line, index) => {
+            for (const m of line.matchAll(DATE_RANGE_RE)) {
+                const start = parseDate(m[1]);
+                const ongoing = ONGOING_RE.test(m[2]);
+                const end = ongoing ? null : parseDate(m[2]);
+                if (start == null || (!ongoing && (end == null || end < start))) continue;
+
+                let role = trimRole(line.replace(m[0], ""));
+                if (role.length < 3) {
+                    const above = lines.slice(0, index).reverse().find((l) => l.trim());
+                    role = above && !EXPERIENCE_HEADING.test(above.trim()) ? trimRole(above) : "";
+                }
+                roles.push({ role, start: monthLabel(start), end: ongoing ? "Present" : monthLabel(end) });
+            }
+        });
+        return roles;
+    }
+
+    function trimRole(text) {
+        return text.replace(/^[\s|,·•:()\-–—]+|[\s|,·•:()\-–—]+$/g, "").slice(0, MAX_ROLE_LENGTH);
+    }
+
+    /**
+     * Experience from a work history the user edited ({ start, end } as
+     * listResumeRoles returns them), merged the same way as the resume's.
+     * Roles whose dates don't parse are skipped.
+     */
+    function computeRolesExperience(roles, now = new Date()) {
+        const nowIndex = now.getFullYear() * 12 + now.getMonth();
+        const intervals = [];
+        for (const { start: from, end: to } of roles || []) {
+            const start = parseDate(String(from || ""));
+            const end = ONGOING_RE.test(String(to || "").trim()) ? nowIndex : parseDate(String(to || ""));
+            if (start == null || end == null) continue;
+            if (end < start || start > nowIndex) continue;
+            intervals.push([start, Math.min(end, nowIndex)]);
+        }
+        return summarize(intervals);
+    }
+
+    /**
+     * A stored resume's experience: its corrected work history when the user
+     * edited one (parsed.workCorrected), otherwise its dated roles, falling
+     * back to the parsed years for resumes without dates.
+     * @param {{ raw: string, parsed?: object }} resume
+     */
+    function computeProfileExperience(resume, now = new Date()) {
+        const history = resume?.parsed?.workCorrected
+            ? computeRolesExperience(resume.parsed.work, now)
+            : computeResumeExperience(resume?.raw, now);
+        return { ...history, years: history.totalMonths ? history.years : resume?.parsed?.experienceYears || 0 };
+    }
+
+    function summarize(intervals) {
+        const merged = mergeIntervals(intervals);
+        const totalMonths = merged.reduce((sum, [s, e]) => sum + (e - s + 1), 0);
+        return {
+            totalMonths,
+            years: Math.round((totalMonths / 12) * 10) / 10,
+            periods: merged.map(([s, e]) => ({ start: monthLabel(s), end: monthLabel(e) })),
+        };
+    }
+
+    /**
+     * The work-history section when the resume has one; otherwise the whole
+     * text minus the education section, whose degree dates aren't experience.
+     */
+    function experienceSection(text) {
+        const lines = text.split("\n");
+        const picked = [];
+        let mode = "none"; // none | experience | other
+        let sawExperience = false;
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (EXPERIENCE_HEADING.test(trimmed)) {
+                mode = "experience";
+                sawExperience = true;
+                continue;
+            }
+            if (OTHER_HEADING.test(trimmed)) {
+                mode = "other";
+                continue;
+            }
+            if (mode === "experience") picked.push(line);
+        }
+        if (sawExperience) return picked.join("\n");
+
+        mode = "none";
+        return lines
+            .filter((line) => {
+                const trimmed = line.trim();
+                if (EDUCATION_HEADING.test(trimmed)) mode = "education";
+                else if (OTHER_HEADING.test(trimmed) || EXPERIENCE_HEADING.test(trimmed)) mode = "none";
+                return mode !== "education";
+            })
+            .join("\n");
+    }
+
+    /**
+     * Date token → month index (year * 12 + month). Year-only dates are taken
+     * as mid-year, so "2019 – 2021" counts two years rather than three.
+     */
+    function parseDate(token) {
+        const t = token.trim().toLowerCase();
+        let m;
+        if ((m = t.match(/^([a-z]+)\.?\s*(?:'(\d{2})|,?\s*(\d{4}))$/))) {
+            const month = MONTHS.indexOf(m[1].slice(0, 3));
+            const year = m[2] ? 2000 + parseInt(m[2], 10) : parseInt(m[3], 10);
+            return month < 0 ? null : year * 12 + month;
+        }
+        if ((m = t.match(/^(\d{1,2})\s*\/\s*(\d{4})$/))) return monthIndex(parseInt(m[2], 10), parseInt(m[1], 10));
+        if ((m = t.match(/^(\d{4})-(\d{2})$/))) return monthIndex(parseInt(m[1], 10), parseInt(m[2], 10));
+        if ((m = t.match(/^(\d{4})$/))) return parseInt(m[1], 10) * 12 + 5;
+        return null;
+    }
+
+    function monthIndex(year, month) {
+        return month >= 1 && month <= 12 ? year * 12 + (month - 1) : null;
+    }
+
+    function mergeIntervals(intervals) {
+        const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        for (const [s, e] of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && s <= last[1] + 1) last[1] = Math.max(last[1], e);
+            else merged.push([s, e]);
+        }
+        return merged;
+    }
+
+    function monthLabel(index) {
+        return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+    }
+
+    // ─── Fit ──────────────────────────────────────────────────────────────────
+
+    /**
+     * @param {{ minYears: number, maxYears: number|null }} jobRange
+     * @param {number} resumeYears
+     * @returns {{ status: "under"|"within"|"over", label: string }|null}
+     */
+    function assessFit(jobRange, resumeYears) {
+        if (!jobRange || typeof resumeYears !== "number" || isNaN(resumeYears)) return null;
+        if (resumeYears < jobRange.minYears) {
+            return { status: "under", label: "Under-qualified" };
+        }
+        if (jobRange.maxYears != null && resumeYears > jobRange.maxYears + OVER_QUALIFIED_SLACK_YEARS) {
+            return { status: "over", label: "Over-qualified" };
+        }
+        return { status: "within", label: "Within range" };
+    }
+
+    root.JobLensExperience = {
+        parseExperienceRange,
+        formatExperienceRange,
+        computeResumeExperience,
+        listResumeRoles,
+        computeRolesExperience,
+        computeProfileExperience,
+        assessFit,
+    };
+})(globalThis);
@@ -0,0 +1,178 @@
+/**
+ * JobLens AI – Job Fingerprints
+ * The same role is often posted on LinkedIn, Naukri and the company's ATS, and
+ * the analysis cache is keyed by URL, so each copy would cost an analysis.
+ * A fingerprint – normalised company and title plus a bottom-k sketch of the
+ * description's word shingles – lets background.js recognise a near-duplicate
+ * among earlier analyses and offer that result instead.
+ *
+ * Classic script (see utils/siteAdapters.js): imported for its side effect by
+ * apiClient.js, which stores a fingerprint on every history entry.
+ * Published as globalThis.JobLensFingerprint.
+ */
+
+(function (root) {
+    const SHINGLE_WORDS = 4;
+    const SKETCH_SIZE = 64;
+    // Below this many shingles the description sketch says little
+    const MIN_SHINGLES = 8;
+
+    // "Senior Backend Engineer" vs "Backend Engineer" passes, backend vs frontend does not
+    const TITLE_THRESHOLD = 0.6;
+    const DUPLICATE_THRESHOLD = 0.5;
+
+    const LEGAL_SUFFIX = /\b(?:inc|llc|llp|ltd|limited|pvt|private|corp|corporation|co|company|gmbh|plc|pte|ag|sa|bv|nv)\b\.?/g;
+    // Words boards add to or drop from a company name ("Acme" vs "Acme Technologies")
+    const COMPANY_DESCRIPTORS = new Set([
+        "technologies", "technology", "tech", "solutions", "software", "systems", "services",
+        "labs", "group", "holdings", "global", "international", "india", "consulting", "digital", "the",
+    ]);
+    // Shortest compacted name a run-together match is trusted on ("acmelabs" vs "acme")
+    const MIN_COMPANY_PREFIX = 3;
+    const TITLE_ABBREVIATIONS = {
+        sr: "senior", snr: "senior", jr: "junior",
+        engg: "engineer", eng: "engineer", engr: "engineer",
+        dev: "developer", mgr: "manager", assoc: "associate",
+        swe: "software engineer", sde: "software engineer",
+    };
+
+    /**
+     * @typedef {{ company: string, title: string, sketch: number[], shingles: number }} Fingerprint
+     */
+
+    /**
+     * @param {{ company?: string, title?: string, description?: string }} jobData
+     * @returns {Fingerprint}
+     */
+    function fingerprintJob(jobData = {}) {
+        const hashes = shingleHashes(jobData.description);
+        return {
+            company: normalizeCompany(jobData.company),
+            title: normalizeTitle(jobData.title),
+            sketch: hashes.slice(0, SKETCH_SIZE),
+            shingles: hashes.length,
+        };
+    }
+
+    /** "Acme Technologies Pvt. Ltd." → "acme technologies" */
+    function normalizeCompany(name) {
+        return fold(name)
+            .replace(/\([^)]*\)/g, " ")
+            .replace(LEGAL_SUFFIX, " ")
+            .replace(/[^a-z0-9]+/g, " ")
+            .trim();
+    }
+
+    /** "Sr. Backend Engg (Python) – Remote" → "senior backend engineer" */
+    function normalizeTitle(title) {
+        return fold(title)
+            .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+            // Trailing location / team / req-id after a separator
+            .replace(/\s+[-–—|@]\s+.*$/, "")
+            .replace(/[^a-z0-9+#]+/g, " ")
+            .split(" ")
+            .filter(Boolean)
+            .map((word) => TITLE_ABBREVIATIONS[word] || word)
+            .join(" ");
+    }
+
+    function fold(text) {
+        return String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    }
+
+    /** Sorted, de-duplicated 32-bit hashes of every run of SHINGLE_WORDS words. */
+    function shingleHashes(text) {
+        const words = fold(text).match(/[a-z0-9+#]+/g) || [];
+        const hashes = new Set();
+        for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+            hashes.add(fnv1a(words.slice(i, i + SHINGLE_WORDS).join(" ")));
+        }
+        return [...hashes].sort((a, b) => a - b);
+    }
+
+    function fnv1a(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /** Jaccard estimate from two bottom-k sketches. */
+    function sketchSimilarity(a, b) {
+        const inA = new Set(a);
+        const inB = new Set(b);
+        const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, SKETCH_SIZE);
+        if (!union.length) return 0;
+        const shared = union.filter((h) => inA.has(h) && inB.has(h)).length;
+        return shared / union.length;
+    }
+
+    /**
+     * Whether two normalised company names can be the same employer: equal
+     * once descriptors are dropped, one's words all in the other's, or one
+     * run together with descriptors (ATS slugs like "acmelabs" for "Acme").
+     * A name made only of descriptors ("Tech Solutions") has to match whole.
+     */
+    function companiesMatch(a, b) {
+        if (a === b) return true;
+        const core = (name) => name.split(" ").filter((w) => w && !COMPANY_DESCRIPTORS.has(w));
+        const [wa, wb] = [core(a), core(b)];
+        if (!wa.length || !wb.length) return a.replace(/ /g, "") === b.replace(/ /g, "");
+        const [fewer, more] = wa.length <= wb.length ? [wa, new Set(wb)] : [wb, new Set(wa)];
+        if (fewer.every((w) => more.has(w))) return true;
+
+        const [ca, cb] = [wa.join(""), wb.join("")];
+        const [short, long] = ca.length <= cb.length ? [ca, cb] : [cb, ca];
+        return short.length >= MIN_COMPANY_PREFIX && long.startsWith(short)
+            && isDescriptorRun(long.slice(short.length));
+    }
+
+    /** "techlabs" → true: the text is descriptor words run together, or empty. */
+    function isDescriptorRun(text) {
+        return !text || [...COMPANY_DESCRIPTORS].some((word) =>
+            text.startsWith(word) && isDescriptorRun(text.slice(word.length)));
+    }
+
+    function titleSimilarity(a, b) {
+        const wa = new Set(a.split(" ").filter(Boolean));
+        const wb = new Set(b.split(" ").filter(Boolean));
+        if (!wa.size || !wb.size) return 0;
+        const shared = [...wa].filter((w) => wb.has(w)).length;
+        return shared / (wa.size + wb.size - shared);
+    }
+
+    /**
+     * 0..1 likelihood that two fingerprints are the same role. Clearly
+     * different companies (when both are known) or unrelated titles score 0; otherwise
+     * the description overlap decides, or the title alone when either
+     * description is too short to sketch.
+     */
+    function compareFingerprints(a, b) {
+        if (!a || !b) return 0;
+        if (a.company && b.company && !companiesMatch(a.company, b.company)) return 0;
+
+        const title = titleSimilarity(a.title, b.title);
+        if (title < TITLE_THRESHOLD) return 0;
+
+        if ((a.shingles || 0) < MIN_SHINGLES || (b.shingles || 0) < MIN_SHINGLES) {
+            // Title-only match needs the company to be known on both sides
+            return a.company && b.company && a.title === b.title ? DUPLICATE_THRESHOLD : 0;
+        }
+        return sketchSimilarity(a.sketch || [], b.sketch || []);
+    }
+
+    function isDuplicate(a, b) {
+        return compareFingerprints(a, b) >= DUPLICATE_THRESHOLD;
+    }
+
+    root.JobLensFingerprint = {
+        DUPLICATE_THRESHOLD,
+        fingerprintJob,
+        normalizeCompany,
+        normalizeTitle,
+        compareFingerprints,
+        isDuplicate,
+    };
+})(globalThis);
@@ -0,0 +1,211 @@
+/**
+ * JobLens AI – Posting Freshness
+ * Reads when a posting went up and whether it still looks alive: "Reposted
+ * 2 weeks ago", "Posted 30+ days ago", "Over 100 applicants", "Actively
+ * recruiting", "No longer accepting applications", and schema.org
+ * datePosted / validThrough. Stale, reposted and closed postings are the usual
+ * ghost jobs, so the overlay shows a freshness chip and Settings can skip
+ * auto-opening the sidebar for them.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js. Published as globalThis.JobLensFreshness.
+ */
+
+(function (root) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Age bands for the chip colour
+    const FRESH_DAYS = 7;
+    const STALE_DAYS = 30;
+    // A visible "posted" date this much newer than datePosted means a repost
+    const REPOST_GAP_DAYS = 7;
+
+    const UNIT_DAYS = { minute: 1 / 1440, hour: 1 / 24, day: 1, week: 7, month: 30, year: 365 };
+    const UNIT_ALIASES = {
+        m: "minute", min: "minute", mins: "minute", minute: "minute",
+        h: "hour", hr: "hour", hrs: "hour", hour: "hour",
+        d: "day", day: "day",
+        w: "week", wk: "week", week: "week",
+        mo: "month", mos: "month", month: "month",
+        y: "year", yr: "year", year: "year",
+    };
+
+    const RELATIVE_RE = /\b(\d+|an?|few|a few)(\+)?\s*(minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?|mos?|years?|yrs?|[mhdwy])\s+ago\b/gi;
+    // Indeed's "Employer active 3 days ago" is about the recruiter, not the posting
+    const ACTIVITY_PREFIX_RE = /\bactive\s*$/i;
+    const TODAY_RE = /\b(?:just (?:now|posted)|posted today|today|few (?:minutes|hours) ago)\b/i;
+    const YESTERDAY_RE = /\byesterday\b/i;
+    const REPOSTED_RE = /\bre-?posted\b/i;
+    const ACTIVELY_RECRUITING_RE = /\bactively (?:recruiting|hiring)\b|\burgently hiring\b|\bhiring (?:now|urgently)\b/i;
+    const CLOSED_RE = /\bno longer accepting applications\b|\b(?:this )?(?:job|position|posting|role) (?:has )?(?:expired|(?:is )?closed|been filled)\b|\bapplications? (?:are )?closed\b/i;
+    const CLOSING_RE = /\b(?:apply by|apply before|closing date|closes? on|application deadline|deadline(?: to apply)?|applications? close(?:s)?(?: on)?|last date(?: to apply)?)\s*[:\-–]?\s*([0-3]?\d(?:st|nd|rd|th)?\s+[a-z]{3,9},?\s+\d{4}|[a-z]{3,9}\.?\s+[0-3]?\d(?:st|nd|rd|th)?,?\s+\d{4}|\d{4}-\d{2}-\d{2})/i;
+    const APPLICANTS_RE = /\b(over|more than|under|fewer than|less than)?\s*(\d[\d,]*)(\+)?\s+(?:applicants?|applications?|people (?:clicked|applied))\b(?!\s*:)|\bapplicants?\s*:\s*(?:(less than|under)\s*)?(\d[\d,]*)(\+)?|\bfirst (\d+) applicants\b/i;
+
+    /**
+     * @typedef {{
+     *   postedAt: string,
+     *   ageIsMinimum: boolean,
+     *   reposted: boolean,
+     *   applicants: number|null,
+     *   applicantsQualifier: "over"|"under"|"",
+     *   activelyRecruiting: boolean,
+     *   closesAt: string,
+     *   closed: boolean
+     * }} Freshness
+     */
+
+    /**
+     * Combine the site's header text with schema.org dates.
+     * @param {{ postedText?: string, applicantsText?: string, hiringText?: string,
+     *           datePosted?: string, validThrough?: string, description?: string }} input
+     * @param {Date} [now]
+     * @returns {Freshness|null}  null when the posting shows none of the signals
+     */
+    function parseFreshness(input = {}, now = new Date()) {
+        const header = [input.postedText, input.applicantsText, input.hiringText].filter(Boolean).join("\n");
+        const description = String(input.description || "");
+
+        const visible = parsePostedText(input.postedText || header, now);
+        const structured = parseDate(input.datePosted);
+        const repostGap = visible && structured
+            && Date.parse(visible.postedAt) - structured.getTime() > REPOST_GAP_DAYS * DAY_MS;
+
+        const closesAt = parseDate(input.validThrough) || parseDate(description.match(CLOSING_RE)?.[1]);
+        const applicants = parseApplicants(header);
+
+        const freshness = {
+            // The date the user sees wins; datePosted fills in when the header has none
+            postedAt: visible?.postedAt || (structured ? structured.toISOString() : ""),
+            ageIsMinimum: visible?.isMinimum || false,
+            reposted: REPOSTED_RE.test(header) || !!repostGap,
+            applicants: applicants?.count ?? null,
+            applicantsQualifier: applicants?.qualifier || "",
+            activelyRecruiting: ACTIVELY_RECRUITING_RE.test(header),
+            closesAt: closesAt ? closesAt.toISOString() : "",
+            closed: CLOSED_RE.test(header) || (!!closesAt && closesAt.getTime() < startOfDay(now)),
+        };
+
+        const hasSignal = freshness.postedAt || freshness.reposted || freshness.applicants != null
+            || freshness.activelyRecruiting || freshness.closesAt || freshness.closed;
+        return hasSignal ? freshness : null;
+    }
+
+    /** "Reposted 2 weeks ago", "Posted 30+ days ago", "Just posted", "12 Oct 2026" */
+    function parsePostedText(text, now) {
+        const str = String(text || "");
+        if (!str) return null;
+        const at = (days, isMinimum = false) => ({
+            postedAt: new Date(now.getTime() - days * DAY_MS).toISOString(),
+            isMinimum,
+        });
+
+        const m = [...str.matchAll(RELATIVE_RE)].find((hit) => !ACTIVITY_PREFIX_RE.test(str.slice(0, hit.index)));
+        if (m) {
+            const count = /^\d+$/.test(m[1]) ? parseInt(m[1], 10) : /few/i.test(m[1]) ? 2 : 1;
+            const unit = UNIT_ALIASES[m[3].toLowerCase().replace(/s$/, "")] || UNIT_ALIASES[m[3].toLowerCase()];
+            if (unit) return at(count * UNIT_DAYS[unit], !!m[2]);
+        }
+        if (TODAY_RE.test(str)) return at(0);
+        if (YESTERDAY_RE.test(str)) return at(1);
+
+        const absolute = str.match(/\b(?:posted|published|date posted)\s*(?:on)?\s*[:\-–]?\s*(.+)$/im);
+        const date = absolute && parseDate(absolute[1]);
+        return date ? { postedAt: date.toISOString(), isMinimum: false } : null;
+    }
+
+    function parseApplicants(text) {
+        const m = String(text || "").match(APPLICANTS_RE);
+        if (!m) return null;
+        // "Be among the first 25 applicants"
+        if (m[7]) return { count: parseInt(m[7], 10), qualifier: "under" };
+
+        const qualifierWord = (m[1] || m[4] || "").toLowerCase();
+        const count = parseInt((m[2] || m[5]).replace(/,/g, ""), 10);
+        const plus = m[3] || m[6];
+        const qualifier = /over|more/.test(qualifierWord) || plus ? "over" : qualifierWord ? "under" : "";
+        return isNaN(count) ? null : { count, qualifier };
+    }
+
+    /** ISO dates, "30 November 2026", "Nov 30th, 2026"; null for anything else. */
+    function parseDate(value) {
+        const str = String(value || "").trim().replace(/(\d)(?:st|nd|rd|th)\b/i, "$1");
+        if (!str || /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(str)) return null; // D/M vs M/D is a guess
+        const time = Date.parse(str);
+        return isNaN(time) ? null : new Date(time);
+    }
+
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+
+    // ─── Display ──────────────────────────────────────────────────────────────
+
+    /** Whole days since the posting went up, or null when unknown. */
+    function ageInDays(freshness, now = new Date()) {
+        if (!freshness?.postedAt) return null;
+        const time = Date.parse(freshness.postedAt);
+        return isNaN(time) ? null : Math.max(0, Math.floor((now.getTime() - time) / DAY_MS));
+    }
+
+    function formatAge(days, isMinimum) {
+        if (isMinimum) return `${days}+ days ago`;
+        if (days < 1) return "today";
+        if (days === 1) return "yesterday";
+        if (days < 14) return `${days} days ago`;
+        if (days < 60) return `${Math.round(days / 7)} weeks ago`;
+        return `${Math.round(days / 30)} months ago`;
+    }
+
+    /**
+     * Chip for the overlay header.
+     * @param {Freshness|null} freshness
+     * @returns {{ label: string, level: "fresh"|"recent"|"stale"|"closed"|"unknown", details: string[] }|null}
+     */
+    function describeFreshness(freshness, now = new Date()) {
+        if (!freshness) return null;
+        const age = ageInDays(freshness, now);
+        const details = [
+            freshness.applicants != null ? applicantsLabel(freshness) : "",
+            freshness.activelyRecruiting ? "Actively recruiting" : "",
+            freshness.closesAt ? `Closes ${new Date(freshness.closesAt).toLocaleDateString()}` : "",
+        ].filter(Boolean);
+
+        if (freshness.closed) {
+            return { label: "Closed", level: "closed", details };
+        }
+        if (age == null) {
+            if (freshness.reposted) details.unshift("Reposted");
+            return details.length ? { label: details[0], level: "unknown", details } : null;
+        }
+
+        const stale = age > STALE_DAYS || (freshness.ageIsMinimum && age >= STALE_DAYS);
+        const level = stale ? "stale" : age <= FRESH_DAYS && !freshness.ageIsMinimum ? "fresh" : "recent";
+        const label = `${freshness.reposted ? "Reposted" : "Posted"} ${formatAge(age, freshness.ageIsMinimum)}`;
+        return { label, level, details };
+    }
+
+    function applicantsLabel({ applicants, applicantsQualifier }) {
+        if (applicantsQualifier === "over") return `${applicants}+ applicants`;
+        if (applicantsQualifier === "under") return `Under ${applicants} applicants`;
+        return `${applicants} applicant${applicants === 1 ? "" : "s"}`;
+    }
+
+    /**
+     * Settings → "Skip auto-open for postings older than N days". Closed
+     * postings are always skipped while the setting is on; unknown ages never are.
+     * "30+ days ago" is at least 30, so it counts as older than 30.
+     */
+    function isOlderThan(freshness, maxDays, now = new Date()) {
+        if (!(maxDays > 0) || !freshness) return false;
+        if (freshness.closed) return true;
+        const age = ageInDays(freshness, now);
+        return age != null && (age > maxDays || (freshness.ageIsMinimum && age >= maxDays));
+    }
+
+    root.JobLensFreshness = {
+        parseFreshness,
+        ageInDays,
+        describeFreshness,
+        isOlderThan,
+    };
+})(globalThis);
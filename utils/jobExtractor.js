@@ -1,260 +1,1254 @@
 /**
  * JobLens AI – Job Extractor
- * Extracts job details from LinkedIn, Internshala, and generic pages via DOM parsing.
+ * Runs the declarative site adapters from utils/siteAdapters.js (LinkedIn,
+ * Internshala, Naukri, Indeed, Glassdoor, Wellfound, Instahyre, Cutshort,
+ * Hirist, iimjobs, Upwork/Freelancer gigs, company ATS boards and any
+ * user-defined adapters) and falls back to a generic DOM parser.
+ * schema.org JobPosting data (JSON-LD or microdata) is read first on every site;
+ * the adapters only fill the fields it leaves empty.
  * No external APIs. Pure DOM traversal.
+ *
+ * Classic script shared by content.js, the options page's adapter preview and
+ * the selected-text analysis window (analyze.html);
+ * load utils/siteAdapters.js, utils/language.js, utils/skillTaxonomy.js,
+ * utils/salary.js, utils/experience.js, utils/workplace.js and
+ * utils/freshness.js first.
+ * Published as globalThis.JobLensExtractor.
  */
 
-export const SiteType = {
-    LINKEDIN: "linkedin",
-    INTERNSHALA: "internshala",
-    GENERIC: "generic",
-    UNSUPPORTED: "unsupported",
-};
-
-// ─── Site Detection ───────────────────────────────────────────────────────────
-export function detectSite(url = window.location.href) {
-    if (/linkedin\.com\/jobs/.test(url)) return SiteType.LINKEDIN;
-    if (/internshala\.com\/(internship|jobs)/.test(url))
-        return SiteType.INTERNSHALA;
-    if (hasJobKeywords()) return SiteType.GENERIC;
-    return SiteType.UNSUPPORTED;
-}
-
-function hasJobKeywords() {
-    const bodyText = document.body?.innerText?.toLowerCase() || "";
-    const jobKeywords = [
-        "responsibilities",
-        "requirements",
-        "qualifications",
-        "about the role",
-        "about the job",
-        "job description",
-        "what you will do",
-        "what we're looking for",
-        "skills required",
-        "experience required",
-    ];
-    return jobKeywords.some((kw) => bodyText.includes(kw));
-}
-
-// ─── Main Extractor ───────────────────────────────────────────────────────────
-export function extractJobData() {
-    const site = detectSite();
-    let data;
-
-    switch (site) {
-        case SiteType.LINKEDIN:
-            data = extractLinkedIn();
-            break;
-        case SiteType.INTERNSHALA:
-            data = extractInternshala();
-            break;
-        case SiteType.GENERIC:
+(function (root) {
+    const Adapters = root.JobLensAdapters;
+    const Language = root.JobLensLanguage;
+    const Skills = root.JobLensSkills;
+    const Salary = root.JobLensSalary;
+    const Experience = root.JobLensExperience;
+    const Workplace = root.JobLensWorkplace;
+    const Freshness = root.JobLensFreshness;
+
+    const SiteType = Object.freeze({
+        ...Object.fromEntries(Adapters.BUILT_IN_ADAPTERS.map((a) => [a.id.toUpperCase(), a.id])),
+        GENERIC: "generic",
+        // Selected or pasted text (buildJobDataFromText)
+        TEXT: "text",
+        UNSUPPORTED: "unsupported",
+    });
+
+    // User adapters from the options page (chrome.storage.local "customAdapters")
+    let customAdapters = [];
+
+    function setCustomAdapters(list) {
+        customAdapters = Array.isArray(list) ? list : [];
+    }
+
+    // ─── Site Detection ───────────────────────────────────────────────────────────
+    function detectSite(url = window.location.href) {
+        const adapter = Adapters.findAdapter(url, customAdapters);
+        if (adapter) return adapter.id;
+        if (hasJobKeywords() || hasStructuredJobPosting()) return SiteType.GENERIC;
+        return SiteType.UNSUPPORTED;
+    }
+
+    // English, German, French and Spanish phrases (utils/language.js)
+    function hasJobKeywords() {
+        return Language.hasJobKeywords(document.body?.innerText || "");
+    }
+
+    // ─── Main Extractor ───────────────────────────────────────────────────────────
+    /** @returns {object|null} normalised jobData, or null when the page has no job yet */
+    function extractJobData() {
+        const url = window.location.href;
+        const adapter = Adapters.findAdapter(url, customAdapters);
+        let site;
+        let data;
+        let trace = null;
+
+        if (adapter) {
+            site = adapter.id;
+            ({ data, trace } = runAdapter(adapter));
+        } else if (hasJobKeywords() || hasStructuredJobPosting()) {
+            site = SiteType.GENERIC;
             data = extractGeneric();
-            break;
-        default:
+        } else {
             return null;
+        }
+
+        const structured = extractStructuredJobPosting();
+        data = mergeStructuredJobData(structured, data);
+        if (!data?.title) return null;
+
+        const jobData = ensureJobDescription({
+            ...data,
+            site,
+            url,
+            extractedAt: new Date().toISOString(),
+            // Judged before ensureJobDescription() pads a missing description with page text
+            diagnostics: diagnoseExtraction(site, trace, data, structured),
+        });
+        return enrichJobData(jobData, adapter?.currency);
     }
 
-    if (!data) return null;
+    /**
+     * Build jobData from pasted or selected text instead of a page, for the
+     * "Analyze with JobLens" context-menu item. Runs the same description,
+     * skill, experience, salary and workplace steps as extractJobData().
+     * @param {{ text?: string, title?: string, company?: string, location?: string,
+     *           description?: string, url?: string, source?: string }} input
+     *   `text` alone is enough: the title is guessed from its first line.
+     */
+    function buildJobDataFromText(input = {}) {
+        const description = tidyText(input.description ?? input.text ?? "");
+        const jobData = withReducedDescription({
+            title: String(input.title || guessTitle(description)).trim(),
+            company: String(input.company || "").trim(),
+            location: String(input.location || "").trim(),
+            experience: parseExperience(description),
+            salary: extractSalary(description),
+            skills: [],
+            site: SiteType.TEXT,
+            source: input.source || "selection",
+            url: input.url || "",
+            extractedAt: new Date().toISOString(),
+        }, description);
+        return enrichJobData(jobData);
+    }
+
+    /** First non-empty line, minus a "Job title:" label, capped to a title's length. */
+    function guessTitle(text) {
+        const line = String(text || "").split("\n").map((l) => l.trim()).find(Boolean) || "";
+        return line.replace(/^(?:job\s+)?(?:title|role|position|stelle|poste|puesto)\s*[:\-–]\s*/i, "").slice(0, 120).trim();
+    }
+
+    /** Local fields derived from the finished description (shared by page and text extraction). */
+    function enrichJobData(jobData, currency) {
+        // en / de / fr / es, sent to the backend with the analysis request
+        const language = Language.detectLanguage(`${jobData.title}\n${jobData.description}`) || Language.DEFAULT_LANGUAGE;
+        return {
+            ...jobData,
+            language,
+            skills: collectJobSkills(jobData),
+            // Year units of the posting's language only ("ans" is French, not "an hour")
+            experienceRange: Experience.parseExperienceRange(jobData.experience, language)
+                || Experience.parseExperienceRange(jobData.description, language),
+            // Remote / hybrid / on-site, relocation and work-authorisation limits
+            workplace: jobData.mode === "gig" ? null : Workplace.classifyWorkplace(jobData),
+            // Gig budgets are per project, not pay – they stay as text
+            salaryInfo: jobData.mode === "gig"
+                ? null
+                : Salary.parseSalary(jobData.salary, { baseSalary: jobData.baseSalary, currency }),
+            // Posted / reposted / applicants / closing date. "How to apply" is the
+            // section the reducer drops first, and it's where deadlines live.
+            freshness: Freshness.parseFreshness({
+                ...jobData,
+                description: `${jobData.description}\n${jobData.sections?.applicationInstructions || ""}`,
+            }),
+        };
+    }
+
+    /**
+     * Site-provided skill chips plus every taxonomy skill the description
+     * mentions, all as canonical ids (the resume parser uses the same ids).
+     */
+    function collectJobSkills(jobData) {
+        return Skills.normalizeSkillList([
+            ...(jobData.skills || []),
+            ...Skills.extractSkills(`${jobData.title}\n${jobData.description}`),
+        ]);
+    }
+
+    // ─── Adapter Runner ───────────────────────────────────────────────────────────
+
+    /**
+     * Read every field of an adapter's selector chains, apply its transform hook
+     * and fill the common defaults (experience/salary parsed from the description).
+     * @returns {{ data: object|null, trace: Object<string, { selector: string, index: number, chainLength: number, length: number }> }}
+     *   trace records which selector produced each field (index in the chain,
+     *   -1 for none), for the options preview and extraction diagnostics.
+     */
+    function runAdapter(adapter) {
+        const trace = {};
+        try {
+            const scope = queryFirst(document, adapter.root || [])?.el || document;
+            const raw = {};
+
+            for (const [field, chain] of Object.entries(adapter.fields || {})) {
+                const hit = Adapters.LIST_FIELDS.includes(field)
+                    ? readList(scope, chain)
+                    : readField(scope, chain);
+                raw[field] = hit.value;
+                trace[field] = {
+                    selector: hit.selector,
+                    index: hit.index,
+                    chainLength: [].concat(chain).length,
+                    length: hit.value.length,
+                };
+            }
+
+            if ((adapter.required || []).some((field) => !raw[field])) {
+                return { data: null, trace };
+            }
+
+            const description = raw.description || "";
+            const experience = parseExperience(raw.experience || "");
+
+            let data = {
+                ...raw,
+                title: raw.title || "",
+                company: raw.company || companyFromUrl(adapter.companyFrom),
+                location: raw.location || "",
+                description,
+                // Header bands ("3 - 5 Yrs") first, then the description
+                experience: experience !== "Not specified" ? experience : parseExperience(description),
+                // Pay bands ("6-9 Lacs P.A.") are kept verbatim
+                salary: raw.salary || extractSalary(description),
+                skills: raw.skills || [],
+            };
+
+            const transform = TRANSFORMS[adapter.transform];
+            if (transform) data = transform(data, scope);
+            return { data, trace };
+        } catch (e) {
+            console.error(`[JobLens] ${adapter.label || adapter.id} extraction error:`, e);
+            return { data: extractGeneric(), trace };
+        }
+    }
+
+    /** "selector" reads innerText; "selector@attr" reads an attribute. First non-empty wins. */
+    function readField(scope, chain = []) {
+        const specs = [].concat(chain);
+        for (let index = 0; index < specs.length; index++) {
+            const value = readSelector(scope, specs[index])[0];
+            if (value) return { value, selector: specs[index], index };
+        }
+        return { value: "", selector: "", index: -1 };
+    }
+
+    /** Chip/tag lists: union of every selector's matches, deduplicated. */
+    function readList(scope, chain = []) {
+        const specs = [].concat(chain);
+        const values = [];
+        const matched = [];
+        specs.forEach((spec) => {
+            const found = readSelector(scope, spec).filter((t) => t.length < 40);
+            if (found.length) matched.push(spec);
+            values.push(...found);
+        });
+        return { value: [...new Set(values)], selector: matched.join(", "), index: specs.indexOf(matched[0]) };
+    }
+
+    function readSelector(scope, spec) {
+        const at = spec.lastIndexOf("@");
+        const hasAttr = at > 0 && !/[\]\s]/.test(spec.slice(at + 1));
+        const selector = hasAttr ? spec.slice(0, at) : spec;
+        try {
+            return [...scope.querySelectorAll(selector)]
+                .map((el) => (hasAttr ? el.getAttribute(spec.slice(at + 1)) : el.innerText)?.trim() || "")
+                .filter(Boolean);
+        } catch (_) {
+            return []; // Invalid user selector – treat as no match
+        }
+    }
+
+    function queryFirst(scope, chain) {
+        for (const selector of chain) {
+            try {
+                const el = scope.querySelector(selector);
+                if (el) return { el, selector };
+            } catch (_) { /* invalid selector */ }
+        }
+        return null;
+    }
+
+    /** "path:0" / "host:0" / "query:for", alternatives separated by "|" */
+    function companyFromUrl(rule) {
+        for (const part of String(rule || "").split("|").filter(Boolean)) {
+            const [kind, key] = part.split(":");
+            let slug = "";
+            if (kind === "path") slug = location.pathname.split("/").filter(Boolean)[Number(key)];
+            else if (kind === "host") slug = location.hostname.split(".")[Number(key)];
+            else if (kind === "query") slug = new URLSearchParams(location.search).get(key);
+            if (slug && slug !== "embed") return companyFromSlug(slug);
+        }
+        return "";
+    }
+
+    /**
+     * Dry-run an adapter definition on the current page (options "Test on
+     * current tab"). Custom overrides are layered onto the built-in with the
+     * same id, exactly as extractJobData would see them.
+     */
+    function testAdapter(def) {
+        const errors = Adapters.validateAdapter(def);
+        const adapter = Adapters.getAdapters([def]).find((a) => a.id === def.id);
+        const url = window.location.href;
+        const { data, trace } = runAdapter(adapter);
+        return {
+            url,
+            urlMatches: Adapters.findAdapter(url, [def])?.id === def.id,
+            identity: Adapters.getAdapterIdentity(url, [def]),
+            errors,
+            data: data && { ...data, description: (data.description || "").slice(0, 600) },
+            descriptionLength: data?.description?.length || 0,
+            trace,
+        };
+    }
+
+    // ─── Extraction Diagnostics ───────────────────────────────────────────────────
+    // Site markup changes don't throw: a renamed class just makes the chain fall
+    // through to a later selector, a transform's document.title fallback or the
+    // page-text padding in ensureJobDescription(). Each field records where its
+    // value came from and how far to trust it, so the popup can show it (Settings
+    // → Extraction Diagnostics) and background.js can keep a per-adapter health record.
+
+    // A broken title or description makes the analysis worthless
+    const CORE_FIELDS = ["title", "description"];
+    // Shorter than this, a "description" is a wrong or half-rendered container
+    const MIN_DESCRIPTION_CHARS = 200;
+
+    /**
+     * @typedef {{
+     *   source: "selector"|"schema.org"|"fallback"|"generic"|"none",
+     *   selector: string,
+     *   index: number,
+     *   chainLength: number,
+     *   length: number,
+     *   confidence: "high"|"medium"|"low"|"missing"
+     * }} FieldDiagnostics
+     */
+
+    /**
+     * @param {object|null} data  null when the adapter's required fields were missing –
+     *   lengths then come from the selector trace
+     * @returns {{ adapter: string, fields: Object<string, FieldDiagnostics>, degraded: boolean, weakFields: string[] }}
+     */
+    function diagnoseExtraction(site, trace, data, structured) {
+        const names = [...new Set([...CORE_FIELDS, "company", "location", ...Object.keys(trace || {})])];
+        const fields = {};
+        for (const field of names) {
+            const value = data ? data[field] : null;
+            const length = !data ? trace?.[field]?.length || 0
+                : Array.isArray(value) ? value.length
+                    : isEmptyField(value) ? 0 : String(value).length;
+            const hit = trace?.[field] || { selector: "", index: -1, chainLength: 0 };
+            const source = !length ? "none"
+                : !isEmptyField(structured?.[field]) && structured[field] === value ? "schema.org"
+                    : site === SiteType.GENERIC ? "generic"
+                        : hit.selector ? "selector" : "fallback";
+            fields[field] = {
+                source,
+                selector: source === "selector" ? hit.selector : "",
+                index: source === "selector" ? hit.index : -1,
+                chainLength: hit.chainLength,
+                length,
+                confidence: fieldConfidence(field, source, hit.index, length),
+            };
+        }
+
+        const weakFields = CORE_FIELDS.filter((f) => ["low", "missing"].includes(fields[f].confidence));
+        return { adapter: site, fields, degraded: weakFields.length > 0, weakFields };
+    }
+
+    /**
+     * Diagnostics for an adapter page where extractJobData() found no job
+     * because the title or other required fields stopped matching; null when
+     * it does find one.
+     */
+    function diagnoseAdapterPage(url = window.location.href) {
+        const adapter = Adapters.findAdapter(url, customAdapters);
+        if (!adapter) return null;
+        const { data, trace } = runAdapter(adapter);
+        return data?.title ? null : diagnoseExtraction(adapter.id, trace, data, null);
+    }
 
-    return {
-        ...data,
-        site,
-        url: window.location.href,
-        extractedAt: new Date().toISOString(),
+    function fieldConfidence(field, source, index, length) {
+        if (source === "none") return "missing";
+        // Transform fallbacks; experience / salary parsed from the description are expected
+        if (source === "fallback") return [...CORE_FIELDS, "company"].includes(field) ? "low" : "medium";
+        if (field === "description" && length < MIN_DESCRIPTION_CHARS) return "low";
+        if (source === "schema.org") return "high";
+        if (source === "generic") return "medium";
+        // A later selector in the chain: the primary one stopped matching
+        return index === 0 ? "high" : "medium";
+    }
+
+    // ─── Site Transforms ──────────────────────────────────────────────────────────
+    // Per-site fix-ups the selector chains can't express. Named by the
+    // adapter's `transform` key; each receives the common data and the scope root.
+
+    const TRANSFORMS = {
+        linkedin(data) {
+            // Broad fallback: any heading in the job details pane, then the tab title
+            const title =
+                data.title ||
+                document.querySelector(".jobs-details,.jobs-search__job-details,#job-details")
+                    ?.querySelector("h1,h2")?.innerText?.trim() ||
+                document.title.replace(/ *[|\-–] .*$/, "").trim();
+            // The insight row mixes pay with "Full-time · Mid-Senior level"
+            return { ...data, title, salary: extractSalary(data.salary) };
+        },
+
+        internshala(data) {
+            return data.description ? data : { ...data, description: document.body.innerText.trim().slice(0, 5000) };
+        },
+
+        naukri(data) {
+            const details = parseNaukriDetails(data.detailsText);
+            delete data.detailsText;
+            return {
+                ...data,
+                role: details["role"] || "",
+                industry: details["industry type"] || details["industry"] || "",
+                department: details["department"] || "",
+                employmentType: details["employment type"] || "",
+                roleCategory: details["role category"] || "",
+            };
+        },
+
+        // Search results (?vjk=) render the selected job in a right-hand pane; the
+        // standalone view page (/viewjob?jk=) uses the same markup without the pane.
+        indeed(data, scope) {
+            const payLine = scope.querySelector("#salaryInfoAndJobType")?.innerText?.trim() || "";
+            return {
+                ...data,
+                title: data.title.replace(/\s*-\s*job post$/i, ""),
+                // "₹25,000 - ₹35,000 a month - Full-time" → keep only the pay part
+                salary: payLine ? payLine.split(/\s+-\s+(?=[A-Z][a-z])/)[0].trim() : data.salary,
+                employmentType: readListSection(scope, "Job type").join(", "),
+                benefits: readListSection(scope, "Benefits"),
+            };
+        },
+
+        glassdoor(data) {
+            const ratingMatch = (data.ratingText || "").match(/\b([0-5](?:\.\d)?)\b/);
+            delete data.ratingText;
+            return {
+                ...data,
+                // Employer name is rendered next to its star rating ("Acme Corp\n4.1 ★")
+                company: data.company.split("\n")[0].trim(),
+                companyRating: ratingMatch ? parseFloat(ratingMatch[1]) : null,
+            };
+        },
+
+        wellfound(data, scope) {
+            // Compensation line looks like "₹15L – ₹25L • 0.1% – 0.25%". Searched
+            // in the job panel only, with textContent – this runs on every
+            // re-extraction and innerText would lay out each node.
+            const panel = scope !== document ? scope
+                : document.querySelector('[class*="JobListing"]') || document.querySelector("main") || document.body;
+            const compLine =
+                [...(panel?.querySelectorAll("span, div") || [])]
+                    .map((el) => el.childElementCount === 0 ? el.textContent.trim() : "")
+                    .find((t) => t && /[₹$€£]\s*[\d.,]+\s*[kKLM]?\s*[–-]/.test(t)) || "";
+            const { salary, equity } = parseWellfoundCompensation(compLine);
+            return { ...data, salary: salary || data.salary, equity };
+        },
+
+        hiristHeadline(data) {
+            // Headline reads "Senior Backend Engineer - Python (4-8 yrs)"
+            const bandMatch = data.title.match(/\((\d+)\s*-\s*(\d+)\s*yrs?\)/i);
+            return {
+                ...data,
+                title: data.title.replace(/\s*\(\d+\s*-\s*\d+\s*yrs?\)\s*$/i, "").trim(),
+                experience: bandMatch ? `${bandMatch[1]}-${bandMatch[2]} years` : data.experience,
+            };
+        },
+
+        // Gigs are contracts, not salaried roles: they carry mode: "gig" and a `gig`
+        // block (budget, length, client signals) instead of an experience band.
+        gig(data, scope) {
+            const pageText = (scope === document ? document.body : scope)?.innerText || "";
+            const { budgetText, clientText, activityText } = data;
+            return buildGigData({
+                title: data.title,
+                company: data.company,
+                location: data.location,
+                description: data.description,
+                skills: data.skills,
+                budgetText: budgetText || pageText.slice(0, 1500),
+                clientText: clientText || pageText,
+                activityText: activityText || pageText,
+            });
+        },
+
+        greenhouse(data) {
+            // Classic boards render "at Acme"
+            return { ...data, company: data.company.replace(/^at\s+/i, "") };
+        },
+
+        lever(data) {
+            return {
+                ...data,
+                company: data.company.replace(/\s*logo$/i, ""),
+                employmentType: (data.employmentType || "").replace(/\/\s*$/, "").trim(),
+                department: (data.department || "").replace(/\/\s*$/, "").trim(),
+            };
+        },
+
+        ashby(data) {
+            // Sidebar is a list of "<h2>Location</h2><p>Remote</p>" pairs
+            const details = {};
+            const sidebar =
+                document.querySelector('[class*="_details"]') ||
+                document.querySelector('[class*="_sidebar"]');
+            sidebar?.querySelectorAll("h2, h3").forEach((h) => {
+                const value = h.nextElementSibling?.innerText?.trim();
+                if (value) details[h.innerText.trim().toLowerCase()] = value;
+            });
+            return {
+                ...data,
+                location: data.location || details["location"] || "",
+                salary: details["compensation"] || data.salary,
+                employmentType: details["employment type"] || "",
+                department: details["department"] || details["team"] || "",
+            };
+        },
+
+        workday(data) {
+            const locations = [...document.querySelectorAll('[data-automation-id="locations"] dd')]
+                .map((el) => el.innerText.trim())
+                .filter(Boolean);
+            return { ...data, location: locations.join(" | ") || data.location };
+        },
     };
-}
-
-// ─── LinkedIn Extractor ───────────────────────────────────────────────────────
-function extractLinkedIn() {
-    try {
-        const getText = (sel) =>
-            document.querySelector(sel)?.innerText?.trim() || "";
-
-        const title =
-            getText(".job-details-jobs-unified-top-card__job-title") ||
-            getText(".jobs-unified-top-card__job-title") ||
-            getText("h1.t-24") ||
-            getText("h1");
-
-        const company =
-            getText(".job-details-jobs-unified-top-card__company-name") ||
-            getText(".jobs-unified-top-card__company-name") ||
-            getText(".topcard__org-name-link") ||
-            getText(".jobs-unified-top-card__subtitle-primary-grouping a");
-
-        const location =
-            getText(".job-details-jobs-unified-top-card__bullet") ||
-            getText(".jobs-unified-top-card__bullet") ||
-            getText(".topcard__flavor--bullet");
-
-        // Description – try multiple container selectors
-        const descEl =
-            document.querySelector(".jobs-description__content") ||
-            document.querySelector(".jobs-description") ||
-            document.querySelector(".job-view-layout") ||
-            document.querySelector("#job-details");
-        const description = descEl?.innerText?.trim() || "";
-
-        // Experience – parse from description
-        const experience = parseExperience(description);
-
-        // Salary
-        const salaryEl = document.querySelector(
-            ".jobs-unified-top-card__job-insight"
+
+    /**
+     * Read Naukri's "Role / Industry Type / Department …" block into a map keyed
+     * by the lower-cased label. Labels and values may render on one line
+     * ("Role: Backend Developer") or on consecutive lines ("Role:" / "Backend Developer").
+     */
+    function parseNaukriDetails(text) {
+        const details = {};
+        if (!text) return details;
+
+        const lines = text
+            .split("\n")
+            .map((l) => l.trim())
+            .filter(Boolean);
+
+        for (let i = 0; i < lines.length; i++) {
+            const m = lines[i].match(/^([A-Za-z ]{2,30}):\s*(.*)$/);
+            if (!m) continue;
+            let value = m[2].trim();
+            if (!value && lines[i + 1] && !lines[i + 1].includes(":")) {
+                value = lines[++i];
+            }
+            if (value) details[m[1].trim().toLowerCase()] = value.replace(/,\s*$/, "");
+        }
+        return details;
+    }
+
+    /** Split Wellfound's "<salary range> • <equity range>" compensation line. */
+    function parseWellfoundCompensation(text) {
+        const salaryMatch = text.match(
+            /[₹$€£]\s*[\d.,]+\s*[kKLM]?\s*[–-]\s*[₹$€£]?\s*[\d.,]+\s*[kKLM]?/
+        );
+        const equityMatch = text.match(
+            /\d+(?:\.\d+)?%(?:\s*[–-]\s*\d+(?:\.\d+)?%)?/
         );
-        const salary = extractSalary(salaryEl?.innerText || description);
+        return {
+            salary: salaryMatch ? salaryMatch[0].replace(/\s+/g, " ").trim() : "",
+            equity: equityMatch ? equityMatch[0].replace(/\s+/g, " ").trim() : "",
+        };
+    }
+
+    // ─── schema.org JobPosting (JSON-LD / microdata) ──────────────────────────────
+
+    function hasStructuredJobPosting() {
+        const ldScripts = document.querySelectorAll('script[type="application/ld+json"]');
+        return (
+            [...ldScripts].some((s) => s.textContent.includes("JobPosting")) ||
+            !!document.querySelector('[itemtype*="schema.org/JobPosting"]')
+        );
+    }
+
+    /**
+     * Read the page's JobPosting, preferring JSON-LD over microdata.
+     * @returns {object|null} job fields in the same shape the DOM extractors return
+     */
+    function extractStructuredJobPosting() {
+        try {
+            const posting = findJsonLdJobPosting();
+            if (posting) return mapJsonLdJobPosting(posting);
+
+            const item = document.querySelector('[itemscope][itemtype*="schema.org/JobPosting"]');
+            if (item) return mapMicrodataJobPosting(item);
+        } catch (e) {
+            console.error("[JobLens] Structured data extraction error:", e);
+        }
+        return null;
+    }
+
+    function findJsonLdJobPosting() {
+        const isPosting = (node) => {
+            const type = node?.["@type"];
+            return Array.isArray(type) ? type.includes("JobPosting") : type === "JobPosting";
+        };
+
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            let json;
+            try {
+                json = JSON.parse(script.textContent);
+            } catch (_) {
+                continue; // Malformed blocks are common; skip them.
+            }
+
+            // Postings may be top-level, in an array, or inside an @graph
+            const queue = Array.isArray(json) ? [...json] : [json];
+            while (queue.length) {
+                const node = queue.shift();
+                if (!node || typeof node !== "object") continue;
+                if (isPosting(node)) return node;
+                if (Array.isArray(node["@graph"])) queue.push(...node["@graph"]);
+            }
+        }
+        return null;
+    }
+
+    function mapJsonLdJobPosting(p) {
+        const org = p.hiringOrganization;
+        const locations = [].concat(p.jobLocation || []);
+        const location = locations
+            .map((loc) => {
+                const a = loc?.address || {};
+                if (typeof a === "string") return a;
+                const country = typeof a.addressCountry === "object" ? a.addressCountry?.name : a.addressCountry;
+                return [a.addressLocality, a.addressRegion, country].filter(Boolean).join(", ");
+            })
+            .filter(Boolean)
+            .join(" | ");
+
+        const description = htmlToText(p.description || "");
+        const baseSalary = mapBaseSalary(p.baseSalary);
+        const skills = typeof p.skills === "string"
+            ? p.skills.split(/[,;\n]/).map((x) => x.trim()).filter(Boolean)
+            : [].concat(p.skills || []).map((x) => (typeof x === "string" ? x : x?.name)).filter(Boolean);
+
+        return {
+            title: htmlToText(p.title || ""),
+            company: typeof org === "string" ? org : org?.name || "",
+            companyUrl: typeof org === "object" ? org?.sameAs || org?.url || "" : "",
+            location,
+            description,
+            experience: mapExperienceRequirements(p.experienceRequirements) || parseExperience(description),
+            salary: baseSalary ? formatBaseSalary(baseSalary) : "",
+            baseSalary,
+            skills,
+            employmentType: [].concat(p.employmentType || []).join(", "),
+            datePosted: p.datePosted || "",
+            validThrough: p.validThrough || "",
+            jobLocationType: [].concat(p.jobLocationType || []).join(", "),
+            applicantLocationRequirements: [].concat(p.applicantLocationRequirements || [])
+                .map((req) => (typeof req === "string" ? req : req?.name))
+                .filter(Boolean)
+                .join(", "),
+            structuredDataSource: "json-ld",
+        };
+    }
+
+    function mapMicrodataJobPosting(item) {
+        const prop = (name, root = item) => {
+            const el = root.querySelector(`[itemprop="${name}"]`);
+            if (!el) return "";
+            return (el.getAttribute("content") || el.getAttribute("datetime") || el.innerText || "").trim();
+        };
+        const orgEl = item.querySelector('[itemprop="hiringOrganization"]');
+        const salaryEl = item.querySelector('[itemprop="baseSalary"]');
+        const description = prop("description");
+
+        const baseSalary = salaryEl
+            ? mapBaseSalary({
+                currency: prop("currency", salaryEl),
+                value: {
+                    minValue: prop("minValue", salaryEl),
+                    maxValue: prop("maxValue", salaryEl),
+                    value: prop("value", salaryEl),
+                    unitText: prop("unitText", salaryEl),
+                },
+            })
+            : null;
+
+        return {
+            title: prop("title"),
+            company: (orgEl && prop("name", orgEl)) || orgEl?.innerText?.trim() || "",
+            location: prop("jobLocation"),
+            description,
+            experience: prop("experienceRequirements") || parseExperience(description),
+            salary: baseSalary ? formatBaseSalary(baseSalary) : "",
+            baseSalary,
+            employmentType: prop("employmentType"),
+            datePosted: prop("datePosted"),
+            validThrough: prop("validThrough"),
+            jobLocationType: prop("jobLocationType"),
+            structuredDataSource: "microdata",
+        };
+    }
+
+    /** MonetaryAmount → { currency, min, max, unit } (unit: HOUR/DAY/WEEK/MONTH/YEAR) */
+    function mapBaseSalary(baseSalary) {
+        if (!baseSalary || typeof baseSalary !== "object") return null;
+        const value = typeof baseSalary.value === "object" ? baseSalary.value : { value: baseSalary.value };
+        const num = (v) => (v === "" || v == null || isNaN(parseFloat(v)) ? null : parseFloat(v));
+
+        const min = num(value.minValue) ?? num(value.value);
+        const max = num(value.maxValue) ?? num(value.value);
+        if (min == null && max == null) return null;
+
+        return {
+            currency: baseSalary.currency || value.currency || "",
+            min,
+            max,
+            unit: String(value.unitText || baseSalary.unitText || "").toUpperCase(),
+        };
+    }
+
+    function formatBaseSalary({ currency, min, max, unit }) {
+        const range = min != null && max != null && min !== max
+            ? `${min.toLocaleString()}–${max.toLocaleString()}`
+            : (min ?? max).toLocaleString();
+        const per = unit ? ` per ${unit.toLowerCase()}` : "";
+        return `${currency ? currency + " " : ""}${range}${per}`;
+    }
+
+    /** experienceRequirements is free text or OccupationalExperienceRequirements */
+    function mapExperienceRequirements(req) {
+        if (!req) return "";
+        if (typeof req === "string") {
+            const parsed = parseExperience(req);
+            return parsed !== "Not specified" ? parsed : "";
+        }
+        const months = parseFloat(req.monthsOfExperience);
+        if (!isNaN(months)) return `${Math.round(months / 12)}+ years`;
+        return req.description ? mapExperienceRequirements(req.description) : "";
+    }
 
-        // Skills chips (LinkedIn sometimes renders them)
-        const skillEls = document.querySelectorAll(".job-details-skill-match-status-list__unmatched-skill-text, .job-details-preferences-and-skills__pill");
-        const skills = [...skillEls].map((el) => el.innerText.trim()).filter(Boolean);
+    /**
+     * Convert JobPosting description HTML (sometimes entity-escaped twice) into
+     * readable text that keeps paragraph and list breaks.
+     */
+    function htmlToText(html) {
+        let markup = String(html || "");
+        if (!markup) return "";
+        const parser = new DOMParser();
+
+        // "&lt;p&gt;…" – decode once so the tags become real markup
+        if (/&lt;\/?[a-z][^&]*&gt;/i.test(markup)) {
+            markup = parser.parseFromString(markup, "text/html").documentElement.textContent || "";
+        }
+
+        markup = markup
+            .replace(/<\s*br\s*\/?>/gi, "\n")
+            .replace(/<li[^>]*>/gi, "\n• ")
+            .replace(/<\/(p|div|h[1-6]|ul|ol|tr|section)>/gi, "\n");
+
+        const text = parser.parseFromString(markup, "text/html").body?.textContent || "";
+        return text
+            .replace(/[ \t\u00a0]+/g, " ")
+            .replace(/ *\n */g, "\n")
+            .replace(/\n{3,}/g, "\n\n")
+            .trim();
+    }
+
+    const EMPTY_FIELD_VALUES = new Set(["", "Not specified", "Not disclosed"]);
+
+    function isEmptyField(value) {
+        if (value == null) return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === "string") return EMPTY_FIELD_VALUES.has(value.trim());
+        return false;
+    }
+
+    /**
+     * Structured data wins field-by-field; DOM values only fill what it lacks.
+     * Split-pane sites can carry JSON-LD for a different posting than the one
+     * selected, so a title mismatch keeps the DOM result as-is.
+     */
+    function mergeStructuredJobData(structured, domData) {
+        if (!structured) return domData;
+        if (!domData) {
+            return structured.title && structured.description ? structured : null;
+        }
+
+        const norm = (t) => String(t || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+        const a = norm(structured.title);
+        const b = norm(domData.title);
+        if (a && b && !a.includes(b) && !b.includes(a)) return domData;
+
+        const merged = { ...domData };
+        for (const [key, value] of Object.entries(structured)) {
+            if (!isEmptyField(value)) merged[key] = value;
+        }
+        if (isEmptyField(merged.experience)) merged.experience = parseExperience(merged.description || "");
+        if (isEmptyField(merged.salary)) merged.salary = extractSalary(merged.description || "");
+        return merged;
+    }
+
+    // ─── Gig Helpers (Upwork / Freelancer) ────────────────────────────────────────
+
+    /** Assemble the common gig-shaped job object from the per-site text blocks. */
+    function buildGigData({ title, company, location, description, skills, budgetText, clientText, activityText }) {
+        const budget = parseGigBudget(budgetText);
+        const gig = {
+            ...budget,
+            projectLength: parseProjectLength(`${budgetText}\n${description}`),
+            clientHireRate: matchNumber(clientText, /(\d{1,3})\s*%\s*hire rate/i),
+            clientTotalSpent: clientText.match(/([$€£₹]\s*[\d.,]+\s*[KkMm]?\+?)\s*total spent/i)?.[1].replace(/\s+/g, "") || "",
+            proposals: parseProposals(activityText),
+        };
 
         return {
             title,
             company,
             location,
-            experience,
-            salary,
             description,
             skills,
+            mode: "gig",
+            experience: "Not applicable",
+            salary: formatGigBudget(gig) || "Not disclosed",
+            gig,
         };
-    } catch (e) {
-        console.error("[JobLens] LinkedIn extraction error:", e);
-        return extractGeneric();
-    }
-}
-
-// ─── Internshala Extractor ────────────────────────────────────────────────────
-function extractInternshala() {
-    try {
-        const getText = (sel) =>
-            document.querySelector(sel)?.innerText?.trim() || "";
-
-        const title =
-            getText(".profile h1") ||
-            getText(".heading_4_5.profile") ||
-            getText("h1.job-internship-name") ||
-            getText("h1");
-
-        const company =
-            getText(".company-name") ||
-            getText(".link_display_like_text .heading_6") ||
-            getText(".internship_other_details_container .heading_6");
-
-        const location =
-            getText(".location_link") ||
-            getText(".other_detail_item .item_body") ||
-            "";
-
-        const descWrapper =
-            document.querySelector("#about_internship") ||
-            document.querySelector(".internship-description") ||
-            document.querySelector(".about_company_text_container");
-
-        const description = descWrapper?.innerText?.trim() || document.body.innerText.trim().slice(0, 5000);
-
-        const experience = parseExperience(description);
-        const salary =
-            extractSalary(getText(".stipend_container") || description);
-
-        const skillEls = document.querySelectorAll(
-            ".round_tabs .round_without_icon, .tags_container .tag"
+    }
+
+    /**
+     * Parse a gig budget line. Handles "$15.00 - $30.00 Hourly", "Fixed-price $500",
+     * "$250 – 750 USD" and "₹1,500 - 12,500 INR / hour".
+     * @returns {{ budgetType: "fixed"|"hourly"|"", budgetMin: number|null, budgetMax: number|null, currency: string }}
+     */
+    function parseGigBudget(text = "") {
+        const symbols = { "$": "USD", "€": "EUR", "£": "GBP", "₹": "INR" };
+        const amounts = [...text.matchAll(/([$€£₹])?\s*(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi)]
+            .filter((m) => m[1] || /\b(?:USD|EUR|GBP|INR|AUD|CAD)\b/i.test(text))
+            .slice(0, 2)
+            .map((m) => parseFloat(m[2].replace(/,/g, "")) * (m[3] ? 1000 : 1));
+
+        const hourlyAt = text.search(/\bhourly\b|\/\s*h(?:ou)?r\b|per hour/i);
+        const fixedAt = text.search(/fixed[- ]price|fixed budget|\bfixed\b/i);
+        let budgetType = "";
+        if (hourlyAt >= 0 && (fixedAt < 0 || hourlyAt < fixedAt)) budgetType = "hourly";
+        else if (fixedAt >= 0 || amounts.length) budgetType = "fixed";
+
+        const code = text.match(/\b(USD|EUR|GBP|INR|AUD|CAD)\b/i)?.[1].toUpperCase();
+        const symbol = text.match(/[$€£₹]/)?.[0];
+
+        return {
+            budgetType,
+            budgetMin: amounts.length ? Math.min(...amounts) : null,
+            budgetMax: amounts.length ? Math.max(...amounts) : null,
+            currency: code || symbols[symbol] || "",
+        };
+    }
+
+    function parseProjectLength(text = "") {
+        const m =
+            text.match(/\b(less than (?:1|a) (?:month|week)|\d+\s*to\s*\d+\s*(?:months|weeks)|more than 6 months)\b/i) ||
+            text.match(/\b(\d+\s*(?:days?|weeks?|months?))\s*(?:project|duration|contract)\b/i) ||
+            text.match(/\b(?:duration|project length)[:\s]+([^\n,]+)/i);
+        return m ? m[1].trim() : "";
+    }
+
+    /** Upwork: "Proposals: 20 to 50"; Freelancer: "23 freelancers are bidding" / "Bids 23". */
+    function parseProposals(text = "") {
+        const m =
+            text.match(/proposals?:?\s*((?:less than\s*)?\d+(?:\s*to\s*\d+)?\+?)/i) ||
+            text.match(/(\d+)\s*freelancers? (?:are|is) bidding/i) ||
+            text.match(/\bbids\b\s*:?\s*(\d+)/i);
+        return m ? m[1].replace(/\s+/g, " ").trim() : "";
+    }
+
+    function formatGigBudget({ budgetType, budgetMin, budgetMax, currency }) {
+        if (budgetMin == null) return "";
+        const fmt = (n) => `${n.toLocaleString()}`;
+        const range = budgetMax && budgetMax !== budgetMin
+            ? `${fmt(budgetMin)}–${fmt(budgetMax)}`
+            : fmt(budgetMin);
+        const suffix = budgetType === "hourly" ? "/hr" : budgetType === "fixed" ? " fixed" : "";
+        return `${currency ? currency + " " : ""}${range}${suffix}`;
+    }
+
+    function matchNumber(text = "", re) {
+        const m = text.match(re);
+        return m ? parseFloat(m[1]) : null;
+    }
+
+    // ─── Shared Helpers ───────────────────────────────────────────────────────────
+
+    /** "acme-labs" / "AcmeLabs1" → "Acme Labs" */
+    function companyFromSlug(slug) {
+        if (!slug) return "";
+        return decodeURIComponent(slug)
+            .replace(/\d+$/, "")
+            .replace(/([a-z])([A-Z])/g, "$1 $2")
+            .replace(/[-_]+/g, " ")
+            .replace(/\b\w/g, (c) => c.toUpperCase())
+            .trim();
+    }
+
+    /**
+     * Collect the list items under a labelled section such as Indeed's
+     * "Job type" or "Benefits" group. Matches either an aria-label on the group
+     * or a heading whose text equals the label.
+     */
+    function readListSection(root, label) {
+        const wanted = label.toLowerCase();
+        let group = root.querySelector(`[aria-label="${label}"]`);
+
+        if (!group) {
+            const heading = [...root.querySelectorAll("h2, h3, h4, [role='heading']")]
+                .find((el) => el.innerText?.trim().toLowerCase() === wanted);
+            group = heading?.parentElement || null;
+        }
+        if (!group && wanted === "benefits") {
+            group = root.querySelector("#benefits");
+        }
+        if (!group) return [];
+
+        return [...group.querySelectorAll("li, [data-testid$='-tile']")]
+            .map((el) => el.innerText.trim())
+            .filter((t) => t && t.toLowerCase() !== wanted);
+    }
+
+    // ─── Generic Extractor ────────────────────────────────────────────────────────
+    function extractGeneric() {
+        try {
+            // Title: prefer structured elements
+            const title =
+                document.querySelector("h1")?.innerText?.trim() ||
+                document.querySelector('[class*="title"]')?.innerText?.trim() ||
+                document.title;
+
+            // Company: look for schema.org or common patterns
+            const companyEl =
+                document.querySelector('[itemprop="hiringOrganization"]') ||
+                document.querySelector('[class*="company"]') ||
+                document.querySelector('[class*="employer"]');
+            const company = companyEl?.innerText?.trim() || "";
+
+            // Location
+            const locationEl =
+                document.querySelector('[itemprop="jobLocation"]') ||
+                document.querySelector('[class*="location"]');
+            const location = locationEl?.innerText?.trim() || "";
+
+            // Description: largest text block likely containing job content
+            const descEl =
+                document.querySelector('[class*="description"]') ||
+                document.querySelector('[class*="job-detail"]') ||
+                document.querySelector("main") ||
+                document.querySelector("article") ||
+                document.body;
+
+            const description = extractMainContent(descEl);
+            const experience = parseExperience(description);
+            const salary = extractSalary(description);
+
+            return { title, company, location, experience, salary, description, skills: [] };
+        } catch (e) {
+            console.error("[JobLens] Generic extraction error:", e);
+            return null;
+        }
+    }
+
+    // ─── Content Helpers ──────────────────────────────────────────────────────────
+
+    /** Extract the most relevant text block from an element, filtering nav/footer noise */
+    function extractMainContent(el) {
+        if (!el) return "";
+        // Clone so we don't mutate the page
+        const clone = el.cloneNode(true);
+        // Remove non-content elements
+        ["nav", "header", "footer", "script", "style", "noscript", "aside"].forEach(
+            (tag) => clone.querySelectorAll(tag).forEach((n) => n.remove())
         );
-        const skills = [...skillEls].map((el) => el.innerText.trim()).filter(Boolean);
-
-        return { title, company, location, experience, salary, description, skills };
-    } catch (e) {
-        console.error("[JobLens] Internshala extraction error:", e);
-        return extractGeneric();
-    }
-}
-
-// ─── Generic Extractor ────────────────────────────────────────────────────────
-function extractGeneric() {
-    try {
-        // Title: prefer structured elements
-        const title =
-            document.querySelector("h1")?.innerText?.trim() ||
-            document.querySelector('[class*="title"]')?.innerText?.trim() ||
-            document.title;
-
-        // Company: look for schema.org or common patterns
-        const companyEl =
-            document.querySelector('[itemprop="hiringOrganization"]') ||
-            document.querySelector('[class*="company"]') ||
-            document.querySelector('[class*="employer"]');
-        const company = companyEl?.innerText?.trim() || "";
-
-        // Location
-        const locationEl =
-            document.querySelector('[itemprop="jobLocation"]') ||
-            document.querySelector('[class*="location"]');
-        const location = locationEl?.innerText?.trim() || "";
-
-        // Description: largest text block likely containing job content
-        const descEl =
-            document.querySelector('[class*="description"]') ||
-            document.querySelector('[class*="job-detail"]') ||
-            document.querySelector("main") ||
-            document.querySelector("article") ||
-            document.body;
-
-        const description = extractMainContent(descEl);
-        const experience = parseExperience(description);
-        const salary = extractSalary(description);
-
-        return { title, company, location, experience, salary, description, skills: [] };
-    } catch (e) {
-        console.error("[JobLens] Generic extraction error:", e);
-        return null;
+        // Generous raw cap – ensureJobDescription() does the real length reduction
+        return clone.innerText?.trim().slice(0, MAX_RAW_DESCRIPTION) || "";
     }
-}
 
-// ─── Content Helpers ──────────────────────────────────────────────────────────
+    /** Parse experience years from text ("3-5 years", "5+ years") */
+    function parseExperience(text) {
+        return Experience.formatExperienceRange(Experience.parseExperienceRange(text));
+    }
 
-/** Extract the most relevant text block from an element, filtering nav/footer noise */
-function extractMainContent(el) {
-    if (!el) return "";
-    // Clone so we don't mutate the page
-    const clone = el.cloneNode(true);
-    // Remove non-content elements
-    ["nav", "header", "footer", "script", "style", "noscript", "aside"].forEach(
-        (tag) => clone.querySelectorAll(tag).forEach((n) => n.remove())
-    );
-    return clone.innerText?.trim().slice(0, 8000) || "";
-}
-
-/** Parse experience years from text */
-function parseExperience(text) {
-    const patterns = [
-        /(\d+)\+?\s*(?:to|-|–)\s*(\d+)\s*years?/i,
-        /(\d+)\+?\s*years?\s*(?:of\s+)?(?:experience|exp)/i,
-        /experience[:\s]+(\d+)\+?\s*years?/i,
-        /minimum\s+(\d+)\s*years?/i,
-        /at least\s+(\d+)\s*years?/i,
+    /** Extract salary info from text */
+    function extractSalary(text) {
+        const patterns = [
+            /(?:₹|rs\.?|inr)\s*[\d,.]+(?:\s*(?:-|to)\s*[\d,.]+)?\s*(?:lpa|lakhs?|lacs?|cr|k\/month|\/month|per annum)?/i,
+            /\b\d+(?:\.\d+)?\s*(?:-|to)\s*\d+(?:\.\d+)?\s*(?:lpa|lakhs?|lacs?)\b(?:\s*p\.?a\.?)?/i,
+            /[$€£]\s*[\d,.]+\s*k?\s*[-–]\s*[$€£]?\s*[\d,.]+\s*k?(?:\s*(?:\/\s*(?:year|yr|month|mo|hour|hr)|per (?:year|annum|month|hour)|an? (?:year|month|hour)|p\.a\.))?/i,
+            /[$€£]\s*[\d,.]+\s*k?\s*(?:\/\s*(?:year|yr|month|mo|hour|hr)|per (?:year|annum|month|hour)|an? (?:year|month|hour)|p\.a\.)/i,
+            /salary[:\s]+[\d,₹$]+[^\n]*/i,
+            /compensation[:\s]+[^\n]*/i,
+            /stipend[:\s]+[\d,₹$]+[^\n]*/i,
+            // German / French / Spanish: "45.000 € - 55.000 € brutto/Jahr", "Salaire : 40 k€"
+            /\d[\d., \u00a0\u202f]*k?\s*€\s*(?:-|–|bis|à|a)\s*\d[\d., \u00a0\u202f]*k?\s*€(?:\s*(?:brutto|bruto|brut)?\s*(?:\/\s*jahr|pro jahr|jährlich|par an|annuel|al año|por año|anual|p\.a\.))?/i,
+            /\d[\d., \u00a0\u202f]*k?\s*€\s*(?:brutto|bruto|brut)?\s*(?:\/\s*jahr|pro jahr|jährlich|par an|annuel|al año|por año|anual|p\.a\.)/i,
+            /(?:gehalt|vergütung|salaire|rémunération|salario|sueldo|retribución)\s*[:\s]\s*[\d€$£][^\n]*/i,
+        ];
+        for (const re of patterns) {
+            const m = text.match(re);
+            if (m) return m[0].trim();
+        }
+        return "Not disclosed";
+    }
+
+    /**
+     * Guarantee a usable description: tidy whitespace (keeping line breaks, which
+     * sectioning relies on), borrow the largest likely text block when the
+     * adapter's container came back nearly empty, reduce long postings to
+     * MAX_DESCRIPTION (see reduceJobDescription) and attach `sections`.
+     */
+    function ensureJobDescription(jobData) {
+        let description = tidyText(jobData?.description || "");
+
+        if (description.length < 50) {
+            const selectors = [
+                ".jobs-description__content",
+                ".jobs-description-content__text",
+                ".jobs-description",
+                "#job-details",
+                "[class*='description']",
+                "main",
+                "[role='main']",
+                "article",
+                "body",
+            ];
+
+            let fallback = "";
+            for (const sel of selectors) {
+                const txt = tidyText(document.querySelector(sel)?.innerText || "");
+                if (txt.length > fallback.length) fallback = txt;
+                if (fallback.length >= 1200) break;
+            }
+            description = [description, fallback].filter(Boolean).join("\n\n").trim();
+        }
+
+        return withReducedDescription(jobData, description);
+    }
+
+    function withReducedDescription(jobData, description) {
+        const reduced = reduceJobDescription(description);
+        return {
+            ...jobData,
+            description: reduced.text,
+            // What the reducer dropped (null when untouched) – the overlay warns about it
+            descriptionTrim: reduced.trim,
+            // Sectioned from the full text so nothing dropped above is lost here
+            sections: sectionJobDescription(description),
+        };
+    }
+
+    function tidyText(text) {
+        return String(text)
+            .replace(/[ \t\u00a0]+/g, " ")
+            .replace(/ *\n */g, "\n")
+            .replace(/\n{3,}/g, "\n\n")
+            .trim();
+    }
+
+    // ─── Long Description Reducer ─────────────────────────────────────────────────
+    // Enterprise postings run past the size we send for analysis, and their
+    // qualifications usually sit near the bottom. Instead of cutting the tail,
+    // strip boilerplate, put requirement-bearing sections first and drop whole
+    // low-value sections until the text fits.
+
+    const MAX_DESCRIPTION = 8000;
+    const MAX_RAW_DESCRIPTION = 30000;
+
+    // Kept in this order; later entries are dropped first when still too long
+    const REDUCER_ORDER = [
+        "requiredQualifications",
+        "preferredQualifications",
+        "responsibilities",
+        "other",
+        "benefits",
+        "applicationInstructions",
+        "aboutCompany",
     ];
-    for (const re of patterns) {
-        const m = text.match(re);
-        if (m) {
-            return m[2] ? `${m[1]}-${m[2]} years` : `${m[1]}+ years`;
+    const DROPPABLE_SECTIONS = ["aboutCompany", "applicationInstructions", "benefits"];
+
+    const TRIM_LABELS = {
+        boilerplate: "Equal-opportunity / legal boilerplate",
+        repeated: "Repeated paragraphs",
+        aboutCompany: "About the company",
+        applicationInstructions: "How to apply",
+        benefits: "Benefits",
+        truncated: "End of the description",
+    };
+
+    const BOILERPLATE_HEADING = /^(?:equal (?:employment )?opportunit(?:y|ies)(?: employer)?(?: statement)?|eeo(?:c)?(?: statement)?|diversity(?:,? equity)?(?: (?:and|&) inclusion)?(?: statement)?|(?:legal )?disclaimer|privacy (?:notice|policy|statement)|(?:reasonable )?accommodations?|pay transparency(?: statement)?|e-verify|(?:a )?note to (?:recruiters|agencies)|(?:recruitment|staffing) agencies)$/;
+    const BOILERPLATE_LINE = /equal (?:employment )?opportunit(?:y|ies)|without regard to|affirmative action|protected veterans?|veteran status|sexual orientation|gender identity|e-verify|reasonable accommodations?|pay transparency|unsolicited (?:resumes?|applications?|candidates?)|(?:recruitment|staffing|search) agenc(?:y|ies)|not intended to be (?:an? )?(?:all[- ]inclusive|exhaustive|comprehensive)|(?:applicant|candidate) privacy/i;
+
+    /**
+     * Fit a description into `limit` characters, keeping requirements.
+     * @returns {{ text: string, trim: null|{ originalLength: number, keptLength: number,
+     *   removed: { part: string, label: string, chars: number }[] } }}
+     */
+    function reduceJobDescription(text, limit = MAX_DESCRIPTION) {
+        if (text.length <= limit) return { text, trim: null };
+
+        const removed = {};
+        const note = (part, chars) => {
+            if (chars > 0) removed[part] = (removed[part] || 0) + chars;
+        };
+
+        // Split into heading-led blocks, dropping boilerplate as we go
+        const blocks = [];
+        const seen = new Set();
+        let block = { key: "other", lines: [] };
+        blocks.push(block);
+
+        for (const line of text.split("\n")) {
+            const heading = parseHeadingLine(line);
+            if (heading && BOILERPLATE_HEADING.test(heading.label)) {
+                block = { key: "boilerplate", lines: [] };
+                note("boilerplate", line.length + 1);
+                continue;
+            }
+            const section = heading && matchSectionHeading(line);
+            // Any other heading also ends a boilerplate block
+            if (section || (heading && block.key === "boilerplate")) {
+                block = { key: section?.key || "other", lines: [line] };
+                blocks.push(block);
+                continue;
+            }
+
+            const keepsRequirements = /Qualifications$/.test(block.key);
+            if (block.key === "boilerplate" || (!keepsRequirements && BOILERPLATE_LINE.test(line))) {
+                note("boilerplate", line.length + 1);
+                continue;
+            }
+            // Company blurbs pasted twice (header + footer) only count once
+            const fingerprint = line.trim().toLowerCase();
+            if (fingerprint.length > 60 && seen.has(fingerprint)) {
+                note("repeated", line.length + 1);
+                continue;
+            }
+            seen.add(fingerprint);
+            block.lines.push(line);
+        }
+
+        const assemble = (keys) => REDUCER_ORDER
+            .filter((key) => keys.includes(key))
+            .flatMap((key) => blocks.filter((b) => b.key === key).map((b) => b.lines.join("\n").trim()))
+            .filter(Boolean)
+            .join("\n\n");
+
+        let keys = [...REDUCER_ORDER];
+        let reduced = assemble(keys);
+        for (const key of DROPPABLE_SECTIONS) {
+            if (reduced.length <= limit) break;
+            const next = assemble(keys.filter((k) => k !== key));
+            note(key, reduced.length - next.length);
+            keys = keys.filter((k) => k !== key);
+            reduced = next;
+        }
+        if (reduced.length > limit) {
+            note("truncated", reduced.length - limit);
+            reduced = reduced.slice(0, limit);
         }
+
+        return {
+            text: reduced,
+            trim: {
+                originalLength: text.length,
+                keptLength: reduced.length,
+                removed: Object.entries(removed).map(([part, chars]) => ({ part, label: TRIM_LABELS[part], chars })),
+            },
+        };
     }
-    return "Not specified";
-}
-
-/** Extract salary info from text */
-function extractSalary(text) {
-    const patterns = [
-        /(?:₹|rs\.?|inr)\s*[\d,]+(?:\s*-\s*[\d,]+)?\s*(?:lpa|lakh|k\/month|\/month|per annum)?/i,
-        /\$\s*[\d,]+(?:\s*-\s*[\d,]+)?\s*(?:k?\/year|k?\/month|k\s)/i,
-        /salary[:\s]+[\d,₹$]+[^\n]*/i,
-        /compensation[:\s]+[^\n]*/i,
-        /stipend[:\s]+[\d,₹$]+[^\n]*/i,
+
+    // ─── Description Sections ─────────────────────────────────────────────────────
+    // Postings are loosely structured by heading lines ("Requirements",
+    // "Nice to have:", "What we offer"). Order matters: the first matching
+    // heading wins, so the specific forms precede the generic ones. A null key
+    // marks a heading that only ends the previous section ("About the role").
+
+    const SECTION_HEADINGS = [
+        [null, /^about (?:the|this) (?:role|job|position|opportunity)$|^(?:role|position|job) (?:overview|summary)$/],
+        ["preferredQualifications", /^(?:preferred|desirable|additional|bonus) (?:qualifications?|skills?|experience|requirements?)\b|^preferred$|^desired (?:qualifications?|skills?)\b|^(?:nice|good|great) to (?:have|haves)\b|^(?:bonus(?: points)?|pluses|plus points)$|^it(?:'|’)?s a plus\b|^it would be (?:great|nice) if\b/],
+        ["requiredQualifications", /^(?:(?:basic|minimum|required|key|essential|technical|must[- ]have) )?(?:qualifications?|requirements?|skills?)(?: (?:and|&) (?:experience|qualifications?))?(?: required)?$|^(?:skills|experience) required$|^must[- ]haves?$|^what (?:we(?:'|’)?re|we are) looking for\b|^what you(?:'|’)?ll (?:need|bring)\b|^what you (?:need|bring)\b|^who you are$|^about you$|^you (?:have|bring|are)$|^(?:desired )?candidate profile$|^eligibility(?: criteria)?$|^your (?:profile|background|qualifications)$/],
+        ["responsibilities", /^(?:(?:key|main|job|your) )?(?:roles? (?:and|&) )?responsibilities$|^what you(?:'|’)?ll (?:do|be doing)\b|^what you will (?:do|be doing)\b|^(?:the|your) role$|^(?:job )?duties$|^day[- ]to[- ]day\b|^in this role(?:,? you will)?$|^your (?:mission|impact)$|^job description$/],
+        ["benefits", /^(?:benefits|perks)(?: (?:and|&) (?:benefits|perks))?$|^(?:compensation|salary) (?:and|&) benefits$|^what we offer\b|^we offer$|^our offer$|^why (?:join|work (?:at|with|for))\b|^what(?:'|’)?s in it for you\b/],
+        ["applicationInstructions", /^how to apply\b|^(?:application|interview|hiring|recruitment|selection) process$|^to apply$|^next steps$|^apply now$/],
+        ["aboutCompany", /^about (?:us|the company|the team|the organi[sz]ation)$|^who we are$|^(?:company|organi[sz]ation) (?:overview|description|profile)$|^our (?:company|story|mission)$|^about [a-z0-9][\w&.' -]{0,40}$/],
     ];
-    for (const re of patterns) {
-        const m = text.match(re);
-        if (m) return m[0].trim();
+
+    const SECTION_KEYS = [
+        "aboutCompany",
+        "responsibilities",
+        "requiredQualifications",
+        "preferredQualifications",
+        "benefits",
+        "applicationInstructions",
+    ];
+
+    // German, French and Spanish headings (utils/language.js) → section key
+    const LOCALIZED_HEADINGS = new Map(
+        SECTION_KEYS.flatMap((key) => Language.jobSectionHeadings(key).map((label) => [label, key]))
+    );
+
+    /**
+     * Split description text into labelled sections. Lines before the first
+     * recognised heading (usually a role summary) belong to no section.
+     * @returns {{ aboutCompany: string, responsibilities: string, requiredQualifications: string,
+     *   preferredQualifications: string, benefits: string, applicationInstructions: string }}
+     */
+    function sectionJobDescription(text) {
+        const buckets = Object.fromEntries(SECTION_KEYS.map((key) => [key, []]));
+        let current = null;
+
+        for (const line of String(text || "").split("\n")) {
+            const heading = matchSectionHeading(line);
+            if (heading) {
+                current = heading.key;
+                if (current && heading.rest) buckets[current].push(heading.rest);
+                continue;
+            }
+            if (current && line.trim()) buckets[current].push(line.trim());
+        }
+
+        return Object.fromEntries(
+            SECTION_KEYS.map((key) => [key, buckets[key].join("\n").slice(0, 3000)])
+        );
     }
-    return "Not disclosed";
-}
+
+    /** A recognised section heading line, optionally followed by ": inline content". */
+    function matchSectionHeading(line) {
+        const heading = parseHeadingLine(line);
+        if (!heading) return null;
+        for (const [key, re] of SECTION_HEADINGS) {
+            if (re.test(heading.label)) return { key, rest: heading.rest };
+        }
+        const key = LOCALIZED_HEADINGS.get(heading.label);
+        return key ? { key, rest: heading.rest } : null;
+    }
+
+    /** A short line that reads as a heading → lower-cased label + inline rest. */
+    function parseHeadingLine(line) {
+        const cleaned = line.replace(/^[\s#*•·\-–>]+|[\s*#]+$/g, "");
+        if (!cleaned || cleaned.length > 120) return null;
+
+        const colon = cleaned.indexOf(":");
+        const label = (colon > 0 ? cleaned.slice(0, colon) : cleaned).trim().toLowerCase();
+        const rest = colon > 0 ? cleaned.slice(colon + 1).trim() : "";
+        // Without a colon only a short line can be a heading, not a sentence
+        if (label.length > 60 || (!rest && colon < 0 && label.split(/\s+/).length > 7)) return null;
+        if (colon < 0 && /[.!?]$/.test(label)) return null;
+        return { label, rest };
+    }
+
+    root.JobLensExtractor = {
+        SiteType,
+        setCustomAdapters,
+        detectSite,
+        extractJobData,
+        diagnoseAdapterPage,
+        buildJobDataFromText,
+        ensureJobDescription,
+        sectionJobDescription,
+        reduceJobDescription,
+        runAdapter,
+        testAdapter,
+        extractStructuredJobPosting,
+        mergeStructuredJobData,
+        htmlToText,
+        formatGigBudget,
+    };
+})(globalThis);
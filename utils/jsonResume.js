@@ -0,0 +1,225 @@
+/**
+ * JobLens AI – JSON Resume
+ * Maps between the JSON Resume schema (https://jsonresume.org/schema) and the
+ * parsed profile. An imported resume.json fills the parsed fields directly,
+ * with no regex guessing, and is rendered to plain text for analysis; a
+ * profile's structured fields (with the user's corrections) can be written
+ * back out as resume.json.
+ */
+
+import "./skillTaxonomy.js"; // classic script – publishes globalThis.JobLensSkills
+import "./experience.js"; // classic script – publishes globalThis.JobLensExperience
+
+export const JSON_RESUME_SCHEMA = "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Top-level keys of which at least one marks a document as JSON Resume
+const RESUME_KEYS = ["basics", "work", "education", "skills", "projects", "certificates"];
+// basics fields the parsed profile doesn't use, carried along for export
+const BASICS_EXTRAS = ["label", "image", "phone", "url", "summary", "location", "profiles"];
+// Joins a title and its detail in generated lines ("Acme CLI – Task runner")
+const DETAIL_SEPARATOR = " – ";
+
+/** A parsed JSON value that looks like a JSON Resume document. */
+export function isJsonResume(doc) {
+    return !!doc && typeof doc === "object" && !Array.isArray(doc)
+        && RESUME_KEYS.some((key) => doc[key] != null);
+}
+
+/**
+ * @param {object} doc  a JSON Resume document
+ * @returns {{ raw: string, parsed: import("./resumeParser.js").ParsedResume }}
+ */
+export function fromJsonResume(doc) {
+    const basics = doc.basics || {};
+    // Summaries and highlights ride along on the role so an export keeps them
+    const work = list(doc.work).map((job) => compact({
+        role: [job.position, job.name].map(text).filter(Boolean).join(", "),
+        start: monthDate(job.startDate),
+        end: job.endDate ? monthDate(job.endDate) : "Present",
+        summary: text(job.summary),
+        highlights: list(job.highlights).map(text).filter(Boolean),
+    })).filter((role) => role.start);
+    const history = JobLensExperience.computeRolesExperience(work);
+
+    const extras = Object.fromEntries(BASICS_EXTRAS.filter((key) => basics[key] != null).map((key) => [key, basics[key]]));
+    const parsed = {
+        name: text(basics.name),
+        email: text(basics.email),
+        skills: JobLensSkills.normalizeSkillList(skillNames(doc)),
+        education: list(doc.education).map(educationLine).filter(Boolean),
+        experienceYears: history.years,
+        experienceMonths: history.totalMonths,
+        work,
+        projects: list(doc.projects).map((p) => detailLine(p.name, p.description)).filter(Boolean),
+        certifications: list(doc.certificates).map(certificateLine).filter(Boolean),
+        basics: extras,
+        source: "jsonResume",
+    };
+    return { raw: renderText(doc, parsed), parsed };
+}
+
+/**
+ * A stored profile's structured fields as a JSON Resume document.
+ * @param {{ name: string, parsed: object, savedAt?: string }} profile
+ */
+export function toJsonResume(profile) {
+    const parsed = profile?.parsed || {};
+    const basics = compact({ name: parsed.name || "", email: parsed.email || "", ...(parsed.basics || {}) });
+
+    const groups = JobLensSkills.groupSkillsByCategory(parsed.skills || []);
+    const skills = Object.entries(groups).map(([category, ids]) => ({
+        name: JobLensSkills.CATEGORIES[category] || "Other",
+        keywords: ids.map(JobLensSkills.getSkillLabel),
+    }));
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics,
+        work: (parsed.work || []).map(({ role, start, end, summary, highlights }) => {
+            const [position, ...company] = String(role || "").split(", ");
+            return compact({
+                name: company.join(", "),
+                position,
+                startDate: isoDate(start),
+                endDate: /^present$/i.test(String(end || "").trim()) ? "" : isoDate(end),
+                summary,
+                highlights,
+            });
+        }),
+        education: (parsed.education || []).map(educationEntry),
+        skills,
+        projects: (parsed.projects || []).map((line) => {
+            const [name, description] = splitDetail(line);
+            return compact({ name, description });
+        }),
+        certificates: (parsed.certifications || []).map(certificateEntry),
+        meta: compact({ lastModified: profile?.savedAt || "" }),
+    };
+}
+
+// ─── Import helpers ───────────────────────────────────────────────────────────
+
+// Skill keywords are the skills; a group name counts too when it is a skill
+// itself ("Python") or has no keywords. Project keywords add to them.
+function skillNames(doc) {
+    const names = [];
+    for (const group of list(doc.skills)) {
+        const keywords = list(group.keywords).map(text).filter(Boolean);
+        const name = text(group.name);
+        if (name && (!keywords.length || JobLensSkills.isKnownSkill(JobLensSkills.normalizeSkill(name)))) names.push(name);
+        names.push(...keywords);
+    }
+    for (const project of list(doc.projects)) names.push(...list(project.keywords).map(text).filter(Boolean));
+    return names;
+}
+
+// "Bachelor in Computer Science, MIT 2014 - 2018" – the shape the regex parser reads back
+function educationLine(entry) {
+    const degree = [entry.studyType, entry.area].map(text).filter(Boolean).join(" in ");
+    const head = [degree, text(entry.institution)].filter(Boolean).join(", ");
+    const years = [entry.startDate, entry.endDate].map((d) => monthDate(d).slice(0, 4)).filter(Boolean).join(" - ");
+    return head && [head, years].filter(Boolean).join(" ");
+}
+
+// "AWS Certified Developer – Amazon (2022)"
+function certificateLine(cert) {
+    const year = text(cert.date).slice(0, 4);
+    const line = detailLine(cert.name, cert.issuer);
+    return line && (year ? `${line} (${year})` : line);
+}
+
+function detailLine(title, detail) {
+    return [text(title), text(detail).replace(/\s+/g, " ")].filter(Boolean).join(DETAIL_SEPARATOR);
+}
+
+/** Plain text laid out under the headings utils/resumeParser.js and utils/experience.js look for. */
+function renderText(doc, parsed) {
+    const basics = doc.basics || {};
+    const location = [basics.location?.city, basics.location?.region, basics.location?.countryCode].map(text).filter(Boolean).join(", ");
+    const contact = [basics.email, basics.phone, basics.url, location].map(text).filter(Boolean).join(" · ");
+    const sections = [[text(basics.name), text(basics.label), contact].filter(Boolean).join("\n")];
+    const section = (heading, lines) => {
+        if (lines.length) sections.push([heading, ...lines].join("\n"));
+    };
+
+    section("Summary", basics.summary ? [text(basics.summary)] : []);
+    section("Experience", list(doc.work).flatMap((job) => {
+        const role = [job.position, job.name].map(text).filter(Boolean).join(", ");
+        return [
+            [role, dateSpan(job.startDate, job.endDate, "Present")].filter(Boolean).join("  "),
+            ...(job.summary ? [text(job.summary)] : []),
+            ...list(job.highlights).map((h) => `- ${text(h)}`),
+        ];
+    }));
+    section("Education", parsed.education);
+    section("Skills", list(doc.skills).map((group) => {
+        const keywords = list(group.keywords).map(text).filter(Boolean);
+        return keywords.length ? keywords.join(", ") : text(group.name);
+    }).filter(Boolean));
+    section("Projects", parsed.projects.map((line) => `- ${line}`));
+    section("Certifications", parsed.certifications.map((line) => `- ${line}`));
+    section("Languages", list(doc.languages).map((l) => detailLine(l.language, l.fluency)).filter(Boolean));
+    return sections.filter(Boolean).join("\n\n");
+}
+
+// ─── Export helpers ───────────────────────────────────────────────────────────
+
+function educationEntry(line) {
+    const span = String(line).match(/\s*\b((?:19|20)\d{2})\s*(?:-|–)\s*((?:19|20)\d{2}|present)\b\s*$/i);
+    const rest = span ? line.slice(0, span.index) : String(line);
+    const comma = rest.lastIndexOf(", ");
+    // Free-text lines from the regex parser lead with the degree
+    const [degree, institution] = comma > 0 ? [rest.slice(0, comma), rest.slice(comma + 2)] : [rest, ""];
+    const [studyType, area] = degree.split(" in ");
+    return compact({
+        institution: institution.trim(),
+        area: area?.trim() || "",
+        studyType: studyType.trim(),
+        startDate: span?.[1] || "",
+        endDate: span && !/present/i.test(span[2]) ? span[2] : "",
+    });
+}
+
+function certificateEntry(line) {
+    const dated = String(line).match(/^(.*?)\s*\(((?:19|20)\d{2})\)$/);
+    const [name, issuer] = splitDetail(dated ? dated[1] : line);
+    return compact({ name, issuer, date: dated?.[2] || "" });
+}
+
+function splitDetail(line) {
+    const at = String(line).indexOf(DETAIL_SEPARATOR);
+    return at < 0 ? [String(line).trim(), ""] : [line.slice(0, at).trim(), line.slice(at + DETAIL_SEPARATOR.length).trim()];
+}
+
+// ─── Shared ───────────────────────────────────────────────────────────────────
+
+function list(value) {
+    return Array.isArray(value) ? value.filter((item) => item != null) : [];
+}
+
+function text(value) {
+    return typeof value === "string" ? value.trim() : "";
+}
+
+/** "2020-03-15" → "2020-03" (the editor's and experience.js's form); "2020" stays a year. */
+function monthDate(value) {
+    const m = text(value).match(/^((?:19|20)\d{2})(?:-(\d{2}))?/);
+    return m ? (m[2] ? `${m[1]}-${m[2]}` : m[1]) : "";
+}
+
+/** The schema's iso8601 pattern accepts YYYY, YYYY-MM and YYYY-MM-DD. */
+function isoDate(value) {
+    return /^[12]\d{3}(?:-[01]\d(?:-[0-3]\d)?)?$/.test(String(value || "").trim()) ? String(value).trim() : "";
+}
+
+function dateSpan(start, end, ongoing = "") {
+    const from = monthDate(start);
+    const to = end ? monthDate(end) : ongoing;
+    return from ? [from, to].filter(Boolean).join(" - ") : "";
+}
+
+// Drop empty fields – the schema types them as strings but renderers print blanks
+function compact(entry) {
+    return Object.fromEntries(Object.entries(entry).filter(([, value]) =>
+        value !== "" && value != null && !(Array.isArray(value) && !value.length)));
+}
@@ -0,0 +1,192 @@
+/**
+ * JobLens AI – Posting Language
+ * Guesses whether a posting or resume is English, German, French or Spanish
+ * from common function words, and holds the localised keyword sets the other
+ * parsers share: job-page detection phrases and job-description and resume
+ * section headings.
+ * The detected language travels with jobData to the backend, next to the
+ * language the user wants the analysis written in (Settings → Analysis Language).
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js and imported for its side effect by the resume parser and
+ * background.js. Published as globalThis.JobLensLanguage.
+ */
+
+(function (root) {
+    const LANGUAGES = { en: "English", de: "Deutsch", fr: "Français", es: "Español" };
+    const DEFAULT_LANGUAGE = "en";
+
+    // Frequent words that (mostly) belong to one language only – "la", "en" and
+    // "que" are shared by French and Spanish, so they are left out
+    const STOPWORDS = {
+        en: ["the", "and", "you", "with", "for", "our", "are", "will", "have", "this", "your", "we", "of", "to"],
+        de: ["und", "die", "der", "das", "mit", "für", "wir", "ist", "ein", "eine", "sie", "bei", "auf", "von", "den", "dem", "zu", "ihre", "oder", "nicht"],
+        fr: ["et", "les", "des", "vous", "pour", "une", "nous", "avec", "est", "dans", "sur", "votre", "du", "au", "aux", "qui"],
+        es: ["y", "el", "los", "las", "para", "con", "del", "por", "una", "nuestro", "nuestra", "sus", "como", "más"],
+    };
+    const STOPWORD_LOOKUP = new Map(
+        Object.entries(STOPWORDS).flatMap(([lang, words]) => words.map((w) => [w, lang]))
+    );
+    // Fewer hits than this and the text is too short to call
+    const MIN_HITS = 3;
+    const SAMPLE_CHARS = 5000;
+
+    // Phrases that mark a page as a job posting (generic career pages)
+    const JOB_KEYWORDS = {
+        en: [
+            "responsibilities",
+            "requirements",
+            "qualifications",
+            "about the role",
+            "about the job",
+            "job description",
+            "what you will do",
+            "what we're looking for",
+            "skills required",
+            "experience required",
+        ],
+        de: ["ihre aufgaben", "deine aufgaben", "ihr profil", "dein profil", "anforderungen", "qualifikationen", "wir bieten", "stellenbeschreibung"],
+        fr: ["vos missions", "profil recherché", "votre profil", "compétences requises", "description du poste", "responsabilités", "expérience requise"],
+        es: ["responsabilidades", "requisitos", "funciones", "descripción del puesto", "perfil buscado", "experiencia requerida", "ofrecemos"],
+    };
+
+    // Job-description section headings (lower-case, matched whole) per
+    // section, per language. The English forms are patterns in
+    // utils/jobExtractor.js, which also recognise "What you'll need" and the like.
+    const JOB_SECTIONS = {
+        responsibilities: {
+            de: ["ihre aufgaben", "deine aufgaben", "aufgaben", "ihr aufgabenbereich", "dein aufgabenbereich", "tätigkeiten", "das erwartet dich", "das erwartet sie", "was dich erwartet", "was sie erwartet", "deine rolle", "ihre rolle"],
+            fr: ["vos missions", "missions", "vos missions principales", "missions principales", "vos responsabilités", "responsabilités", "votre rôle", "le poste"],
+            es: ["responsabilidades", "tus responsabilidades", "funciones", "tus funciones", "principales funciones", "tareas", "qué harás", "tu rol"],
+        },
+        requiredQualifications: {
+            de: ["ihr profil", "dein profil", "profil", "anforderungen", "anforderungsprofil", "qualifikationen", "voraussetzungen", "das bringst du mit", "das bringen sie mit", "was du mitbringst", "was sie mitbringen"],
+            fr: ["profil recherché", "votre profil", "profil", "compétences requises", "prérequis", "qualifications", "exigences", "ce que nous recherchons"],
+            es: ["requisitos", "requisitos mínimos", "perfil buscado", "perfil", "qué buscamos", "buscamos", "experiencia requerida"],
+        },
+        preferredQualifications: {
+            de: ["wünschenswert", "von vorteil", "idealerweise", "pluspunkte"],
+            fr: ["atouts", "un plus", "serait un plus", "compétences appréciées", "les plus"],
+            es: ["deseable", "requisitos deseables", "valorable", "se valorará", "será un plus"],
+        },
+        benefits: {
+            de: ["wir bieten", "was wir bieten", "das bieten wir", "unser angebot", "deine vorteile", "ihre vorteile"],
+            fr: ["nous offrons", "ce que nous offrons", "avantages", "nos avantages", "pourquoi nous rejoindre"],
+            es: ["ofrecemos", "te ofrecemos", "qué ofrecemos", "beneficios"],
+        },
+        applicationInstructions: {
+            de: ["bewerbung", "bewerbungsprozess", "so bewirbst du dich", "so bewerben sie sich"],
+            fr: ["comment postuler", "candidature", "processus de recrutement"],
+            es: ["cómo aplicar", "cómo postular", "proceso de selección"],
+        },
+        aboutCompany: {
+            de: ["über uns", "wer wir sind", "das unternehmen", "unternehmen"],
+            fr: ["qui sommes-nous", "à propos de nous", "l'entreprise", "notre entreprise"],
+            es: ["sobre nosotros", "quiénes somos", "la empresa", "acerca de nosotros"],
+        },
+    };
+
+    // Resume section headings (lower-case) per section, per language
+    const RESUME_SECTIONS = {
+        skills: {
+            en: ["skills", "technical skills", "core competencies", "technologies", "tech stack", "tools", "competencies"],
+            de: ["kenntnisse", "fähigkeiten", "fachkenntnisse", "it-kenntnisse", "technische kenntnisse", "kompetenzen"],
+            fr: ["compétences", "compétences techniques", "outils", "technologies"],
+            es: ["habilidades", "competencias", "conocimientos", "conocimientos técnicos", "aptitudes", "herramientas"],
+        },
+        education: {
+            en: ["education", "academic", "degree", "qualification"],
+            de: ["ausbildung", "bildung", "bildungsweg", "studium"],
+            fr: ["formation", "études", "diplômes", "parcours académique"],
+            es: ["educación", "formación", "formación académica", "estudios"],
+        },
+        projects: {
+            en: ["projects", "personal projects", "side projects", "portfolio"],
+            de: ["projekte", "persönliche projekte"],
+            fr: ["projets", "projets personnels"],
+            es: ["proyectos", "proyectos personales"],
+        },
+        certifications: {
+            en: ["certifications", "certificates", "courses", "achievements", "awards"],
+            de: ["zertifikate", "zertifizierungen", "weiterbildung", "auszeichnungen"],
+            fr: ["certifications", "certificats", "prix", "distinctions"],
+            es: ["certificaciones", "certificados", "cursos", "logros", "premios"],
+        },
+    };
+
+    // Headings that end the previous section (a subset – "tools:" inside a
+    // skills section must not end it)
+    const RESUME_SECTION_ANCHORS = {
+        en: [
+            "experience", "work experience", "employment", "education", "skills",
+            "technical skills", "projects", "certifications", "achievements",
+            "summary", "objective", "contact", "references", "publications", "languages",
+        ],
+        de: [
+            "berufserfahrung", "erfahrung", "beruflicher werdegang", "ausbildung", "studium",
+            "kenntnisse", "fähigkeiten", "projekte", "zertifikate", "profil", "kontakt",
+            "sprachen", "sprachkenntnisse", "interessen", "referenzen",
+        ],
+        fr: [
+            "expérience", "expérience professionnelle", "expériences professionnelles", "formation",
+            "compétences", "projets", "certifications", "profil", "contact", "langues",
+            "centres d'intérêt", "références",
+        ],
+        es: [
+            "experiencia", "experiencia laboral", "experiencia profesional", "educación", "formación",
+            "habilidades", "conocimientos", "proyectos", "certificaciones", "perfil", "contacto",
+            "idiomas", "intereses", "referencias",
+        ],
+    };
+
+    /**
+     * @param {string} text
+     * @returns {"en"|"de"|"fr"|"es"|""}  "" when the text is too short to tell
+     */
+    function detectLanguage(text) {
+        const words = String(text || "").slice(0, SAMPLE_CHARS).toLowerCase().match(/\p{L}+/gu) || [];
+        const hits = { en: 0, de: 0, fr: 0, es: 0 };
+        for (const word of words) {
+            const lang = STOPWORD_LOOKUP.get(word);
+            if (lang) hits[lang]++;
+        }
+        const [best, count] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+        return count >= MIN_HITS ? best : "";
+    }
+
+    function hasJobKeywords(text) {
+        const lower = String(text || "").toLowerCase();
+        return Object.values(JOB_KEYWORDS).some((list) => list.some((kw) => lower.includes(kw)));
+    }
+
+    /** Headings for one job-description section in German, French and Spanish. */
+    function jobSectionHeadings(section) {
+        return [...new Set(Object.values(JOB_SECTIONS[section] || {}).flat())];
+    }
+
+    /** Headings for one resume section in every supported language. */
+    function resumeHeadings(section) {
+        return [...new Set(Object.values(RESUME_SECTIONS[section] || {}).flat())];
+    }
+
+    function resumeSectionAnchors() {
+        return [...new Set(Object.values(RESUME_SECTION_ANCHORS).flat())];
+    }
+
+    /** Settings → Analysis Language; "" follows the browser's UI language. */
+    function resolveUiLanguage(preference, browserLanguage = "") {
+        const code = String(preference || browserLanguage || "").toLowerCase().split(/[-_]/)[0];
+        return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    }
+
+    root.JobLensLanguage = {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        detectLanguage,
+        hasJobKeywords,
+        jobSectionHeadings,
+        resumeHeadings,
+        resumeSectionAnchors,
+        resolveUiLanguage,
+    };
+})(globalThis);
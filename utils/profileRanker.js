@@ -0,0 +1,136 @@
+/**
+ * JobLens AI – Resume Profile Ranking
+ * Scores every stored resume profile against the detected job, locally and
+ * before any backend call, so the popup can preselect the best one and say
+ * why ("Backend CV covers 9/12 required skills vs 6/12 for Fullstack CV").
+ * Signals: required-skill coverage (taxonomy ids, as in the overlay's skill
+ * gaps), the experience fit from utils/experience.js and how close the
+ * profile's name and resume headline are to the job title.
+ *
+ * Classic script (see utils/siteAdapters.js): imported for its side effect by
+ * popup.js after skillTaxonomy.js, experience.js and fingerprint.js.
+ * Published as globalThis.JobLensProfileRanker.
+ */
+
+(function (root) {
+    const Skills = root.JobLensSkills;
+    const Experience = root.JobLensExperience;
+    const Fingerprint = root.JobLensFingerprint;
+
+    // Skills decide most rankings; experience and title break near-ties
+    const WEIGHTS = { skills: 0.6, experience: 0.25, title: 0.15 };
+    const EXPERIENCE_SCORES = { within: 1, over: 0.7, under: 0.3 };
+    // No skills or no experience band in the posting – neither profile gains
+    const NEUTRAL_SCORE = 0.5;
+    // Lines from the top of a resume searched for a headline ("Senior Backend Engineer")
+    const HEADLINE_LINES = 4;
+    // Words that say nothing about the kind of role
+    const TITLE_NOISE = new Set(["senior", "junior", "lead", "principal", "staff", "intern", "cv", "resume", "profile", "i", "ii", "iii"]);
+
+    /**
+     * @typedef {{
+     *   profile: object,
+     *   score: number,
+     *   skills: { matched: string[], required: string[] },
+     *   experience: { status: "within"|"over"|"under"|null, years: number },
+     *   title: number
+     * }} ProfileRank
+     */
+
+    /**
+     * @param {object[]} profiles  resume profiles holding a resume (raw + parsed)
+     * @param {object} jobData  enriched jobData (skills, sections, experienceRange)
+     * @returns {ProfileRank[]}  best first; ties keep the given order
+     */
+    function rankProfiles(profiles, jobData) {
+        const required = requiredSkills(jobData);
+        return (profiles || [])
+            .map((profile, index) => ({ ...scoreProfile(profile, jobData, required), index }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(({ index, ...rank }) => rank);
+    }
+
+    function scoreProfile(profile, jobData, required) {
+        const have = new Set(Skills.normalizeSkillList([
+            ...(profile.parsed?.skills || []),
+            ...Skills.extractSkills(profile.raw || ""),
+        ]));
+        const matched = required.filter((s) => have.has(s));
+
+        const { years } = Experience.computeProfileExperience(profile);
+        const fit = Experience.assessFit(jobData.experienceRange, years);
+
+        const title = titleScore(profile, jobData.title);
+        const score =
+            WEIGHTS.skills * (required.length ? matched.length / required.length : NEUTRAL_SCORE) +
+            WEIGHTS.experience * (fit ? EXPERIENCE_SCORES[fit.status] : NEUTRAL_SCORE) +
+            WEIGHTS.title * title;
+
+        return {
+            profile,
+            score: Math.round(score * 1000) / 1000,
+            skills: { matched, required },
+            experience: { status: fit?.status || null, years },
+            title,
+        };
+    }
+
+    /**
+     * The posting's skills minus those it only lists as nice-to-have; all of
+     * them when that would leave nothing.
+     */
+    function requiredSkills(jobData) {
+        const all = jobData?.skills || [];
+        const sections = jobData?.sections || {};
+        if (!sections.preferredQualifications) return all;
+        const preferred = new Set(Skills.extractSkills(sections.preferredQualifications));
+        const required = new Set(Skills.extractSkills(sections.requiredQualifications || ""));
+        const filtered = all.filter((s) => !preferred.has(s) || required.has(s));
+        return filtered.length ? filtered : all;
+    }
+
+    /** Share of the job title's role words found in the profile name or resume headline. */
+    function titleScore(profile, jobTitle) {
+        const wanted = titleWords(jobTitle);
+        if (!wanted.length) return 0;
+        const headline = String(profile.raw || "").split("\n").map((l) => l.trim()).filter(Boolean)
+            .slice(0, HEADLINE_LINES).join(" ");
+        const have = new Set([...titleWords(profile.name), ...titleWords(headline)]);
+        return wanted.filter((w) => have.has(w)).length / wanted.length;
+    }
+
+    function titleWords(text) {
+        return [...new Set(Fingerprint.normalizeTitle(text).split(" ").filter((w) => w && !TITLE_NOISE.has(w)))];
+    }
+
+    /**
+     * One sentence on why the top profile won, against the runner-up.
+     * @param {ProfileRank[]} ranking
+     * @returns {string}  "" with fewer than two profiles
+     */
+    function explainRanking(ranking) {
+        const [best, next] = ranking || [];
+        if (!best || !next) return "";
+        const name = (rank) => rank.profile.name;
+
+        const total = best.skills.required.length;
+        const [mine, theirs] = [best.skills.matched.length, next.skills.matched.length];
+        if (total && mine > theirs) {
+            return `${name(best)} covers ${mine}/${total} required skills vs ${theirs}/${total} for ${name(next)}`;
+        }
+        if (best.experience.status !== next.experience.status && best.experience.status === "within") {
+            return `${name(best)} fits the experience asked for (${best.experience.years} yrs); ${name(next)} is ${next.experience.status === "under" ? "under" : "over"}-qualified`;
+        }
+        if (best.title > next.title) {
+            return `${name(best)} is closest to the job title`;
+        }
+        return total && mine === theirs
+            ? `${name(best)} and ${name(next)} both cover ${mine}/${total} required skills`
+            : "";
+    }
+
+    root.JobLensProfileRanker = {
+        rankProfiles,
+        explainRanking,
+    };
+})(globalThis);
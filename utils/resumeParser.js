@@ -3,13 +3,22 @@
  * Parses PDF, DOCX, and plain text resumes.
  * PDF: uses pdf.js CDN (loaded via content script)
  * DOCX: uses mammoth.js CDN
+ * JSON Resume (resume.json): mapped field by field (utils/jsonResume.js)
  * All processing is client-side only.
  */
 
+import "./skillTaxonomy.js"; // classic script – publishes globalThis.JobLensSkills
+import "./experience.js"; // classic script – publishes globalThis.JobLensExperience
+import "./language.js"; // classic script – publishes globalThis.JobLensLanguage
+import { isJsonResume, fromJsonResume } from "./jsonResume.js";
+
 // ─── Entry Point ─────────────────────────────────────────────────────────────
 
 /**
- * Parse a resume from a File object or raw text.
+ * Parse a resume from a File object or raw text. A .json file – or pasted
+ * text – in the JSON Resume schema skips the regex extraction; its `raw` is
+ * generated from the document. Pasted JSON that maps to a nearly empty resume
+ * is parsed as plain text, under the same length check.
  * @param {File|string} input
  * @returns {Promise<{ raw: string, parsed: ParsedResume }>}
  */
@@ -18,7 +27,14 @@ export async function parseResume(input) {
 
     if (typeof input === "string") {
         rawText = input.trim();
+        if (rawText.startsWith("{")) {
+            // A bare '{"skills": []}' maps to next to nothing – parse it as text
+            const doc = parseJson(rawText);
+            const resume = isJsonResume(doc) && fromJsonResume(doc);
+            if (resume && resume.raw.length >= 50) return resume;
+        }
     } else if (input instanceof File) {
+        if (input.name.split(".").pop().toLowerCase() === "json") return parseJsonResumeFile(input);
         rawText = await extractTextFromFile(input);
     } else {
         throw new Error("Invalid input: must be File or string");
@@ -44,7 +60,28 @@ async function extractTextFromFile(file) {
     } else if (ext === "txt") {
         return file.text();
     } else {
-        throw new Error(`Unsupported file type: .${ext}. Use PDF, DOCX, or TXT.`);
+        throw new Error(`Unsupported file type: .${ext}. Use PDF, DOCX, TXT, or a JSON Resume (.json).`);
+    }
+}
+
+async function parseJsonResumeFile(file) {
+    const doc = parseJson(await file.text());
+    if (!doc) throw new Error("This .json file isn't valid JSON.");
+    if (!isJsonResume(doc)) {
+        throw new Error("This .json file isn't a JSON Resume (no basics, work, education or skills).");
+    }
+    const resume = fromJsonResume(doc);
+    if (resume.raw.length < 50) {
+        throw new Error("This JSON Resume is nearly empty. Add your work history or skills first.");
+    }
+    return resume;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        return null;
     }
 }
 
@@ -111,20 +148,31 @@ async function extractDocxText(file) {
  *   skills: string[],
  *   education: string[],
  *   experienceYears: number,
+ *   experienceMonths: number,
  *   projects: string[],
  *   certifications: string[],
+ *   work: { role: string, start: string, end: string }[],
  *   email: string,
- *   name: string
+ *   name: string,
+ *   basics?: object,
+ *   source?: "jsonResume"
  * }} ParsedResume
  */
 
-function extractResumeFields(text) {
+/**
+ * The regex parse of a resume's text. Exported for the Resume Manager, which
+ * re-parses the stored text to tell the user's corrections from it.
+ * @param {string} text
+ * @returns {ParsedResume}
+ */
+export function extractResumeFields(text) {
     return {
         name: extractName(text),
         email: extractEmail(text),
         skills: extractSkills(text),
         education: extractEducation(text),
-        experienceYears: extractExperienceYears(text),
+        ...extractExperience(text),
+        work: JobLensExperience.listResumeRoles(text),
         projects: extractProjects(text),
         certifications: extractCertifications(text),
     };
@@ -137,7 +185,7 @@ function extractName(text) {
         // Skip lines that look like contact info or sections
         if (/[@|linkedin|github|phone|mobile|\d{10}]/i.test(line)) continue;
         if (line.length > 50 || line.length < 2) continue;
-        if (/^(resume|curriculum|cv|objective|summary)/i.test(line)) continue;
+        if (/^(resume|curriculum|cv|objective|summary|lebenslauf|profil|perfil)/i.test(line)) continue;
         return line;
     }
     return "";
@@ -150,58 +198,26 @@ function extractEmail(text) {
 
 function extractSkills(text) {
     // Find skills section
-    const sectionText = extractSection(text, [
-        "skills",
-        "technical skills",
-        "core competencies",
-        "technologies",
-        "tech stack",
-        "tools",
-        "competencies",
-    ]);
-
-    const rawText = sectionText || text;
-    const skills = new Set();
-
-    // Common tech skills to scan for
-    const techPatterns = [
-        // Languages
-        /\b(python|javascript|typescript|java|c\+\+|c#|ruby|go|rust|scala|php|swift|kotlin|r|matlab|bash|shell)\b/gi,
-        // Web/Frontend
-        /\b(react(?:\.js)?|vue(?:\.js)?|angular|next(?:\.js)?|nuxt|svelte|html5?|css3?|sass|less|tailwind|bootstrap|jquery|webpack|vite)\b/gi,
-        // Backend
-        /\b(node(?:\.js)?|express(?:\.js)?|django|flask|fastapi|spring|laravel|rails|asp\.net|graphql|rest|restful)\b/gi,
-        // Databases
-        /\b(mysql|postgresql|postgres|mongodb|redis|elasticsearch|sqlite|cassandra|dynamodb|firebase|supabase|prisma)\b/gi,
-        // Cloud/DevOps
-        /\b(aws|gcp|azure|docker|kubernetes|k8s|ci\/cd|jenkins|github actions|terraform|ansible|linux|nginx|apache)\b/gi,
-        // ML/AI
-        /\b(tensorflow|pytorch|scikit-learn|pandas|numpy|keras|hugging face|llm|nlp|machine learning|deep learning|data science)\b/gi,
-        // Tools
-        /\b(git|github|gitlab|jira|confluence|figma|postman|swagger|vs code|intellij|vim)\b/gi,
-    ];
+    const sectionText = extractSection(text, JobLensLanguage.resumeHeadings("skills"));
 
-    for (const pattern of techPatterns) {
-        const matches = rawText.matchAll(pattern);
-        for (const m of matches) {
-            skills.add(m[0].toLowerCase().trim());
-        }
-    }
+    // Known skills anywhere in the resume, as canonical taxonomy ids
+    const skills = new Set(JobLensSkills.extractSkills(text));
 
-    // Also extract comma/bullet separated items from skills section
+    // Also keep comma/bullet separated items from the skills section, normalised
+    // so "ReactJS" and "react" collapse to one entry
     if (sectionText) {
         sectionText
             .split(/[,\n\|•·▪◦\t]/)
-            .map((s) => s.replace(/[^\w\s.#+]/g, "").trim())
+            .map((s) => s.replace(/[^\w\s.#+/-]/g, "").trim())
             .filter((s) => s.length > 1 && s.length < 40)
-            .forEach((s) => skills.add(s.toLowerCase()));
+            .forEach((s) => skills.add(JobLensSkills.normalizeSkill(s)));
     }
 
-    return [...skills].filter((s) => s.trim().length > 1).slice(0, 60);
+    return [...skills].filter((s) => s.trim().length > 1 || JobLensSkills.isKnownSkill(s)).slice(0, 60);
 }
 
 function extractEducation(text) {
-    const sectionText = extractSection(text, ["education", "academic", "degree", "qualification"]);
+    const sectionText = extractSection(text, JobLensLanguage.resumeHeadings("education"));
     if (!sectionText) return [];
 
     return sectionText
@@ -210,36 +226,36 @@ function extractEducation(text) {
         .filter((l) => l.length > 5 && l.length < 200)
         .filter((l) =>
             /(b\.?tech|m\.?tech|b\.?e|m\.?e|b\.?sc|m\.?sc|bca|mca|bachelor|master|phd|diploma|engineering|computer science|information technology|\d{4})/i.test(l)
+            || /(diplom|studium|promotion|licence|ingénieur|doctorat|grado|licenciatura|máster|doctorado|informatik|informatique|informática)/i.test(l)
         )
         .slice(0, 5);
 }
 
-function extractExperienceYears(text) {
+function extractExperience(text) {
+    // Dated roles in the work history, month-accurate with overlaps merged
+    const history = JobLensExperience.computeResumeExperience(text);
+    if (history.totalMonths > 0) {
+        return { experienceYears: history.years, experienceMonths: history.totalMonths };
+    }
+
+    // No usable dates – fall back to a stated "N years of experience"
     const patterns = [
         /(\d+\.?\d*)\+?\s*years?\s+(?:of\s+)?(?:experience|exp|work)/i,
         /experience[:\s]+(\d+\.?\d*)\+?\s*years?/i,
-        // Infer from date ranges in work history
+        /(\d+\.?\d*)\+?\s*(?:jahre?n?\s+(?:berufs)?erfahrung|ans?\s+d['’]\s*expérience|años?\s+de\s+experiencia)/i,
     ];
     for (const re of patterns) {
         const m = text.match(re);
-        if (m) return parseFloat(m[1]);
-    }
-
-    // Try to infer from consecutive year ranges
-    const yearMatches = text.matchAll(/\b(20\d{2})\s*[-–]\s*(20\d{2}|present|current)\b/gi);
-    let totalMonths = 0;
-    for (const m of yearMatches) {
-        const start = parseInt(m[1]);
-        const end = m[2].match(/present|current/i) ? new Date().getFullYear() : parseInt(m[2]);
-        totalMonths += (end - start) * 12;
+        if (m) {
+            const years = parseFloat(m[1]);
+            return { experienceYears: years, experienceMonths: Math.round(years * 12) };
+        }
     }
-    if (totalMonths > 0) return Math.round(totalMonths / 12);
-
-    return 0;
+    return { experienceYears: 0, experienceMonths: 0 };
 }
 
 function extractProjects(text) {
-    const sectionText = extractSection(text, ["projects", "personal projects", "side projects", "portfolio"]);
+    const sectionText = extractSection(text, JobLensLanguage.resumeHeadings("projects"));
     if (!sectionText) return [];
 
     // Extract project names (typically bold or first word of line after a bullet)
@@ -251,13 +267,7 @@ function extractProjects(text) {
 }
 
 function extractCertifications(text) {
-    const sectionText = extractSection(text, [
-        "certifications",
-        "certificates",
-        "courses",
-        "achievements",
-        "awards",
-    ]);
+    const sectionText = extractSection(text, JobLensLanguage.resumeHeadings("certifications"));
     if (!sectionText) return [];
 
     return sectionText
@@ -274,12 +284,8 @@ function extractSection(text, headings) {
     let inSection = false;
     const sectionLines = [];
 
-    // Common next-section anchors
-    const allSectionHeaders = [
-        "experience", "work experience", "employment", "education", "skills",
-        "technical skills", "projects", "certifications", "achievements",
-        "summary", "objective", "contact", "references", "publications", "languages",
-    ];
+    // Common next-section anchors, in every supported language (utils/language.js)
+    const allSectionHeaders = JobLensLanguage.resumeSectionAnchors();
 
     for (let i = 0; i < lines.length; i++) {
         const lower = lines[i].toLowerCase().trim();
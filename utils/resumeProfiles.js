@@ -0,0 +1,325 @@
+/**
+ * JobLens AI – Resume Profiles
+ * Named resumes ("Backend", "Data Engineering", …) kept side by side so each
+ * job can be analysed against the one that fits it. Profiles live under
+ * chrome.storage.local "resumeProfiles" as { activeId, profiles }; the active
+ * profile is mirrored to the older "resume" key, which content.js reads for
+ * skill badges and experience fit and which is what the pickers default to.
+ * Every save is kept as a version (newest MAX_VERSIONS per profile) so an
+ * edit can be compared, undone, and traced from the analyses scored against it.
+ * Fixes the user makes to the parsed fields are kept per profile and laid
+ * over every later parse of its resume: versions hold the parser's output,
+ * the profile's `parsed` the corrected view of its current version.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by options.html and
+ * imported for its side effect by apiClient.js.
+ * Published as globalThis.JobLensResumeProfiles.
+ */
+
+(function (root) {
+    const STORAGE_KEY = "resumeProfiles";
+    const DEFAULT_NAME = "Default";
+    const MAX_NAME_LENGTH = 40;
+    const MAX_VERSIONS = 20;
+    const DEFAULT_VERSION_LABEL = "Saved";
+    const LEGACY_VERSION_ID = "rv_legacy";
+    // Parsed lists a correction replaces outright (skills are adjusted instead)
+    const LIST_FIELDS = ["education", "projects", "certifications"];
+
+    /**
+     * @typedef {{ id: string, label: string, raw: string, parsed: object|null, savedAt: string }} ResumeVersion
+     * @typedef {{ name?: string, email?: string, skills?: { added: string[], removed: string[] },
+     *             education?: string[], projects?: string[], certifications?: string[],
+     *             work?: { role: string, start: string, end: string }[], experienceMonths?: number }} ResumeCorrections
+     * @typedef {{ id: string, name: string, raw: string, parsed: object|null, savedAt: string,
+     *             versionId: string|null, versions: ResumeVersion[], corrections?: ResumeCorrections|null }} ResumeProfile
+     * @typedef {{ activeId: string|null, profiles: ResumeProfile[] }} ProfileState
+     */
+
+    /**
+     * All profiles. A resume saved before profiles existed becomes "Default".
+     * @returns {Promise<ProfileState>}
+     */
+    async function loadProfiles() {
+        const data = await chrome.storage.local.get([STORAGE_KEY, "resume"]);
+        if (data[STORAGE_KEY]) return data[STORAGE_KEY];
+
+        if (!data.resume?.raw) return { activeId: null, profiles: [] };
+        const profile = makeProfile(DEFAULT_NAME, data.resume);
+        return writeProfiles({ activeId: profile.id, profiles: [profile] });
+    }
+
+    /**
+     * @param {string} [id]  omitted → the active profile
+     * @returns {Promise<ResumeProfile|null>}
+     */
+    async function getProfile(id) {
+        const { activeId, profiles } = await loadProfiles();
+        return profiles.find((p) => p.id === (id || activeId)) || null;
+    }
+
+    /**
+     * Replace a profile's resume text, keeping the previous text as a version;
+     * without an id the active profile is updated, or a "Default" one created
+     * when there is none yet. Saving empty text clears the profile but keeps
+     * its versions. The profile's corrections are laid over `parsed`.
+     * @param {string} [label]  version label ("Uploaded cv.pdf", "Tailored for fintech")
+     * @returns {Promise<ResumeProfile>}
+     */
+    async function saveProfileResume(id, raw, parsed, label) {
+        const state = await loadProfiles();
+        const target = state.profiles.find((p) => p.id === (id || state.activeId));
+        if (!target) return createProfile(DEFAULT_NAME, { raw, parsed, label });
+
+        const updated = raw?.trim()
+            ? addVersion(target, raw, parsed, label)
+            : { ...target, raw: "", parsed: null, versionId: null, savedAt: new Date().toISOString() };
+        await writeProfiles(replace(state, updated));
+        return updated;
+    }
+
+    /**
+     * Keep the user's fixes to a profile's parsed fields and re-apply them to
+     * its current parse; null corrections go back to the plain parse.
+     * @param {ResumeCorrections|null} corrections
+     * @param {object} baseParsed  the uncorrected parse of the profile's current text
+     * @returns {Promise<ResumeProfile>}
+     */
+    async function saveProfileCorrections(id, corrections, baseParsed) {
+        const state = await loadProfiles();
+        const target = state.profiles.find((p) => p.id === (id || state.activeId));
+        if (!target?.raw?.trim()) throw new Error("Save a resume to this profile first.");
+
+        const parsed = applyCorrections(baseParsed, corrections);
+        const versions = versionsOf(target);
+        const currentId = target.versions ? target.versionId : LEGACY_VERSION_ID;
+        const updated = {
+            ...target,
+            parsed,
+            corrections: corrections || null,
+            versionId: currentId,
+            versions: versions.map((v) => (v.id === currentId ? { ...v, parsed: baseParsed || null } : v)),
+        };
+        await writeProfiles(replace(state, updated));
+        return updated;
+    }
+
+    /**
+     * A parse with the user's corrections over it: a typed name or email and
+     * edited lists replace what the regexes found, skills lose the removed
+     * ones and gain the added ones, and an edited work history replaces the
+     * dated roles along with the experience measured from them
+     * (workCorrected tells utils/experience.js to trust it over the text).
+     * Applying the same corrections twice changes nothing.
+     * @param {object|null} parsed
+     * @param {ResumeCorrections|null} [corrections]
+     */
+    function applyCorrections(parsed, corrections) {
+        if (!parsed || !corrections) return parsed || null;
+        const out = { ...parsed };
+        for (const key of ["name", "email"]) {
+            if (typeof corrections[key] === "string") out[key] = corrections[key];
+        }
+        for (const key of LIST_FIELDS) {
+            if (Array.isArray(corrections[key])) out[key] = [...corrections[key]];
+        }
+        if (corrections.skills) {
+            const removed = new Set(corrections.skills.removed || []);
+            out.skills = [...new Set([
+                ...(parsed.skills || []).filter((s) => !removed.has(s)),
+                ...(corrections.skills.added || []),
+            ])];
+        }
+        if (Array.isArray(corrections.work)) {
+            const months = corrections.experienceMonths || 0;
+            out.work = corrections.work.map((role) => ({ ...role }));
+            out.experienceMonths = months;
+            out.experienceYears = Math.round((months / 12) * 10) / 10;
+            out.workCorrected = true;
+        }
+        return out;
+    }
+
+    /** @returns {Promise<ResumeVersion|null>} */
+    async function getVersion(profileId, versionId) {
+        const profile = await getProfile(profileId);
+        return versionsOf(profile).find((v) => v.id === versionId) || null;
+    }
+
+    /** Make an earlier version current again – as a new version, so nothing is lost. */
+    async function restoreVersion(profileId, versionId) {
+        const version = await getVersion(profileId, versionId);
+        if (!version) throw new Error("Resume version not found.");
+        return saveProfileResume(profileId, version.raw, version.parsed, `Restored “${version.label}”`);
+    }
+
+    /**
+     * @param {string} name
+     * @param {{ raw?: string, parsed?: object }} [resume]
+     * @returns {Promise<ResumeProfile>}  the new profile, which becomes active
+     */
+    async function createProfile(name, resume = {}) {
+        const state = await loadProfiles();
+        const profile = makeProfile(uniqueName(state.profiles, name), resume);
+        await writeProfiles({ activeId: profile.id, profiles: [...state.profiles, profile] });
+        return profile;
+    }
+
+    async function renameProfile(id, name) {
+        const state = await loadProfiles();
+        const target = state.profiles.find((p) => p.id === id);
+        if (!target) throw new Error("Resume profile not found.");
+        const others = state.profiles.filter((p) => p.id !== id);
+        const renamed = { ...target, name: uniqueName(others, name) };
+        await writeProfiles(replace(state, renamed));
+        return renamed;
+    }
+
+    async function duplicateProfile(id) {
+        const source = await getProfile(id);
+        if (!source) throw new Error("Resume profile not found.");
+        const current = versionsOf(source).find((v) => v.id === (source.versions ? source.versionId : LEGACY_VERSION_ID));
+        return createProfile(`${source.name} (copy)`, {
+            ...source,
+            parsed: current ? current.parsed : source.parsed,
+            label: `Copied from “${source.name}”`,
+        });
+    }
+
+    /** Deleting the active profile makes the first remaining one active. */
+    async function deleteProfile(id) {
+        const state = await loadProfiles();
+        const profiles = state.profiles.filter((p) => p.id !== id);
+        const activeId = state.activeId === id ? profiles[0]?.id || null : state.activeId;
+        return writeProfiles({ activeId, profiles });
+    }
+
+    async function setActiveProfile(id) {
+        const state = await loadProfiles();
+        if (!state.profiles.some((p) => p.id === id)) throw new Error("Resume profile not found.");
+        return writeProfiles({ ...state, activeId: id });
+    }
+
+    /** Profiles that hold a resume – the ones a picker can offer. */
+    function usableProfiles(state) {
+        return (state?.profiles || []).filter((p) => p.raw?.trim());
+    }
+
+    // ─── Storage ──────────────────────────────────────────────────────────────
+
+    async function writeProfiles(state) {
+        const active = state.profiles.find((p) => p.id === state.activeId);
+        if (!active?.raw) {
+            await chrome.storage.local.remove(["resume"]);
+            await chrome.storage.local.set({ [STORAGE_KEY]: state });
+            return state;
+        }
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: state,
+            resume: {
+                raw: active.raw,
+                parsed: active.parsed,
+                savedAt: active.savedAt,
+                profileId: active.id,
+                profileName: active.name,
+                profileVersionId: active.versionId || null,
+            },
+        });
+        return state;
+    }
+
+    function replace(state, profile) {
+        return { ...state, profiles: state.profiles.map((p) => (p.id === profile.id ? profile : p)) };
+    }
+
+    function makeProfile(name, resume = {}) {
+        const profile = {
+            id: makeId("rp"),
+            name,
+            raw: "",
+            parsed: null,
+            savedAt: resume.savedAt || new Date().toISOString(),
+            versionId: null,
+            versions: [],
+            corrections: resume.corrections || null,
+        };
+        return resume.raw?.trim() ? addVersion(profile, resume.raw, resume.parsed, resume.label, profile.savedAt) : profile;
+    }
+
+    /**
+     * The profile with `raw` as its current text; unchanged text only
+     * refreshes the parse. `parsed` is the parser's output – the version keeps
+     * it as is and the profile gets it with its corrections applied.
+     */
+    function addVersion(profile, raw, parsed, label, savedAt = new Date().toISOString()) {
+        const versions = versionsOf(profile);
+        const currentId = profile.versions ? profile.versionId : LEGACY_VERSION_ID;
+        const current = versions.find((v) => v.id === currentId);
+        if (current && current.raw === raw) {
+            const refreshed = { ...current, parsed: parsed || null };
+            return {
+                ...profile,
+                raw,
+                parsed: applyCorrections(refreshed.parsed, profile.corrections),
+                versionId: current.id,
+                versions: versions.map((v) => (v.id === current.id ? refreshed : v)),
+            };
+        }
+
+        const version = {
+            id: makeId("rv"),
+            label: String(label || "").trim() || DEFAULT_VERSION_LABEL,
+            raw,
+            parsed: parsed || null,
+            savedAt,
+        };
+        return {
+            ...profile,
+            raw,
+            parsed: applyCorrections(version.parsed, profile.corrections),
+            savedAt,
+            versionId: version.id,
+            versions: [...versions, version].slice(-MAX_VERSIONS),
+        };
+    }
+
+    /** Versions oldest first; profiles saved before versioning count their text as one. */
+    function versionsOf(profile) {
+        if (!profile) return [];
+        if (profile.versions) return profile.versions;
+        return profile.raw?.trim()
+            ? [{ id: LEGACY_VERSION_ID, label: DEFAULT_VERSION_LABEL, raw: profile.raw, parsed: profile.parsed, savedAt: profile.savedAt }]
+            : [];
+    }
+
+    function makeId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /** "Backend" → "Backend (2)" when taken; blank names fall back to "Default". */
+    function uniqueName(profiles, name) {
+        const base = String(name || "").trim().slice(0, MAX_NAME_LENGTH) || DEFAULT_NAME;
+        const taken = new Set(profiles.map((p) => p.name.toLowerCase()));
+        let candidate = base;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})`;
+        return candidate;
+    }
+
+    root.JobLensResumeProfiles = {
+        STORAGE_KEY,
+        loadProfiles,
+        getProfile,
+        saveProfileResume,
+        saveProfileCorrections,
+        applyCorrections,
+        createProfile,
+        renameProfile,
+        duplicateProfile,
+        deleteProfile,
+        setActiveProfile,
+        getVersion,
+        restoreVersion,
+        versionsOf,
+        usableProfiles,
+    };
+})(globalThis);
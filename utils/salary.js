@@ -0,0 +1,271 @@
+/**
+ * JobLens AI – Salary Parser
+ * Turns the free-text pay lines job boards show ("₹12-18 LPA", "$45/hr",
+ * "₹ 15,000 /month", "£40K - £50K a year (Glassdoor est.)", "€60.000 p.a.",
+ * "45 000 € brut annuel") into { min, max, currency, period, isEstimate, basis }
+ * and converts them to an annual figure in the user's currency using an
+ * editable rate table.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js and imported for its side effect by popup.js. Published as
+ * globalThis.JobLensSalary.
+ */
+
+(function (root) {
+    // Units of each currency per 1 USD. Users can edit these in Settings.
+    const DEFAULT_RATES = {
+        USD: 1,
+        INR: 83,
+        EUR: 0.92,
+        GBP: 0.79,
+        CAD: 1.36,
+        AUD: 1.52,
+        SGD: 1.35,
+        AED: 3.67,
+    };
+
+    const DEFAULT_CURRENCY = "INR";
+
+    // Working periods per year, used to annualise hourly/daily/weekly/monthly pay
+    const PERIODS_PER_YEAR = { year: 1, month: 12, week: 52, day: 260, hour: 2080 };
+
+    // schema.org unitText → period
+    const UNIT_PERIODS = { HOUR: "hour", DAY: "day", WEEK: "week", MONTH: "month", YEAR: "year" };
+
+    const MULTIPLIERS = {
+        k: 1e3,
+        m: 1e6, mn: 1e6,
+        l: 1e5, lpa: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5,
+        cr: 1e7, crore: 1e7, crores: 1e7,
+    };
+
+    // Checked in order; code-prefixed dollars before the bare "$"
+    const CURRENCY_PATTERNS = [
+        ["CAD", /\bca?d?\$|\bcad\b/i],
+        ["AUD", /\bau?\$|\baud\b/i],
+        ["SGD", /\bs\$|\bsgd\b/i],
+        ["INR", /₹|\brs\.?(?=\s*\d)|\binr\b|\blpa\b|\blakhs?\b|\blacs?\b|\bcrores?\b/i],
+        ["EUR", /€|\beur\b|\beuros?\b/i],
+        ["GBP", /£|\bgbp\b/i],
+        ["AED", /\baed\b|\bdirhams?\b/i],
+        ["USD", /\$|\busd\b/i],
+    ];
+
+    // Order matters: explicit per-unit wording wins over the "stipend" hint.
+    // The second pattern of each unit holds the German / French / Spanish wording.
+    const PERIOD_PATTERNS = [
+        ["hour", /\/\s*h(?:ou)?r\b|\bper\s+hour\b|\bhourly\b|\ban\s+hour\b|\bp\.?\s?h\b/i],
+        ["hour", /\/\s*std\b|\bpro\s+stunde\b|\bstündlich|\bpar\s+heure\b|\bde\s+l['’]heure\b|\/\s*h\b|\bpor\s+hora\b/i],
+        ["day", /\/\s*day\b|\bper\s+day\b|\bdaily\b|\ba\s+day\b/i],
+        ["day", /\bpro\s+tag\b|\btagessatz\b|\bpar\s+jour\b|\/\s*jour\b|\bpor\s+día/i],
+        ["week", /\/\s*w(?:ee)?k\b|\bper\s+week\b|\bweekly\b|\ba\s+week\b/i],
+        ["month", /\/\s*mo(?:nth)?\b|\/\s*m\b|\bper\s+month\b|\bmonthly\b|\ba\s+month\b|\bp\.\s?m\.?(?!\w)|\bpm\b/i],
+        ["month", /\/\s*monat\b|\bpro\s+monat\b|\bmonatlich|\bpar\s+mois\b|\/\s*mois\b|\bmensuel(?:le)?\b|\bal\s+mes\b|\bpor\s+mes\b|\bmensual(?:es)?\b/i],
+        ["year", /\blpa\b|\bp\.?\s?a\b\.?|\bper\s+(?:annum|year)\b|\bannual(?:ly)?\b|\/\s*y(?:ea)?r\b|\byearly\b|\ba\s+year\b|\bctc\b/i],
+        ["year", /\/\s*jahr\b|\bpro\s+jahr\b|\bjährlich|\bjahres(?:gehalt|brutto)|\bpar\s+an\b|\/\s*an\b|\bannuel(?:le)?\b|\bbrut\s+annuel|\bal\s+año|\bpor\s+año|\banual(?:es)?\b/i],
+        ["month", /\bstipend\b|\bpraktikumsvergütung\b|\bgratification\b|\bbeca\b/i],
+    ];
+
+    // "1,20,000" / "60.000" / French "45 000" (space or no-break space groups) / "12.5"
+    const NUMBER = "\\d{1,3}(?:,\\d{2,3})+(?:\\.\\d+)?|\\d{1,3}(?:\\.\\d{3})+(?![\\d.])|\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?![\\d])|\\d+(?:\\.\\d+)?";
+    const SUFFIX = "(?:lakhs?|lacs?|lpa|crores?|cr|mn|k|m|l)(?![a-z])";
+    const SYMBOL = "(?:[$€£₹]|rs\\.?|inr|usd|eur|gbp)?";
+    // The symbol may trail each end ("45.000 € - 55.000 €"); "bis" / "à" are German / French "to"
+    const RANGE_RE = new RegExp(
+        `(${NUMBER})\\s*(${SUFFIX})?\\s*${SYMBOL}\\s*(?:-|–|—|to|bis|à)\\s*${SYMBOL}\\s*(${NUMBER})\\s*(${SUFFIX})?`,
+        "i"
+    );
+    const SINGLE_RE = new RegExp(`(${NUMBER})\\s*(${SUFFIX})?`, "i");
+
+    /**
+     * @typedef {{
+     *   min: number,
+     *   max: number,
+     *   currency: string,
+     *   period: "year"|"month"|"week"|"day"|"hour",
+     *   isEstimate: boolean,
+     *   basis: "ctc"|"in-hand"|""
+     * }} SalaryInfo
+     */
+
+    /**
+     * Parse a salary line. JSON-LD baseSalary ({ currency, min, max, unit }) wins
+     * when present; `currency` is the fallback for text without a symbol.
+     * @param {string} text
+     * @param {{ baseSalary?: object, currency?: string }} [hints]
+     * @returns {SalaryInfo|null}
+     */
+    function parseSalary(text, hints = {}) {
+        const structured = fromBaseSalary(hints.baseSalary, text);
+        if (structured) return structured;
+
+        const raw = String(text || "").replace(/\s+/g, " ").trim();
+        if (!raw || /^not (?:disclosed|specified)$/i.test(raw) || /\bunpaid\b/i.test(raw)) return null;
+
+        const amounts = readAmounts(raw);
+        if (!amounts) return null;
+
+        const currency = detectCurrency(raw) || (amounts.indian ? "INR" : "") || hints.currency || "";
+        const [min, max] = amounts.min <= amounts.max ? [amounts.min, amounts.max] : [amounts.max, amounts.min];
+
+        return {
+            min,
+            max,
+            currency,
+            period: detectPeriod(raw) || guessPeriod(max, currency),
+            isEstimate: /\best\.|\bestimated?\b/i.test(raw),
+            basis: detectBasis(raw),
+        };
+    }
+
+    function fromBaseSalary(baseSalary, text) {
+        if (!baseSalary || (baseSalary.min == null && baseSalary.max == null)) return null;
+        const min = baseSalary.min ?? baseSalary.max;
+        const max = baseSalary.max ?? baseSalary.min;
+        return {
+            min,
+            max,
+            currency: String(baseSalary.currency || "").toUpperCase(),
+            period: UNIT_PERIODS[baseSalary.unit] || guessPeriod(max, baseSalary.currency),
+            isEstimate: false,
+            basis: detectBasis(text || ""),
+        };
+    }
+
+    /** First number or range in the text, with k/L/Cr/M multipliers applied. */
+    function readAmounts(text) {
+        const range = text.match(RANGE_RE);
+        if (range) {
+            let [, a, aSuffix, b, bSuffix] = range;
+            // "12-18 LPA", "$120-150K": a trailing unit covers both ends
+            if (!aSuffix && bSuffix && toNumber(a) < 1000) aSuffix = bSuffix;
+            const min = toNumber(a) * multiplier(aSuffix);
+            const max = toNumber(b) * multiplier(bSuffix);
+            if (min > 0 && max > 0) {
+                return { min, max, indian: isIndianSuffix(aSuffix) || isIndianSuffix(bSuffix) };
+            }
+        }
+
+        const single = text.match(SINGLE_RE);
+        if (!single) return null;
+        const value = toNumber(single[1]) * multiplier(single[2]);
+        return value > 0 ? { min: value, max: value, indian: isIndianSuffix(single[2]) } : null;
+    }
+
+    function toNumber(str) {
+        if (/[\s\u00a0\u202f]/.test(str)) return parseFloat(str.replace(/[\s\u00a0\u202f]/g, ""));
+        if (str.includes(",")) return parseFloat(str.replace(/,/g, ""));
+        // "60.000" is a European thousands separator, "12.5" a decimal
+        if (/^\d{1,3}(?:\.\d{3})+$/.test(str)) return parseFloat(str.replace(/\./g, ""));
+        return parseFloat(str);
+    }
+
+    function multiplier(suffix) {
+        return suffix ? MULTIPLIERS[suffix.toLowerCase()] || 1 : 1;
+    }
+
+    function isIndianSuffix(suffix) {
+        return !!suffix && /^(?:l|lpa|lakhs?|lacs?|cr|crores?)$/i.test(suffix);
+    }
+
+    function detectCurrency(text) {
+        const hit = CURRENCY_PATTERNS.find(([, re]) => re.test(text));
+        return hit ? hit[0] : "";
+    }
+
+    function detectPeriod(text) {
+        const hit = PERIOD_PATTERNS.find(([, re]) => re.test(text));
+        return hit ? hit[0] : "";
+    }
+
+    /** No explicit unit: decide from the size of the number. */
+    function guessPeriod(amount, currency) {
+        if (currency === "INR") return amount < 200000 ? "month" : "year";
+        if (amount < 300) return "hour";
+        if (amount < 20000) return "month";
+        return "year";
+    }
+
+    /** Indian postings quote cost-to-company or in-hand (take-home) pay. */
+    function detectBasis(text) {
+        if (/\bin[-\s]?hand\b|\btake[-\s]?home\b|\bnet\s+(?:pay|salary)\b/i.test(text)) return "in-hand";
+        if (/\bctc\b|\bcost\s+to\s+company\b/i.test(text)) return "ctc";
+        return "";
+    }
+
+    // ─── Normalisation ────────────────────────────────────────────────────────
+
+    /**
+     * Annualise and convert to `targetCurrency`. Returns null when the salary's
+     * currency is unknown or either currency is missing from the rate table.
+     * @param {SalaryInfo} info
+     * @param {string} targetCurrency
+     * @param {Object<string, number>} [rates] units per 1 USD
+     * @returns {{ min: number, max: number, currency: string }|null}
+     */
+    function toAnnual(info, targetCurrency = DEFAULT_CURRENCY, rates = DEFAULT_RATES) {
+        if (!info?.currency) return null;
+        const table = { ...DEFAULT_RATES, ...(rates || {}) };
+        const from = Number(table[info.currency]);
+        const to = Number(table[targetCurrency]);
+        if (!(from > 0) || !(to > 0)) return null;
+
+        const factor = (PERIODS_PER_YEAR[info.period] || 1) * (to / from);
+        return { min: info.min * factor, max: info.max * factor, currency: targetCurrency };
+    }
+
+    /** Compact money label: ₹18L, ₹1.2Cr, $120K, €60K. */
+    function formatMoney(amount, currency) {
+        if (currency === "INR") {
+            if (amount >= 1e7) return `₹${trimDecimal(amount / 1e7)}Cr`;
+            if (amount >= 1e5) return `₹${trimDecimal(amount / 1e5)}L`;
+        }
+        try {
+            return new Intl.NumberFormat("en", {
+                style: "currency",
+                currency,
+                notation: "compact",
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 1,
+            }).format(amount);
+        } catch (_) {
+            return `${currency} ${Math.round(amount).toLocaleString()}`;
+        }
+    }
+
+    function trimDecimal(n) {
+        return String(Math.round(n * 10) / 10);
+    }
+
+    /**
+     * One-line annual summary for the job card / overlay, e.g.
+     * "≈ ₹14.4L–21.6L / year · CTC · est.". Empty when nothing can be shown.
+     * @param {SalaryInfo} info
+     * @param {{ salaryCurrency?: string, exchangeRates?: Object<string, number> }} [settings]
+     */
+    function describeAnnual(info, settings = {}) {
+        const annual = toAnnual(info, settings.salaryCurrency || DEFAULT_CURRENCY, settings.exchangeRates);
+        if (!annual) return "";
+
+        const low = formatMoney(annual.min, annual.currency);
+        const high = formatMoney(annual.max, annual.currency);
+        const range = Math.round(annual.min) === Math.round(annual.max)
+            ? low
+            : `${low}–${high.replace(/^[^\d]+/, "")}`;
+
+        return [
+            `≈ ${range} / year`,
+            info.basis === "ctc" ? "CTC" : info.basis === "in-hand" ? "in-hand" : "",
+            info.isEstimate ? "est." : "",
+        ].filter(Boolean).join(" · ");
+    }
+
+    root.JobLensSalary = {
+        DEFAULT_RATES,
+        DEFAULT_CURRENCY,
+        parseSalary,
+        toAnnual,
+        formatMoney,
+        describeAnnual,
+    };
+})(globalThis);
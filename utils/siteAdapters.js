@@ -0,0 +1,584 @@
+/**
+ * JobLens AI – Site Adapter Registry
+ * One declarative description per job site: URL patterns, per-field selector
+ * chains, identity rules and job-page URL tests. utils/jobExtractor.js runs
+ * these; options.js lets power users add or override adapters.
+ *
+ * Classic script (not an ES module): content scripts can't import modules, so
+ * the manifest loads this file before jobExtractor.js and content.js, and
+ * options.html includes it with a <script> tag. It publishes itself on
+ * globalThis.JobLensAdapters and is safe to evaluate more than once.
+ *
+ * Adapter shape (all values JSON-serialisable so user adapters can be stored):
+ *   id            unique site id, also used as jobData.site
+ *   label         display name for badges
+ *   matches       Chrome match patterns the content script must run on
+ *   optional      true when host access is opt-in (optional_host_permissions)
+ *   urlPatterns   regex sources – any match means "this adapter handles the page"
+ *   jobPageUrls   regex sources – pages where the sidebar auto-opens
+ *   identity      [{ pattern, prefix }] – first capture group is a stable job id
+ *   root          selectors for the container to scope lookups to (split panes)
+ *   fields        { field: [selectors] } – first non-empty match wins;
+ *                 "selector@attr" reads an attribute instead of text;
+ *                 list fields (skills, benefits) collect every match
+ *   required      fields that must be non-empty or the page isn't ready yet
+ *   companyFrom   fallback company from the URL: "path:0", "host:0", "query:for"
+ *   transform     name of a post-processing hook in jobExtractor.js
+ *   currency      ISO code assumed for salaries shown without a symbol
+ *                 (freshness fields postedText / applicantsText / hiringText are
+ *                 read by utils/freshness.js: "Reposted 2 weeks ago", "Over 100
+ *                 applicants", "Actively recruiting")
+ *   searchCards   result-list cards to badge with a local match score:
+ *                 { pages, card, id, anchor } – see content.js
+ */
+
+(function (root) {
+    const LIST_FIELDS = ["skills", "benefits"];
+
+    const BUILT_IN_ADAPTERS = [
+        {
+            id: "linkedin",
+            label: "LinkedIn",
+            matches: ["https://www.linkedin.com/jobs/*", "https://linkedin.com/jobs/*"],
+            urlPatterns: ["linkedin\\.com/jobs"],
+            jobPageUrls: ["linkedin\\.com/jobs/view/", "linkedin\\.com/jobs/search/.*currentJobId"],
+            identity: [
+                { pattern: "linkedin\\.com/jobs/view/(\\d+)", prefix: "li_view" },
+                { pattern: "[?&]currentJobId=(\\d+)", prefix: "li_search" },
+            ],
+            fields: {
+                title: [
+                    ".job-details-jobs-unified-top-card__job-title h1",
+                    ".jobs-unified-top-card__job-title",
+                    ".job-details-jobs-unified-top-card__job-title",
+                    ".job-card-list__title",
+                    ".jobs-details-top-card__job-title",
+                    ".t-24.t-bold.inline",
+                    "h1.jobs-unified-top-card__job-title",
+                    ".artdeco-entity-lockup__title em",
+                    "h2[class*='job-title']",
+                    ".jobs-details h1",
+                    ".jobs-search__job-details h1",
+                    "#job-details h2",
+                ],
+                company: [
+                    ".job-details-jobs-unified-top-card__company-name a",
+                    ".jobs-unified-top-card__company-name a",
+                    ".job-details-jobs-unified-top-card__company-name",
+                    ".jobs-unified-top-card__company-name",
+                    ".job-details-jobs-unified-top-card__primary-description-container a",
+                    ".jobs-unified-top-card__subtitle-primary-grouping a",
+                    ".job-details-jobs-unified-top-card__primary-description",
+                    ".topcard__org-name-link",
+                    ".job-card-container__company-name",
+                ],
+                location: [
+                    ".job-details-jobs-unified-top-card__bullet",
+                    ".jobs-unified-top-card__bullet",
+                    ".topcard__flavor--bullet",
+                ],
+                description: [
+                    ".jobs-description__content",
+                    ".jobs-description",
+                    "#job-details",
+                    ".jobs-details__main-content",
+                ],
+                salary: [".jobs-unified-top-card__job-insight"],
+                workplaceType: [
+                    ".job-details-jobs-unified-top-card__workplace-type",
+                    ".jobs-unified-top-card__workplace-type",
+                ],
+                // "Bengaluru · Reposted 2 weeks ago · Over 100 applicants"
+                postedText: [
+                    ".job-details-jobs-unified-top-card__tertiary-description-container",
+                    ".job-details-jobs-unified-top-card__primary-description-container",
+                    ".jobs-unified-top-card__posted-date",
+                    ".posted-time-ago__text",
+                ],
+                applicantsText: [".jobs-unified-top-card__applicant-count", ".num-applicants__caption"],
+                hiringText: [
+                    ".job-details-jobs-unified-top-card__job-insight--highlight",
+                    ".jobs-unified-top-card__job-insight--highlight",
+                    ".jobs-details-top-card__apply-error",
+                    ".artdeco-inline-feedback__message",
+                ],
+                skills: [
+                    ".job-details-skill-match-status-list__unmatched-skill-text",
+                    ".job-details-preferences-and-skills__pill",
+                ],
+            },
+            transform: "linkedin",
+            searchCards: {
+                pages: ["linkedin\\.com/jobs/(?:search|collections)"],
+                card: ["li[data-occludable-job-id]", "div.job-card-container[data-job-id]"],
+                id: ["data-occludable-job-id", "data-job-id"],
+                anchor: [".job-card-list__title--link", ".job-card-container__link", "a[href*='/jobs/view/']"],
+            },
+        },
+        {
+            id: "internshala",
+            label: "Internshala",
+            currency: "INR",
+            matches: ["https://internshala.com/internship/*", "https://internshala.com/jobs/*"],
+            urlPatterns: ["internshala\\.com/(internship|jobs)"],
+            jobPageUrls: ["internshala\\.com/(internship|jobs)/"],
+            fields: {
+                title: [".profile h1", ".heading_4_5.profile", "h1.job-internship-name", "h1"],
+                company: [
+                    ".company-name",
+                    ".link_display_like_text .heading_6",
+                    ".internship_other_details_container .heading_6",
+                ],
+                location: [".location_link", ".other_detail_item .item_body"],
+                description: ["#about_internship", ".internship-description", ".about_company_text_container"],
+                salary: [".stipend_container"],
+                skills: [".round_tabs .round_without_icon", ".tags_container .tag"],
+            },
+            transform: "internshala",
+        },
+        {
+            id: "naukri",
+            label: "Naukri",
+            currency: "INR",
+            matches: ["https://www.naukri.com/*", "https://naukri.com/*", "https://*.naukri.com/*"],
+            urlPatterns: ["naukri\\.com/job-listings-"],
+            jobPageUrls: ["naukri\\.com/job-listings-"],
+            identity: [{ pattern: "naukri\\.com/job-listings-[^?#]*?-(\\d{6,})(?:[?#]|$)", prefix: "naukri" }],
+            // Naukri ships hashed CSS-module classes – match on the stable prefix
+            fields: {
+                title: ['[class*="jd-header-title"]', ".jd-header-title", "h1"],
+                company: ['[class*="jd-header-comp-name"] a', '[class*="jd-header-comp-name"]', ".jd-header-comp-name a"],
+                location: ['[class*="jhc__location"]', ".loc", '[class*="location"]'],
+                description: ['[class*="job-desc-container"]', '[class*="dang-inner-html"]', ".job-desc", '[class*="JDC"]'],
+                experience: ['[class*="jhc__exp"]', ".exp"],
+                salary: ['[class*="jhc__salary"]', ".salary"],
+                workplaceType: ['[class*="jhc__wfhmode"]'],
+                // "Posted: 30+ days ago  Openings: 2  Applicants: 100+"
+                postedText: ['[class*="jhc__jd-stats"]', '[class*="jd-stats"]', '[class*="jhc__stat"]'],
+                skills: ['[class*="key-skill"] a', '[class*="key-skill"] .chip', ".key-skill a"],
+                detailsText: ['[class*="other-details"]'],
+            },
+            transform: "naukri",
+        },
+        {
+            id: "indeed",
+            label: "Indeed",
+            matches: ["https://www.indeed.com/*", "https://indeed.com/*", "https://*.indeed.com/*"],
+            urlPatterns: ["indeed\\.com/.*[?&]v?jk="],
+            jobPageUrls: ["indeed\\.com/.*[?&]v?jk="],
+            // jk= on /viewjob, vjk= for the job selected in the search pane
+            identity: [{ pattern: "indeed\\.com/.*[?&]v?jk=([a-z0-9]+)", prefix: "indeed" }],
+            root: ["#jobsearch-ViewjobPaneWrapper", ".jobsearch-RightPane"],
+            fields: {
+                title: ['[data-testid="jobsearch-JobInfoHeader-title"]', ".jobsearch-JobInfoHeader-title", "h1", "h2"],
+                company: ['[data-testid="inlineHeader-companyName"]', '[data-company-name="true"]', ".jobsearch-InlineCompanyRating div"],
+                location: [
+                    '[data-testid="inlineHeader-companyLocation"]',
+                    '[data-testid="job-location"]',
+                    ".jobsearch-JobInfoHeader-subtitle > div:last-child",
+                ],
+                description: ["#jobDescriptionText"],
+                salary: ["#salaryInfoAndJobType"],
+                postedText: [
+                    '[data-testid="myJobsStateDate"]',
+                    '[data-testid="jobsearch-JobMetadataFooter"]',
+                    ".jobsearch-JobMetadataFooter",
+                ],
+                hiringText: ['[data-testid="jobsearch-HiringInsights"]', ".jobsearch-HiringInsights-entry--text", ".urgentlyHiring"],
+            },
+            transform: "indeed",
+        },
+        {
+            id: "glassdoor",
+            label: "Glassdoor",
+            matches: ["https://www.glassdoor.com/*", "https://glassdoor.com/*"],
+            urlPatterns: ["glassdoor\\.[a-z.]+/(?:job-listing/|.*[?&](?:jobListingId|jl)=)"],
+            jobPageUrls: ["glassdoor\\.[a-z.]+/(?:job-listing/|.*[?&](?:jobListingId|jl)=)"],
+            identity: [{ pattern: "glassdoor\\.[a-z.]+/.*[?&](?:jobListingId|jl)=(\\d+)", prefix: "gd" }],
+            root: ['[class*="JobDetails_jobDetailsContainer"]', "#JDCol"],
+            fields: {
+                title: ['[data-test="job-title"]', 'h1[id^="jd-job-title"]', "h1"],
+                company: ['[class*="EmployerProfile_employerName"]', '[data-test="employer-name"]', '[data-test="employerName"]'],
+                location: ['[data-test="location"]', '[data-test="emp-location"]'],
+                description: ['[class*="JobDetails_jobDescription"]', ".jobDescriptionContent", "#JobDescriptionContainer"],
+                salary: ['[data-test="detailSalary"]', '[class*="SalaryEstimate_salaryRange"]'],
+                ratingText: ['[data-test="detailRating"]', '[class*="EmployerProfile_ratingContainer"]', '[class*="rating-single-star"]'],
+            },
+            transform: "glassdoor",
+        },
+        {
+            id: "wellfound",
+            label: "Wellfound",
+            matches: ["https://www.wellfound.com/*", "https://wellfound.com/*"],
+            urlPatterns: ["wellfound\\.com/(?:.*/)?jobs/\\d+|wellfound\\.com/.*[?&]job_listing_slug="],
+            jobPageUrls: ["wellfound\\.com/(?:.*/)?jobs/\\d+|wellfound\\.com/.*[?&]job_listing_slug="],
+            // Job panel opens over search results (?job_listing_slug=1234-title)
+            identity: [{ pattern: "wellfound\\.com/(?:.*/)?jobs/(\\d+)|job_listing_slug=(\\d+)", prefix: "wf" }],
+            fields: {
+                title: ['[class*="JobListing"] h1', "h1"],
+                company: ['[class*="JobListing"] a[href^="/company/"]', 'a[href^="/company/"] h2', 'a[href^="/company/"]'],
+                location: ['[class*="location"]', 'a[href^="/location/"]'],
+                description: ["#job-description", '[class*="description"]'],
+                skills: ['[class*="skill"] a', '[class*="skill"] span', 'a[href^="/skills/"]'],
+            },
+            transform: "wellfound",
+        },
+        {
+            id: "instahyre",
+            label: "Instahyre",
+            currency: "INR",
+            matches: ["https://www.instahyre.com/*", "https://instahyre.com/*"],
+            urlPatterns: ["instahyre\\.com/job-\\d+"],
+            jobPageUrls: ["instahyre\\.com/job-\\d+"],
+            identity: [{ pattern: "instahyre\\.com/job-(\\d+)", prefix: "instahyre" }],
+            fields: {
+                title: [".job-title", '[class*="designation"]', "h1"],
+                company: [".company-name", '[class*="employer-name"]', '[class*="company"] h2'],
+                location: [".job-locations", '[class*="location"]'],
+                description: [".job-description", '[class*="description"]'],
+                experience: [".job-experience", '[class*="experience"]'],
+                salary: ['[class*="salary"]'],
+                skills: [".job-skills .skill", ".job-skills li", '[class*="skill"] .tag'],
+            },
+        },
+        {
+            id: "cutshort",
+            label: "Cutshort",
+            currency: "INR",
+            matches: ["https://www.cutshort.io/*", "https://cutshort.io/*"],
+            urlPatterns: ["cutshort\\.io/job/"],
+            jobPageUrls: ["cutshort\\.io/job/"],
+            // /job/<Title>-<City>-<Company>-<id>
+            identity: [{ pattern: "cutshort\\.io/job/[^?#]*-([A-Za-z0-9]{6,})(?:[/?#]|$)", prefix: "cutshort" }],
+            fields: {
+                title: ['[class*="jobTitle"]', "h1"],
+                company: ['[class*="companyName"]', 'a[href*="/company/"]'],
+                location: ['[class*="location"]', '[class*="Location"]'],
+                description: ['[class*="jobDescription"]', '[class*="description"]', "main"],
+                experience: ['[class*="experience"]'],
+                salary: ['[class*="salary"]'],
+                skills: ['[class*="skills"] [class*="tag"]', '[class*="skills"] [class*="chip"]', '[class*="Skill"] span'],
+            },
+        },
+        {
+            id: "hirist",
+            label: "Hirist",
+            currency: "INR",
+            matches: ["https://www.hirist.tech/*", "https://hirist.tech/*"],
+            urlPatterns: ["hirist\\.tech/j/"],
+            jobPageUrls: ["hirist\\.tech/j/"],
+            identity: [{ pattern: "hirist\\.tech/j/[^?#]*?-(\\d{5,})(?:\\.html)?(?:[?#]|$)", prefix: "hirist" }],
+            fields: {
+                title: ['[class*="job-title"]', ".jobtitle", "h1"],
+                company: ['[class*="company-name"]', '[class*="recruiter"] a', ".jd-company"],
+                location: ['[class*="location"]', ".loc"],
+                description: ['[class*="job-description"]', ".jobDescription", "#job-description"],
+                salary: ['[class*="salary"]'],
+                skills: ['[class*="tags"] a', '[class*="tag-list"] a', ".tags li"],
+            },
+            transform: "hiristHeadline",
+        },
+        {
+            // Same job-board platform as Hirist, same markup
+            id: "iimjobs",
+            label: "iimjobs",
+            currency: "INR",
+            matches: ["https://www.iimjobs.com/*", "https://iimjobs.com/*"],
+            urlPatterns: ["iimjobs\\.com/j/"],
+            jobPageUrls: ["iimjobs\\.com/j/"],
+            identity: [{ pattern: "iimjobs\\.com/j/[^?#]*?-(\\d{5,})(?:\\.html)?(?:[?#]|$)", prefix: "iimjobs" }],
+            fields: {
+                title: ['[class*="job-title"]', ".jobtitle", "h1"],
+                company: ['[class*="company-name"]', '[class*="recruiter"] a', ".jd-company"],
+                location: ['[class*="location"]', ".loc"],
+                description: ['[class*="job-description"]', ".jobDescription", "#job-description"],
+                salary: ['[class*="salary"]'],
+                skills: ['[class*="tags"] a', '[class*="tag-list"] a', ".tags li"],
+            },
+            transform: "hiristHeadline",
+        },
+        {
+            id: "upwork",
+            label: "Upwork",
+            matches: ["https://www.upwork.com/*", "https://upwork.com/*"],
+            urlPatterns: ["upwork\\.com/.*~0[0-9a-f]{8,}"],
+            jobPageUrls: ["upwork\\.com/.*~0[0-9a-f]{8,}"],
+            // Ciphertext job ids (~01abc…) in both the search slider and full page
+            identity: [{ pattern: "upwork\\.com/.*~(0[0-9a-f]{8,})", prefix: "upwork" }],
+            root: ['[data-test="job-details-viewer"]', ".job-details-content", "main"],
+            fields: {
+                title: ["h4", "h1", "h2"],
+                location: ['[data-test="LocationLabel"]', '[data-test="location"]'],
+                description: ['[data-test="Description"]', '[data-test="description"]', '[class*="description"]'],
+                skills: ['[data-test="Skill"]', '[data-test="token"] span', ".air3-token"],
+                budgetText: ['[data-test="job-features"]', '[data-test="Features"]', ".features"],
+                clientText: ['[data-test="about-client-container"]', '[data-test="AboutClientUser"]'],
+                activityText: ['[data-test="client-activity"]', '[data-test="ClientActivity"]'],
+            },
+            transform: "gig",
+        },
+        {
+            id: "freelancer",
+            label: "Freelancer",
+            matches: ["https://www.freelancer.com/*", "https://freelancer.com/*"],
+            urlPatterns: ["freelancer\\.[a-z.]+/projects/"],
+            jobPageUrls: ["freelancer\\.[a-z.]+/projects/"],
+            fields: {
+                title: ['[class*="ProjectViewDetails"] h1', ".PageProjectViewLogout-header-title", "h1"],
+                company: ['[class*="EmployerInfo"] [class*="username"]'],
+                location: ['[class*="EmployerInfo"] [class*="location"]'],
+                description: ['[class*="ProjectDescription"]', ".PageProjectViewLogout-detail", '[class*="description"]'],
+                skills: ['[class*="ProjectViewDetailsSkills"] a', ".PageProjectViewLogout-detail-tags a"],
+                budgetText: ['[class*="ProjectViewDetails-budget"]', ".PageProjectViewLogout-projectInfo-byLine", '[class*="budget"]'],
+                clientText: ['[class*="EmployerInfo"]'],
+                activityText: ['[class*="BidsSummary"]'],
+            },
+            transform: "gig",
+        },
+
+        // ── Company ATS boards (opt-in host access) ──────────────────────────
+        {
+            id: "greenhouse",
+            label: "Greenhouse",
+            optional: true,
+            matches: [
+                "https://boards.greenhouse.io/*",
+                "https://job-boards.greenhouse.io/*",
+                "https://boards.eu.greenhouse.io/*",
+            ],
+            urlPatterns: ["greenhouse\\.io/(?:embed/job_app\\?|[^/]+/jobs/\\d+)"],
+            jobPageUrls: ["greenhouse\\.io/(?:embed/job_app\\?|[^/]+/jobs/\\d+)"],
+            identity: [{ pattern: "greenhouse\\.io/.*(?:/jobs/|[?&]token=)(\\d+)", prefix: "gh" }],
+            fields: {
+                title: [".job__title h1", ".app-title", "h1.section-header", "h1"],
+                company: [".company-name"],
+                location: [".job__location", ".location"],
+                description: [".job__description", "#content", ".job-post"],
+                salary: [".pay-range"],
+            },
+            required: ["title"],
+            // Classic boards: /<board>/jobs/<id>; embeds: /embed/job_app?for=<board>
+            companyFrom: "query:for|path:0",
+            transform: "greenhouse",
+        },
+        {
+            id: "lever",
+            label: "Lever",
+            optional: true,
+            matches: ["https://jobs.lever.co/*", "https://jobs.eu.lever.co/*"],
+            urlPatterns: ["jobs\\.(?:eu\\.)?lever\\.co/[^/]+/[0-9a-f-]{36}"],
+            jobPageUrls: ["jobs\\.(?:eu\\.)?lever\\.co/[^/]+/[0-9a-f-]{36}"],
+            identity: [{ pattern: "jobs\\.(?:eu\\.)?lever\\.co/[^/]+/([0-9a-f-]{36})", prefix: "lever" }],
+            fields: {
+                title: [".posting-headline h2", "h2"],
+                company: [".main-header-logo img@alt"],
+                location: [".posting-categories .location", ".sort-by-location"],
+                description: [".section-wrapper.page-full-width", ".content"],
+                salary: ['[data-qa="salary-range"]'],
+                employmentType: [".posting-categories .commitment"],
+                department: [".posting-categories .department"],
+            },
+            required: ["title"],
+            companyFrom: "path:0",
+            transform: "lever",
+        },
+        {
+            id: "ashby",
+            label: "Ashby",
+            optional: true,
+            matches: ["https://jobs.ashbyhq.com/*"],
+            urlPatterns: ["jobs\\.ashbyhq\\.com/[^/]+/[0-9a-f-]{36}"],
+            jobPageUrls: ["jobs\\.ashbyhq\\.com/[^/]+/[0-9a-f-]{36}"],
+            // SPA: the posting UUID changes in place
+            identity: [{ pattern: "jobs\\.ashbyhq\\.com/[^/]+/([0-9a-f-]{36})", prefix: "ashby" }],
+            fields: {
+                title: ['h1[class*="_title"]', "h1"],
+                description: ['[class*="_descriptionText"]', "#overview", '[class*="_description"]'],
+            },
+            required: ["title"],
+            companyFrom: "path:0",
+            transform: "ashby",
+        },
+        {
+            id: "workday",
+            label: "Workday",
+            optional: true,
+            matches: ["https://*.myworkdayjobs.com/*"],
+            urlPatterns: ["myworkdayjobs\\.com/.*/job/"],
+            jobPageUrls: ["myworkdayjobs\\.com/.*/job/"],
+            // Requisition ids end the job path: …/Senior-Engineer_R-12345
+            identity: [{ pattern: "myworkdayjobs\\.com/.*/job/.*_([A-Z]*-?\\d+)(?:[?#/]|$)", prefix: "wd" }],
+            fields: {
+                title: ['[data-automation-id="jobPostingHeader"]'],
+                description: ['[data-automation-id="jobPostingDescription"]'],
+                location: ['[data-automation-id="locations"]'],
+                employmentType: ['[data-automation-id="time"] dd', '[data-automation-id="timeType"] dd'],
+                requisitionId: ['[data-automation-id="requisitionId"] dd'],
+            },
+            // Lazily rendered: wait for header + description, the observer retries
+            required: ["title", "description"],
+            // Tenant subdomain: acme.wd5.myworkdayjobs.com
+            companyFrom: "host:0",
+            transform: "workday",
+        },
+        {
+            id: "smartrecruiters",
+            label: "SmartRecruiters",
+            optional: true,
+            matches: ["https://jobs.smartrecruiters.com/*", "https://careers.smartrecruiters.com/*"],
+            urlPatterns: ["(?:jobs|careers)\\.smartrecruiters\\.com/[^/]+/\\d+"],
+            jobPageUrls: ["(?:jobs|careers)\\.smartrecruiters\\.com/[^/]+/\\d+"],
+            identity: [{ pattern: "smartrecruiters\\.com/[^/]+/(\\d+)", prefix: "sr" }],
+            fields: {
+                title: ["h1.job-title", "h1"],
+                company: ['[itemprop="hiringOrganization"] [itemprop="name"]'],
+                location: ['[itemprop="jobLocation"]', ".job-detail-location"],
+                description: [".job-sections", '[itemprop="description"]', "main"],
+                employmentType: ['[itemprop="employmentType"]'],
+            },
+            required: ["title"],
+            companyFrom: "path:0",
+        },
+    ];
+
+    // ─── Registry ─────────────────────────────────────────────────────────────
+
+    /**
+     * Built-in adapters with the user's custom adapters applied. A custom
+     * adapter whose id matches a built-in overrides it field by field (its
+     * selector chain for a field replaces the built-in chain); new ids are
+     * tried before every built-in.
+     */
+    function getAdapters(customAdapters = []) {
+        const custom = (customAdapters || []).filter((a) => a && a.id);
+        const overrides = new Map(custom.map((a) => [a.id, a]));
+
+        const builtIns = BUILT_IN_ADAPTERS.map((base) => {
+            const user = overrides.get(base.id);
+            if (!user) return base;
+            return {
+                ...base,
+                ...stripEmpty(user),
+                fields: { ...base.fields, ...stripEmpty(user.fields || {}) },
+                custom: true,
+            };
+        });
+        const added = custom
+            .filter((a) => !BUILT_IN_ADAPTERS.some((b) => b.id === a.id))
+            .map((a) => ({
+                ...a,
+                // Claim only the job pages when given, else every page the matches cover
+                urlPatterns: a.urlPatterns?.length
+                    ? a.urlPatterns
+                    : a.jobPageUrls?.length
+                        ? a.jobPageUrls
+                        : (a.matches || []).map(matchPatternToRegExpSource),
+                custom: true,
+            }));
+
+        return [...added, ...builtIns];
+    }
+
+    function findAdapter(url, customAdapters) {
+        return getAdapters(customAdapters).find((a) => testAny(a.urlPatterns, url)) || null;
+    }
+
+    function isJobPageUrl(url, customAdapters) {
+        return getAdapters(customAdapters).some((a) =>
+            testAny(a.jobPageUrls?.length ? a.jobPageUrls : a.urlPatterns, url)
+        );
+    }
+
+    /** Stable per-job identity from the matching adapter's identity rules, or "" */
+    function getAdapterIdentity(url, customAdapters) {
+        const adapter = findAdapter(url, customAdapters);
+        for (const rule of adapter?.identity || []) {
+            const m = String(url).match(toRegExp(rule.pattern));
+            const id = m && m.slice(1).find(Boolean);
+            if (id) return `${rule.prefix || adapter.id}_${id}`;
+        }
+        return "";
+    }
+
+    /** Match patterns of opt-in adapters (for optional_host_permissions requests) */
+    function getOptionalOrigins() {
+        return BUILT_IN_ADAPTERS.filter((a) => a.optional).flatMap((a) => a.matches);
+    }
+
+    /** @returns {string[]} human-readable problems; empty when the adapter is usable */
+    function validateAdapter(adapter) {
+        const errors = [];
+        if (!adapter?.id || !/^[a-z0-9][a-z0-9_-]*$/.test(adapter.id)) {
+            errors.push("Id must be lower-case letters, digits, '-' or '_'.");
+        }
+        const isOverride = BUILT_IN_ADAPTERS.some((b) => b.id === adapter?.id);
+        if (!isOverride && !adapter?.matches?.length) {
+            errors.push("Add at least one site match pattern (e.g. https://jobs.example.com/*).");
+        }
+        for (const m of adapter?.matches || []) {
+            if (!/^(https?|\*):\/\/(\*|(\*\.)?[^/*]+)\/.*$/.test(m)) errors.push(`Invalid match pattern: ${m}`);
+        }
+        for (const key of ["urlPatterns", "jobPageUrls"]) {
+            for (const source of adapter?.[key] || []) {
+                try { new RegExp(source, "i"); } catch (_) { errors.push(`Invalid regex: ${source}`); }
+            }
+        }
+        for (const rule of adapter?.identity || []) {
+            try { new RegExp(rule.pattern, "i"); } catch (_) { errors.push(`Invalid identity regex: ${rule.pattern}`); }
+        }
+        if (!isOverride && !adapter?.fields?.title?.length) errors.push("A title selector is required.");
+        if (!isOverride && !adapter?.fields?.description?.length) errors.push("A description selector is required.");
+        return errors;
+    }
+
+    // ─── Helpers ──────────────────────────────────────────────────────────────
+
+    const regexCache = new Map();
+    function toRegExp(source) {
+        if (!regexCache.has(source)) {
+            try {
+                regexCache.set(source, new RegExp(source, "i"));
+            } catch (_) {
+                regexCache.set(source, /$^/); // never matches
+            }
+        }
+        return regexCache.get(source);
+    }
+
+    function testAny(sources, url) {
+        return (sources || []).some((src) => toRegExp(src).test(url));
+    }
+
+    /** "https://*.example.com/jobs/*" → regex source for the same URLs */
+    function matchPatternToRegExpSource(pattern) {
+        const m = String(pattern).match(/^(\*|https?):\/\/(\*|\*\.[^/]+|[^/]+)(\/.*)$/);
+        if (!m) return "$^";
+        const esc = (s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+        const scheme = m[1] === "*" ? "https?" : m[1];
+        const host = m[2] === "*"
+            ? "[^/]+"
+            : m[2].startsWith("*.")
+                ? `(?:[^/]+\\.)?${esc(m[2].slice(2))}`
+                : esc(m[2]);
+        const path = m[3].split("*").map(esc).join(".*");
+        return `^${scheme}://${host}${path}`;
+    }
+
+    function stripEmpty(obj) {
+        return Object.fromEntries(
+            Object.entries(obj).filter(([, v]) => !(v == null || v === "" || (Array.isArray(v) && !v.length)))
+        );
+    }
+
+    root.JobLensAdapters = {
+        LIST_FIELDS,
+        BUILT_IN_ADAPTERS,
+        getAdapters,
+        findAdapter,
+        isJobPageUrl,
+        getAdapterIdentity,
+        getOptionalOrigins,
+        validateAdapter,
+        matchPatternToRegExpSource,
+    };
+})(globalThis);
@@ -0,0 +1,279 @@
+/**
+ * JobLens AI – Skill Taxonomy
+ * One canonical list of skills with aliases and categories, shared by the
+ * resume parser, the options page and the job extractor so resume skills and
+ * job-description skills normalise to the same identifiers
+ * ("k8s" → "kubernetes", "ReactJS" → "react", "Postgres" → "postgresql").
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js and imported for its side effect by ES modules (the resume
+ * parser brings it into options.html). Published as globalThis.JobLensSkills.
+ */
+
+(function (root) {
+    const CATEGORIES = {
+        language: "Languages",
+        frontend: "Frontend",
+        backend: "Backend",
+        database: "Databases",
+        cloud: "Cloud",
+        devops: "DevOps",
+        data: "Data",
+        ml: "ML / AI",
+        mobile: "Mobile",
+        testing: "Testing",
+        tools: "Tools",
+        design: "Design",
+        practice: "Practices",
+    };
+
+    // [id, label, category, aliases]. Aliases are matched case-insensitively on
+    // word boundaries; the id and label are always aliases too.
+    const SKILLS = [
+        // Languages
+        ["python", "Python", "language", ["python3", "py"]],
+        ["javascript", "JavaScript", "language", ["js", "ecmascript", "es6", "vanilla js"]],
+        ["typescript", "TypeScript", "language", ["ts"]],
+        ["java", "Java", "language", ["core java", "java 8", "java 11", "java 17"]],
+        ["c++", "C++", "language", ["cpp", "c plus plus"]],
+        ["c#", "C#", "language", ["csharp", "c sharp"]],
+        ["c", "C", "language", []],
+        ["go", "Go", "language", ["golang"]],
+        ["rust", "Rust", "language", []],
+        ["ruby", "Ruby", "language", []],
+        ["php", "PHP", "language", []],
+        ["scala", "Scala", "language", []],
+        ["kotlin", "Kotlin", "language", []],
+        ["swift", "Swift", "language", []],
+        ["r", "R", "language", ["r programming", "rstudio"]],
+        ["matlab", "MATLAB", "language", []],
+        ["bash", "Bash", "language", ["shell scripting", "shell script", "shell"]],
+        ["sql", "SQL", "language", ["t-sql", "pl/sql", "plsql"]],
+        ["dart", "Dart", "language", []],
+        ["perl", "Perl", "language", []],
+        ["elixir", "Elixir", "language", []],
+
+        // Frontend
+        ["react", "React", "frontend", ["reactjs", "react.js", "react js"]],
+        ["vue", "Vue", "frontend", ["vuejs", "vue.js", "vue js"]],
+        ["angular", "Angular", "frontend", ["angularjs", "angular.js"]],
+        ["next.js", "Next.js", "frontend", ["nextjs", "next js"]],
+        ["nuxt", "Nuxt", "frontend", ["nuxtjs", "nuxt.js"]],
+        ["svelte", "Svelte", "frontend", ["sveltekit"]],
+        ["html", "HTML", "frontend", ["html5"]],
+        ["css", "CSS", "frontend", ["css3"]],
+        ["sass", "Sass", "frontend", ["scss"]],
+        ["tailwind", "Tailwind CSS", "frontend", ["tailwindcss", "tailwind css"]],
+        ["bootstrap", "Bootstrap", "frontend", []],
+        ["jquery", "jQuery", "frontend", []],
+        ["redux", "Redux", "frontend", ["redux toolkit"]],
+        ["webpack", "Webpack", "frontend", []],
+        ["vite", "Vite", "frontend", []],
+
+        // Backend
+        ["node.js", "Node.js", "backend", ["node", "nodejs", "node js"]],
+        ["express", "Express", "backend", ["expressjs", "express.js"]],
+        ["nestjs", "NestJS", "backend", ["nest.js"]],
+        ["django", "Django", "backend", ["django rest framework", "drf"]],
+        ["flask", "Flask", "backend", []],
+        ["fastapi", "FastAPI", "backend", ["fast api"]],
+        ["spring", "Spring", "backend", ["spring boot", "springboot", "spring framework"]],
+        ["laravel", "Laravel", "backend", []],
+        ["rails", "Ruby on Rails", "backend", ["ruby on rails", "ror"]],
+        [".net", ".NET", "backend", ["dotnet", "asp.net", ".net core", "asp.net core"]],
+        ["graphql", "GraphQL", "backend", []],
+        ["rest", "REST APIs", "backend", ["rest api", "rest apis", "restful", "restful apis"]],
+        ["grpc", "gRPC", "backend", []],
+        ["microservices", "Microservices", "backend", ["microservice", "micro-services"]],
+        ["kafka", "Kafka", "backend", ["apache kafka"]],
+        ["rabbitmq", "RabbitMQ", "backend", []],
+
+        // Databases
+        ["postgresql", "PostgreSQL", "database", ["postgres", "psql", "pgsql"]],
+        ["mysql", "MySQL", "database", []],
+        ["mongodb", "MongoDB", "database", ["mongo"]],
+        ["redis", "Redis", "database", []],
+        ["elasticsearch", "Elasticsearch", "database", ["elastic search", "opensearch"]],
+        ["sqlite", "SQLite", "database", []],
+        ["cassandra", "Cassandra", "database", []],
+        ["dynamodb", "DynamoDB", "database", ["dynamo db"]],
+        ["oracle", "Oracle DB", "database", ["oracle db", "oracle database"]],
+        ["sql server", "SQL Server", "database", ["mssql", "ms sql", "microsoft sql server"]],
+        ["firebase", "Firebase", "database", ["firestore"]],
+        ["supabase", "Supabase", "database", []],
+        ["prisma", "Prisma", "database", []],
+
+        // Cloud
+        ["aws", "AWS", "cloud", ["amazon web services", "ec2", "s3", "lambda", "aws lambda"]],
+        ["gcp", "Google Cloud", "cloud", ["google cloud", "google cloud platform"]],
+        ["azure", "Azure", "cloud", ["microsoft azure"]],
+        ["serverless", "Serverless", "cloud", []],
+
+        // DevOps
+        ["docker", "Docker", "devops", ["containers", "containerization"]],
+        ["kubernetes", "Kubernetes", "devops", ["k8s", "eks", "gke", "aks"]],
+        ["terraform", "Terraform", "devops", []],
+        ["ansible", "Ansible", "devops", []],
+        ["ci/cd", "CI/CD", "devops", ["cicd", "ci cd", "continuous integration", "continuous delivery", "continuous deployment"]],
+        ["jenkins", "Jenkins", "devops", []],
+        ["github actions", "GitHub Actions", "devops", []],
+        ["linux", "Linux", "devops", ["unix"]],
+        ["nginx", "Nginx", "devops", []],
+        ["prometheus", "Prometheus", "devops", []],
+        ["grafana", "Grafana", "devops", []],
+
+        // Data
+        ["pandas", "pandas", "data", []],
+        ["numpy", "NumPy", "data", []],
+        ["spark", "Apache Spark", "data", ["apache spark", "pyspark"]],
+        ["hadoop", "Hadoop", "data", []],
+        ["airflow", "Airflow", "data", ["apache airflow"]],
+        ["dbt", "dbt", "data", []],
+        ["snowflake", "Snowflake", "data", []],
+        ["bigquery", "BigQuery", "data", ["big query"]],
+        ["tableau", "Tableau", "data", []],
+        ["power bi", "Power BI", "data", ["powerbi"]],
+        ["excel", "Excel", "data", ["ms excel", "microsoft excel", "advanced excel"]],
+        ["etl", "ETL", "data", ["elt"]],
+        ["data analysis", "Data Analysis", "data", ["data analytics"]],
+
+        // ML / AI
+        ["machine learning", "Machine Learning", "ml", ["ml"]],
+        ["deep learning", "Deep Learning", "ml", ["dl"]],
+        ["nlp", "NLP", "ml", ["natural language processing"]],
+        ["computer vision", "Computer Vision", "ml", ["opencv"]],
+        ["tensorflow", "TensorFlow", "ml", ["tf"]],
+        ["pytorch", "PyTorch", "ml", ["torch"]],
+        ["keras", "Keras", "ml", []],
+        ["scikit-learn", "scikit-learn", "ml", ["sklearn", "scikit learn"]],
+        ["hugging face", "Hugging Face", "ml", ["huggingface", "transformers"]],
+        ["llm", "LLMs", "ml", ["llms", "large language models", "generative ai", "genai", "gen ai"]],
+        ["data science", "Data Science", "ml", []],
+
+        // Mobile
+        ["android", "Android", "mobile", []],
+        ["ios", "iOS", "mobile", []],
+        ["react native", "React Native", "mobile", ["react-native"]],
+        ["flutter", "Flutter", "mobile", []],
+
+        // Testing
+        ["jest", "Jest", "testing", []],
+        ["cypress", "Cypress", "testing", []],
+        ["selenium", "Selenium", "testing", []],
+        ["playwright", "Playwright", "testing", []],
+        ["pytest", "pytest", "testing", []],
+        ["junit", "JUnit", "testing", []],
+        ["unit testing", "Unit Testing", "testing", ["unit tests", "tdd", "test driven development"]],
+
+        // Tools
+        ["git", "Git", "tools", []],
+        ["github", "GitHub", "tools", []],
+        ["gitlab", "GitLab", "tools", []],
+        ["jira", "Jira", "tools", []],
+        ["confluence", "Confluence", "tools", []],
+        ["postman", "Postman", "tools", []],
+        ["swagger", "Swagger", "tools", ["openapi"]],
+
+        // Design
+        ["figma", "Figma", "design", []],
+        ["adobe xd", "Adobe XD", "design", []],
+        ["photoshop", "Photoshop", "design", ["adobe photoshop"]],
+        ["ui/ux", "UI/UX", "design", ["ui ux", "ux design", "ui design", "user experience"]],
+
+        // Practices
+        ["agile", "Agile", "practice", []],
+        ["scrum", "Scrum", "practice", []],
+        ["kanban", "Kanban", "practice", []],
+        ["system design", "System Design", "practice", []],
+        ["distributed systems", "Distributed Systems", "practice", []],
+        ["oop", "OOP", "practice", ["object oriented programming", "object-oriented programming"]],
+        ["data structures", "Data Structures & Algorithms", "practice", ["dsa", "data structures and algorithms"]],
+        ["algorithms", "Algorithms", "practice", []],
+    ];
+
+    // Short or common-word ids that only count as a skill when written the
+    // canonical way and listed, e.g. "Go, Rust" – not "go to market" or "C level".
+    const AMBIGUOUS = new Set([
+        "go", "c", "r", "rest", "node", "shell", "py", "ts", "tf", "dl", "ml", "s3", "ios", "ror",
+        "spring", "swift", "excel", "express", "oracle", "containers", "rails", "bootstrap",
+        "spark", "transformers", "lambda", "torch",
+    ]);
+
+    const byId = new Map();
+    const byAlias = new Map();
+    for (const [id, label, category, aliases] of SKILLS) {
+        byId.set(id, { id, label, category });
+        for (const alias of [id, label, ...aliases]) byAlias.set(alias.toLowerCase(), id);
+    }
+
+    const escape = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    const aliasSource = (aliases) =>
+        aliases.sort((a, b) => b.length - a.length).map(escape).join("|");
+
+    const allAliases = [...byAlias.keys()];
+    // Skill tokens can contain . + # – "Node.js" must not match as "node"
+    const CLEAR_RE = new RegExp(
+        `(?<![\\w+#.-])(${aliasSource(allAliases.filter((a) => !AMBIGUOUS.has(a)))})(?![\\w+#]|\\.\\w)`,
+        "gi"
+    );
+    const LISTED_RE = new RegExp(
+        `(?:^|[,;/|•·(]\\s*|\\band\\s+)(${aliasSource(allAliases.filter((a) => AMBIGUOUS.has(a)))})(?=\\s*(?:[,;/|)]|\\band\\b|$))`,
+        "gim"
+    );
+
+    /**
+     * Canonical id for a skill name, or the trimmed lower-cased name when it
+     * isn't in the taxonomy (so free-form skills still compare consistently).
+     */
+    function normalizeSkill(name) {
+        const key = String(name || "").toLowerCase().replace(/\s+/g, " ").trim();
+        if (!key) return "";
+        return byAlias.get(key) || byAlias.get(key.replace(/[\s.]?js$/, "")) || key;
+    }
+
+    /** Unique canonical ids of every known skill mentioned in the text. */
+    function extractSkills(text) {
+        const found = new Set();
+        const source = String(text || "");
+        for (const m of source.matchAll(CLEAR_RE)) found.add(byAlias.get(m[1].toLowerCase()));
+        for (const m of source.matchAll(LISTED_RE)) found.add(byAlias.get(m[1].toLowerCase()));
+        found.delete(undefined);
+        return [...found];
+    }
+
+    /** Normalise and de-duplicate a list of skill names (site chips, user edits). */
+    function normalizeSkillList(names = []) {
+        return [...new Set((names || []).map(normalizeSkill).filter(Boolean))];
+    }
+
+    function isKnownSkill(id) {
+        return byId.has(id);
+    }
+
+    function getSkillLabel(id) {
+        return byId.get(id)?.label || id;
+    }
+
+    /** Category key ("backend", "ml", …) or "other" for skills outside the taxonomy. */
+    function getSkillCategory(id) {
+        return byId.get(normalizeSkill(id))?.category || "other";
+    }
+
+    /** { categoryKey: [ids] } in taxonomy order, for grouped display. */
+    function groupSkillsByCategory(ids = []) {
+        const groups = {};
+        for (const id of ids) (groups[getSkillCategory(id)] ||= []).push(id);
+        return groups;
+    }
+
+    root.JobLensSkills = {
+        CATEGORIES,
+        normalizeSkill,
+        normalizeSkillList,
+        extractSkills,
+        isKnownSkill,
+        getSkillLabel,
+        getSkillCategory,
+        groupSkillsByCategory,
+    };
+})(globalThis);
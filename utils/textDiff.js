@@ -0,0 +1,124 @@
+/**
+ * JobLens AI – Line Diff
+ * Line-level diff between two resume versions for the Resume Manager's
+ * version history: longest common subsequence over the lines left once the
+ * shared head and tail are trimmed. Lines compare after trimming trailing
+ * whitespace, since PDF and DOCX extraction pads lines inconsistently.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by options.html.
+ * Published as globalThis.JobLensDiff.
+ */
+
+(function (root) {
+    // Above this many LCS cells the middle is shown as replaced wholesale
+    const MAX_CELLS = 2000000;
+    // Unchanged lines kept around each change when collapsing
+    const CONTEXT_LINES = 2;
+
+    /**
+     * @typedef {{ type: "same"|"added"|"removed", text: string }} DiffLine
+     */
+
+    /**
+     * @param {string} before
+     * @param {string} after
+     * @returns {DiffLine[]}
+     */
+    function diffLines(before, after) {
+        const a = splitLines(before);
+        const b = splitLines(after);
+
+        let head = 0;
+        while (head < a.length && head < b.length && a[head] === b[head]) head++;
+        let tail = 0;
+        while (tail < a.length - head && tail < b.length - head
+            && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+        const same = (lines) => lines.map((text) => ({ type: "same", text }));
+        return [
+            ...same(a.slice(0, head)),
+            ...diffMiddle(a.slice(head, a.length - tail), b.slice(head, b.length - tail)),
+            ...same(a.slice(a.length - tail)),
+        ];
+    }
+
+    function diffMiddle(a, b) {
+        const removed = (text) => ({ type: "removed", text });
+        const added = (text) => ({ type: "added", text });
+        if (!a.length || !b.length || (a.length + 1) * (b.length + 1) > MAX_CELLS) {
+            return [...a.map(removed), ...b.map(added)];
+        }
+
+        // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+        const width = b.length + 1;
+        const lcs = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+
+        const out = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                out.push({ type: "same", text: a[i] });
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                out.push(removed(a[i++]));
+            } else {
+                out.push(added(b[j++]));
+            }
+        }
+        return [...out, ...a.slice(i).map(removed), ...b.slice(j).map(added)];
+    }
+
+    function splitLines(text) {
+        const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n").map((l) => l.replace(/\s+$/, ""));
+        return lines.length === 1 && !lines[0] ? [] : lines;
+    }
+
+    /**
+     * Replace runs of unchanged lines far from any change with a single
+     * { type: "skipped", count } marker.
+     * @param {DiffLine[]} diff
+     * @returns {(DiffLine|{ type: "skipped", count: number })[]}
+     */
+    function collapseUnchanged(diff, context = CONTEXT_LINES) {
+        const near = diff.map(() => false);
+        diff.forEach((line, index) => {
+            if (line.type === "same") return;
+            for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) near[k] = true;
+        });
+
+        const out = [];
+        for (let index = 0; index < diff.length; index++) {
+            if (diff[index].type !== "same" || near[index]) {
+                out.push(diff[index]);
+                continue;
+            }
+            const last = out[out.length - 1];
+            if (last?.type === "skipped") last.count++;
+            else out.push({ type: "skipped", count: 1 });
+        }
+        return out;
+    }
+
+    /** @returns {{ added: number, removed: number }} */
+    function countChanges(diff) {
+        return {
+            added: diff.filter((l) => l.type === "added").length,
+            removed: diff.filter((l) => l.type === "removed").length,
+        };
+    }
+
+    root.JobLensDiff = {
+        diffLines,
+        collapseUnchanged,
+        countChanges,
+    };
+})(globalThis);
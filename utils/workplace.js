@@ -0,0 +1,209 @@
+/**
+ * JobLens AI – Workplace Classifier
+ * Turns the raw location blob, JSON-LD jobLocationType /
+ * applicantLocationRequirements and the description into structured fields:
+ * remote / hybrid / on-site, relocation, and work-authorisation limits
+ * ("must be authorised to work in the US", "no sponsorship"). findConflicts()
+ * checks them against the work preferences saved in popup Settings.
+ *
+ * Classic script (see utils/siteAdapters.js): loaded by the manifest before
+ * jobExtractor.js and imported for its side effect by popup.js. Published as
+ * globalThis.JobLensWorkplace.
+ */
+
+(function (root) {
+    const MODE_LABELS = { remote: "Remote", hybrid: "Hybrid", onsite: "On-site" };
+
+    // Country code → lower-case aliases used in postings and in the settings field
+    const COUNTRIES = {
+        US: ["us", "u.s.", "u.s", "usa", "u.s.a.", "united states", "united states of america", "america", "american"],
+        UK: ["uk", "u.k.", "united kingdom", "great britain", "britain", "british", "england", "gb"],
+        CA: ["ca", "canada", "canadian"],
+        IN: ["in", "india", "indian"],
+        EU: ["eu", "european union", "europe", "eea", "european"],
+        DE: ["de", "germany", "german"],
+        IE: ["ie", "ireland", "irish"],
+        NL: ["nl", "netherlands", "the netherlands", "dutch"],
+        AU: ["au", "australia", "australian"],
+        SG: ["sg", "singapore", "singaporean"],
+        AE: ["ae", "uae", "united arab emirates"],
+    };
+    const COUNTRY_NAMES = "united states(?: of america)?|u\\.?s\\.?a?\\.?|america|united kingdom|great britain|britain|u\\.?k\\.?|canada|india|european union|europe|eu|eea|germany|ireland|(?:the )?netherlands|australia|singapore|uae|united arab emirates";
+    const DEMONYMS = "u\\.?s\\.?|american|british|uk|canadian|indian|eu|european|german|irish|dutch|australian|singaporean";
+
+    // Header text (location line, workplace chip, jobLocationType) is terse and
+    // trustworthy; the description needs specific phrasing ("hybrid cloud",
+    // "remote sensing" and "remote teams" must not count).
+    const HEADER_MODES = [
+        ["hybrid", /\bhybrid\b/i],
+        ["remote", /\bremote\b|\bwork from home\b|\bwfh\b|\btelecommute\b/i],
+        ["onsite", /\bon[-\s]?site\b|\bin[-\s]office\b|\bwork from office\b|\bwfo\b/i],
+    ];
+    const BODY_MODES = [
+        ["hybrid", /\bhybrid\s+(?:work(?:ing)?|role|model|position|set-?up|arrangement|schedule|mode)\b|\b(?:is|this is) (?:a )?hybrid\b|\b\d\s*(?:-\s*\d\s*)?days?\s*(?:a|per|\/)\s*week\s*(?:in|at|from)\s*(?:the\s+|our\s+)?office\b/i],
+        ["remote", /\b(?:fully|100%|completely|entirely)\s+remote\b|\bremote[-\s](?:first|friendly|role|position|job|opportunity)\b|\bwork(?:ing)? (?:from home|remotely)\b|\b(?:role|position|job) is remote\b|\bwfh\b/i],
+        ["onsite", /\bon[-\s]?site\s+(?:role|position|job|work)\b|\b(?:work|working) from (?:the |our )?office\b|\b(?:role|position|job) is (?:on[-\s]?site|office[-\s]based|in[-\s]office)\b|\bwfo\b|\bmust (?:be able to )?(?:commute|work on[-\s]?site)\b/i],
+    ];
+
+    const RELOCATION_REQUIRED = /\b(?:must|should|need to|needs to|required to|expected to|willing(?:ness)? to|ready to|open to) (?:be (?:willing|able|ready) to )?relocate\b|\brelocation (?:is )?(?:required|mandatory|a must)\b/i;
+    const RELOCATION_ASSISTANCE = /\brelocation (?:assistance|support|package|bonus|allowance|benefits?|expenses)\b|\b(?:offer|provide|cover|support)s? relocation\b|\brelocation (?:is )?(?:available|provided|offered|covered)\b/i;
+
+    // The negation must govern the sponsor verb or noun itself – "will not
+    // hesitate to sponsor" and "do not require sponsorship paperwork" are no refusal
+    const NO_SPONSORSHIP = /\b(?:cannot|can't|won't|will not|do not|does not|don't|unable to|not (?:be )?able to)\s+(?:currently\s+)?(?:sponsor\b|(?:offer|provide|support)\s+(?:any\s+)?(?:visa\s+|immigration\s+)?sponsorship\b)|\bno\s+(?:visa\s+|immigration\s+|work permit\s+)?sponsorship\b|\bwithout (?:the need for |requiring |requiring any )?(?:current or future )?(?:visa |employer )?sponsorship\b|\bsponsorship (?:is )?not (?:available|provided|offered)\b/i;
+    const SPONSORSHIP_AVAILABLE = /(?<!\bno\s(?:visa\s|work permit\s)?)\b(?:visa |work permit )?sponsorship (?:is )?(?:available|provided|offered)\b|\b(?:we|will|can) (?:happily )?sponsor\b|\bvisa sponsorship\s*:\s*yes\b/i;
+
+    const AUTH_RE = new RegExp(
+        `\\b(?:authori[sz]ed|authori[sz]ation|eligible|eligibility|legally (?:able|permitted|entitled)|right|permission|permit) to (?:live and )?work in (?:the )?(${COUNTRY_NAMES})(?![a-z])`,
+        "gi"
+    );
+    const CITIZEN_RE = new RegExp(
+        `\\b(${DEMONYMS}) (?:citizens?(?:hip)?|nationals?|persons)(?: only| required| is required)?\\b|\\bmust (?:be|hold) (?:an? )?(${DEMONYMS}) (?:citizen|national|passport)`,
+        "gi"
+    );
+    const CLEARANCE = /\b(?:security|government|secret|ts\/sci|sc|dv) clearance\b|\bclearance (?:is )?required\b/i;
+
+    /**
+     * @typedef {{
+     *   workMode: "remote"|"hybrid"|"onsite"|"",
+     *   relocation: { required: boolean, assistance: boolean },
+     *   workAuth: { countries: string[], citizenship: boolean, clearance: boolean, sponsorship: "none"|"available"|"" },
+     *   applicantCountries: string[]
+     * }} Workplace
+     */
+
+    /**
+     * Classify a jobData object.
+     * @param {object} jobData  location, description, jobLocationType, workplaceType,
+     *                          applicantLocationRequirements
+     * @returns {Workplace}
+     */
+    function classifyWorkplace(jobData = {}) {
+        const header = [jobData.workplaceType, jobData.location].filter(Boolean).join("\n");
+        const body = String(jobData.description || "");
+
+        const citizenCountries = [...body.matchAll(CITIZEN_RE)].map((m) => normalizeCountry(m[1] || m[2]));
+        const authCountries = [...body.matchAll(AUTH_RE)].map((m) => normalizeCountry(m[1]));
+
+        return {
+            workMode: classifyMode(jobData.jobLocationType, header, body),
+            relocation: {
+                required: RELOCATION_REQUIRED.test(body),
+                assistance: RELOCATION_ASSISTANCE.test(body),
+            },
+            workAuth: {
+                countries: unique([...authCountries, ...citizenCountries]),
+                citizenship: citizenCountries.length > 0,
+                clearance: CLEARANCE.test(body),
+                // An explicit offer outweighs boilerplate elsewhere in the posting
+                sponsorship: SPONSORSHIP_AVAILABLE.test(body) ? "available" : NO_SPONSORSHIP.test(body) ? "none" : "",
+            },
+            applicantCountries: unique(
+                String(jobData.applicantLocationRequirements || "").split(/\s*[,|]\s*/).map(normalizeCountry)
+            ),
+        };
+    }
+
+    function classifyMode(jobLocationType, header, body) {
+        const fromHeader = HEADER_MODES.find(([, re]) => re.test(header));
+        if (fromHeader) return fromHeader[0];
+        // schema.org only has TELECOMMUTE, which hybrid postings also use
+        if (/telecommute/i.test(jobLocationType || "")) {
+            return BODY_MODES[0][1].test(body) ? "hybrid" : "remote";
+        }
+        const fromBody = BODY_MODES.find(([, re]) => re.test(body));
+        return fromBody ? fromBody[0] : "";
+    }
+
+    /** "United States", "U.S.", "american" → "US"; unknown names come back upper-cased. */
+    function normalizeCountry(name) {
+        const key = String(name || "").toLowerCase().replace(/^the\s+/, "").replace(/[\s.]+$/, "").trim();
+        if (!key) return "";
+        for (const [code, aliases] of Object.entries(COUNTRIES)) {
+            if (aliases.includes(key) || aliases.includes(`${key}.`)) return code;
+        }
+        return key.toUpperCase();
+    }
+
+    function unique(list) {
+        return [...new Set(list.filter(Boolean))];
+    }
+
+    // ─── Preferences ──────────────────────────────────────────────────────────
+
+    /**
+     * @typedef {{
+     *   modes: string[],
+     *   locations: string[],
+     *   willingToRelocate: boolean,
+     *   authorizedCountries: string[],
+     *   needsSponsorship: boolean
+     * }} WorkPreferences
+     */
+
+    /**
+     * Human-readable conflicts between a posting and the user's preferences.
+     * Empty preferences never conflict.
+     * @param {object} jobData  needs .workplace (classifyWorkplace) and .location
+     * @param {WorkPreferences} [prefs]
+     * @returns {string[]}
+     */
+    function findConflicts(jobData, prefs) {
+        const w = jobData?.workplace;
+        if (!w || !prefs) return [];
+        const conflicts = [];
+        const authorized = (prefs.authorizedCountries || []).map(normalizeCountry);
+        const canWorkIn = (countries) => countries.some((c) => authorized.includes(c));
+
+        if (w.workMode && prefs.modes?.length && !prefs.modes.includes(w.workMode)) {
+            conflicts.push(`${MODE_LABELS[w.workMode]} role – you prefer ${prefs.modes.map((m) => MODE_LABELS[m]).join(" / ")}`);
+        }
+
+        const location = String(jobData.location || "").trim();
+        if (w.workMode !== "remote" && location && prefs.locations?.length && !prefs.willingToRelocate) {
+            const lower = location.toLowerCase();
+            if (!prefs.locations.some((l) => lower.includes(l.toLowerCase()))) {
+                conflicts.push(`Based in ${location} – outside your preferred locations`);
+            }
+        }
+
+        if (w.relocation.required && !prefs.willingToRelocate) {
+            conflicts.push("Requires relocation");
+        }
+
+        if (w.workAuth.countries.length && authorized.length && !canWorkIn(w.workAuth.countries)) {
+            const what = w.workAuth.citizenship ? "citizenship" : "work authorisation";
+            conflicts.push(`Requires ${what} in ${w.workAuth.countries.join(" / ")}`);
+        } else if (w.workAuth.sponsorship === "none" && prefs.needsSponsorship && !canWorkIn(w.workAuth.countries)) {
+            conflicts.push("No visa sponsorship offered");
+        }
+
+        if (w.workMode === "remote" && w.applicantCountries.length && authorized.length && !canWorkIn(w.applicantCountries)) {
+            conflicts.push(`Remote for applicants in ${w.applicantCountries.join(" / ")} only`);
+        }
+
+        return conflicts;
+    }
+
+    /** Short chips for the job card: "Remote", "Relocation", "No sponsorship", "US work auth". */
+    function describeWorkplace(w) {
+        if (!w) return [];
+        return [
+            MODE_LABELS[w.workMode] || "",
+            w.relocation.required ? "Relocation required" : w.relocation.assistance ? "Relocation assistance" : "",
+            w.workAuth.countries.length
+                ? `${w.workAuth.countries.join("/")} ${w.workAuth.citizenship ? "citizens only" : "work auth"}`
+                : "",
+            w.workAuth.clearance ? "Clearance" : "",
+            w.workAuth.sponsorship === "none" ? "No sponsorship" : w.workAuth.sponsorship === "available" ? "Visa sponsorship" : "",
+        ].filter(Boolean);
+    }
+
+    root.JobLensWorkplace = {
+        MODE_LABELS,
+        classifyWorkplace,
+        normalizeCountry,
+        findConflicts,
+        describeWorkplace,
+    };
+})(globalThis);